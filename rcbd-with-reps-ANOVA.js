@@ -25,6 +25,30 @@ const COLOR_PALETTE = {
 // 95% CI - Confidence level
 const CONFIDENCE_LEVEL = 0.95;
 
+// Significance level of the ANOVA assumption tests
+const ASSUMPTION_ALPHA = 0.05;
+
+// Largest acceptable max/min variance ratio (Hartley's Fmax rule of thumb)
+const FMAX_THRESHOLD = 3;
+
+// Developer metadata key recording the transformation of a raw data sheet
+const RESPONSE_TRANSFORM_KEY = 'responseTransform';
+
+// Header of covariate columns in the raw data sheet: "Covariate" for one value 
+// per row, or "Covariate: <treatment>" for one value per plot of that treatment
+const COVARIATE_HEADER = 'Covariate';
+
+// Document property listing the raw data sheets of a multi-environment trial
+const MET_ENVIRONMENTS_KEY = 'metEnvironments';
+
+// Developer metadata key recording the experimental design of a raw data sheet
+const EXPERIMENTAL_DESIGN_KEY = 'experimentalDesign';
+const EXPERIMENTAL_DESIGNS = {
+  rcbd: { label: 'RCBD with Replication', columns: ['Block', 'Treatment columns...'] },
+  latin: { label: 'Latin Square', columns: ['Row', 'Column', 'Treatment', 'Result'] },
+  graecoLatin: { label: 'Graeco-Latin Square', columns: ['Row', 'Column', 'Treatment', 'Greek', 'Result'] }
+};
+
 /**
  * Custom menu setup for the
  * RCBD-With-Reps ANOVA functionalities.
@@ -38,12 +62,44 @@ function onOpen() {
 
   const assumptionCheckMenu = ui.createMenu('ANOVA Assumptions Check')
     .addItem('Restructure Data', 'restructureData')
+    .addItem('Estimate Missing Plots', 'estimateMissingPlots')
     .addSubMenu(prepSubMenu)
-    .addItem('Generate Charts', 'createCharts');
+    .addItem('Generate Charts', 'createCharts')
+    .addItem('Run Assumption Tests', 'runAssumptionTests')
+    .addItem('Box-Cox Transformation', 'runBoxCoxSearch');
+
+  const transformSubMenu = ui.createMenu('Transform Response')
+    .addItem('log(x + c)', 'transformLog')
+    .addItem('Square Root', 'transformSquareRoot')
+    .addItem('Arcsine Square Root (proportions)', 'transformArcsine')
+    .addItem('Reciprocal', 'transformReciprocal');
+
+  const designSubMenu = ui.createMenu('Experimental Design')
+    .addItem('RCBD with Replication', 'selectDesignRCBD')
+    .addItem('Latin Square', 'selectDesignLatinSquare')
+    .addItem('Graeco-Latin Square', 'selectDesignGraecoLatinSquare');
+
+  const contrastSubMenu = ui.createMenu('Contrasts')
+    .addItem('Define Contrasts', 'defineContrasts')
+    .addItem('Generate Polynomial Contrasts', 'generatePolynomialContrasts');
+
+  const metSubMenu = ui.createMenu('Multi-Environment Trial')
+    .addItem('Add Current Sheet as Environment', 'addEnvironment')
+    .addItem('Remove Current Sheet', 'removeEnvironment')
+    .addItem('Clear Environments', 'clearEnvironments')
+    .addItem('Run Combined Analysis', 'generateCombinedAnalysis')
+    .addItem('Run Stability Analysis', 'generateStabilityAnalysis');
 
   ui.createMenu('RCBD-With-Reps ANOVA')
+    .addSubMenu(designSubMenu)
     .addSubMenu(assumptionCheckMenu)
+    .addSubMenu(transformSubMenu)
+    .addSubMenu(contrastSubMenu)
+    .addSubMenu(metSubMenu)
     .addItem('Run ANOVA', 'generateANOVA')
+    .addItem('Run ANCOVA', 'generateANCOVA')
+    .addItem('Run Nonparametric Tests', 'generateNonparametric')
+    .addItem('Run Split-Plot ANOVA', 'generateSplitPlotANOVA')
     .addToUi();
 }
 
@@ -59,64 +115,161 @@ function onOpen() {
 function restructureData() {
   const ss = SpreadsheetApp.getActiveSpreadsheet();
   const sourceSheet = ss.getActiveSheet();
+
+  // Latin square data is already in long format and only needs validation
+  const design = getExperimentalDesign(sourceSheet);
+  if (design !== 'rcbd') {
+    const latinCheck = checkLatinSquare(readLatinSquareData(sourceSheet, design), design);
+    Browser.msgBox(latinCheck.isValid ? "Success!" : "Data Validation Result", 
+      latinCheck.isValid ? `${latinCheck.message} Next, run 'Run ANOVA'.` : latinCheck.message, 
+      Browser.Buttons.OK);
+    Logger.log(latinCheck.message);
+    return;
+  }
+
+  const checkResult = restructureSheet(ss, sourceSheet);
+
+  if (checkResult.isValid) {
+    const missingNote = checkResult.missingCells.length > 0
+      ? ` ${checkResult.missingCells.length} missing plot(s) were left out, so the ANOVA will use a least-squares (unbalanced) fit.`
+      : "";
+
+    // Log the successful restructuring
+    Browser.msgBox("Success!", `Data restructured successfully.${missingNote} Next, run 'ANOVA Assumption Check > Prepare Data > Calculate All Metrics'.`, Browser.Buttons.OK);
+    Logger.log("Data restructured successfully." + missingNote);
+  } else {
+    Browser.msgBox("Data Validation Result", checkResult.message, Browser.Buttons.OK);
+    Logger.log(checkResult.message);
+  }
+}
+
+/**
+ * Validates the raw data sheet and, when valid, writes 
+ * its long format to the NH Checks sheet.
+ * 
+ * @param {Spreadsheet} ss The active spreadsheet.
+ * @param {Sheet} sourceSheet The Google Sheets Sheet object with raw data.
+ * @returns {Object} The result of checkSheetDataStructure().
+ */
+function restructureSheet(ss, sourceSheet) {
   const checkResult = checkSheetDataStructure(sourceSheet);
 
   if (checkResult.isValid) {
     // Log the successful check
     Logger.log(checkResult.message);
-    const targetSheetName = sourceSheet.getName() + " - NH Checks";
-    let targetSheet = ss.getSheetByName(targetSheetName);
-    
-    if (!targetSheet) {
-        targetSheet = ss.insertSheet(targetSheetName);
-    } else {
-        targetSheet.clear();
-    }
 
-    // Set headers for long format
-    targetSheet.getRange("A1:C1")
-        .setValues([["Block", "Treatment", "Result"]]);
+    // Restructure data, leaving out lost plots
+    const output = convertToLongFormat(sourceSheet)
+        .filter(obs => obs[2] !== "" && obs[2] !== null);
+
+    // Write to target sheet
+    writeLongFormatData(ss, sourceSheet.getName(), output);
+  }
 
-    // Get all data from source sheet
-    const [header, ...data] = sourceSheet.getDataRange().getValues();
+  return checkResult;
+}
 
-    // Extract treatment names (assumes first column is "Block")
-    const treatments = header.slice(1);
+/**
+ * Converts the wide-format raw data (Block column followed 
+ * by one column per treatment) into long-format rows 
+ * of [Block, Treatment, Result]. Lost plots keep an empty Result.
+ * When the sheet has covariate columns, every row also 
+ * carries the covariate of its plot as a fourth value.
+ * 
+ * @param {Sheet} sourceSheet The Google Sheets Sheet object with raw data.
+ * @returns {Array<Array>} Long-format rows.
+ */
+function convertToLongFormat(sourceSheet) {
+  // Get all data from source sheet
+  const [header, ...data] = sourceSheet.getDataRange().getValues();
+
+  // Extract treatment names (assumes first column is "Block"), 
+  // keeping covariate columns apart
+  const treatmentColumns = [];
+  const covariateColumns = new Map();
+  header.forEach((name, idx) => {
+    if (idx === 0) return;
+    const target = getCovariateTarget(name);
+    if (target === null) treatmentColumns.push(idx);
+    else covariateColumns.set(target, idx);
+  });
 
-    // Restructure data
-    const output = data.flatMap(row => {
-        const block = row[0];
-        return treatments.map((treatment, idx) => [
-            block,
-            treatment,
-            row[idx + 1] // +1 to skip Block column
-        ]);
+  return data.flatMap(row => {
+    const block = row[0];
+    return treatmentColumns.map(idx => {
+      const observation = [block, header[idx], row[idx]];
+      if (covariateColumns.size === 0) return observation;
+
+      const covariateIdx = covariateColumns.has(String(header[idx]))
+        ? covariateColumns.get(String(header[idx]))
+        : covariateColumns.get('');
+      return [...observation, covariateIdx === undefined ? "" : row[covariateIdx]];
     });
+  });
+}
 
-    // Write to target sheet
-    targetSheet.getRange(2, 1, output.length, 3).setValues(output);
-    targetSheet.autoResizeColumns(1, 3);
-    // Log the successful restructuring
-    Browser.msgBox("Success!", "Data restructured successfully. Next, run 'ANOVA Assumption Check > Prepare Data > Calculate All Metrics'.", Browser.Buttons.OK);
-    Logger.log("Data restructured successfully.");
+/**
+ * Returns which plots a raw data column holds 
+ * covariate values for.
+ * 
+ * @param {String} header Column header.
+ * @returns {String|null} Treatment name, "" for a covariate of 
+ *                        the whole row, or null for a treatment column.
+ */
+function getCovariateTarget(header) {
+  const match = String(header).trim().match(new RegExp(`^${COVARIATE_HEADER}\\s*(?::\\s*(.*))?$`, 'i'));
+  if (!match) return null;
+  return match[1] ? match[1].trim() : '';
+}
+
+/**
+ * Writes long-format rows to the `${rawDataSheetName} - NH Checks` 
+ * sheet, creating or clearing it first.
+ * 
+ * @param {Spreadsheet} ss The active spreadsheet.
+ * @param {String} rawDataSheetName Name of the raw data sheet.
+ * @param {Array<Array>} output Long-format [Block, Treatment, Result] rows.
+ * @returns {Sheet} The NH Checks sheet.
+ */
+function writeLongFormatData(ss, rawDataSheetName, output) {
+  const targetSheetName = rawDataSheetName + " - NH Checks";
+  let targetSheet = ss.getSheetByName(targetSheetName);
+  
+  if (!targetSheet) {
+      targetSheet = ss.insertSheet(targetSheetName);
   } else {
-    Browser.msgBox("Data Validation Result", checkResult.message, Browser.Buttons.OK);
-    Logger.log(checkResult.message);
+      targetSheet.clear();
+      targetSheet.clearNotes();
+  }
+
+  // Set headers for long format
+  targetSheet.getRange("A1:C1")
+      .setValues([["Block", "Treatment", "Result"]]);
+
+  targetSheet.getRange(2, 1, output.length, 3).setValues(output.map(row => row.slice(0, 3)));
+  targetSheet.autoResizeColumns(1, 3);
+
+  // Covariate in column K, clear of the assumption check computations
+  if (output.length > 0 && output[0].length > 3) {
+    targetSheet.getRange(1, 11).setValue(COVARIATE_HEADER).setFontWeight("bold");
+    targetSheet.getRange(2, 11, output.length, 1).setValues(output.map(row => [row[3]]));
   }
+  return targetSheet;
 }
 
 /**
- * Checks if data in a Google Sheet is available, structured correctly,
- * and has no missing values.
+ * Checks if data in a Google Sheet is available and structured correctly.
  *
  * The function expects the first column to contain "Block" names (strings),
  * and all subsequent columns to contain numeric values for treatments.
- * It also checks for the absence of empty cells.
+ * Empty treatment cells are lost plots: they are allowed and reported,
+ * while empty headers or Block names are rejected.
  *
  * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet The sheet to check.
  * @return {object} An object with properties:
  * - isValid: boolean indicating if the data meets all criteria.
  * - message: a string explaining the result, especially if invalid.
+ * - missingCells: array of { row, column, block, treatment } for lost plots.
  */
 function checkSheetDataStructure(sheet) {
   if (!sheet) {
@@ -135,6 +288,8 @@ function checkSheetDataStructure(sheet) {
     return { isValid: false, message: "Insufficient columns. Expected at least 'Block' and one treatment column." };
   }
 
+  const missingCells = [];
+
   // Iterate through rows and columns to check structure and missing values
   for (let r = 0; r < values.length; r++) {
     for (let c = 0; c < values[r].length; c++) {
@@ -142,6 +297,19 @@ function checkSheetDataStructure(sheet) {
 
       // Check for missing values (empty string or null)
       if (cellValue === "" || cellValue === null) {
+        // Covariates may only be missing for lost plots
+        const covariateTarget = r > 0 && c > 0 ? getCovariateTarget(values[0][c]) : null;
+        if (covariateTarget !== null) {
+          const plotColumn = values[0].findIndex(name => String(name) === covariateTarget);
+          if (plotColumn > 0 && (values[r][plotColumn] === "" || values[r][plotColumn] === null)) continue;
+          return { isValid: false, message: `Missing covariate value at row ${r + 1}, column ${c + 1}.` };
+        }
+
+        // Lost plots are allowed in treatment columns only
+        if (r > 0 && c > 0 && values[r][0] !== "" && values[r][0] !== null) {
+          missingCells.push({ row: r + 1, column: c + 1, block: values[r][0], treatment: values[0][c] });
+          continue;
+        }
         return { isValid: false, message: `Missing value found at row ${r + 1}, column ${c + 1}.` };
       }
 
@@ -169,7 +337,221 @@ function checkSheetDataStructure(sheet) {
     }
   }
 
-  return { isValid: true, message: "Data structure is valid and no missing values found." };
+  // Plot covariates must name a treatment column
+  const unknownCovariate = values[0].find(name => {
+    const target = getCovariateTarget(name);
+    return target && !values[0].some(other => String(other) === target);
+  });
+  if (unknownCovariate) {
+    return { isValid: false, message: `Covariate column '${unknownCovariate}' does not match any treatment column.` };
+  }
+
+  if (missingCells.length > 0) {
+    const cellList = missingCells.map(cell => `${cell.block} × ${cell.treatment} (row ${cell.row})`).join(", ");
+    return {
+      isValid: true,
+      message: `Data structure is valid, but ${missingCells.length} missing value(s) found: ${cellList}. The design is unbalanced.`,
+      missingCells
+    };
+  }
+
+  return { isValid: true, message: "Data structure is valid and no missing values found.", missingCells };
+}
+
+// ====================== MISSING PLOT ESTIMATION ======================
+/**
+ * Function that restructures the raw data like 
+ * restructureData() but fills lost plots with 
+ * least-squares estimates instead of leaving them out.
+ * Estimated cells are highlighted on the NH Checks sheet 
+ * and their number is recorded in L4:L5, with the number of 
+ * cells that lost every plot in L6:L7, so the ANOVA reduces the 
+ * interaction and error degrees of freedom accordingly.
+ * 
+ * @customFunction
+ * @returns {void}
+ */
+function estimateMissingPlots() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const rawDataSheetName = getRawDataSheetNameFromCurrent(ss.getActiveSheet());
+  const sourceSheet = ss.getSheetByName(rawDataSheetName);
+  const checkResult = checkSheetDataStructure(sourceSheet);
+
+  if (!checkResult.isValid) {
+    Browser.msgBox("Data Validation Result", checkResult.message, Browser.Buttons.OK);
+    Logger.log(checkResult.message);
+    return;
+  }
+
+  if (checkResult.missingCells.length === 0) {
+    Browser.msgBox("No Missing Plots", "No missing values were found. Run 'Restructure Data' instead.", Browser.Buttons.OK);
+    Logger.log("Missing plot estimation skipped: no missing values.");
+    return;
+  }
+
+  const longData = convertToLongFormat(sourceSheet);
+  const blocks = [...new Set(longData.map(row => row[0]))];
+  const treatments = [...new Set(longData.map(row => row[1]))];
+
+  let estimation;
+  try {
+    estimation = estimateMissingValues(longData, blocks, treatments);
+  } catch (error) {
+    Browser.msgBox("Error", `Missing plots could not be estimated: ${error.message}`, Browser.Buttons.OK);
+    Logger.log("Error in estimateMissingPlots: " + error.message);
+    return;
+  }
+
+  const targetSheet = writeLongFormatData(ss, rawDataSheetName, estimation.data);
+
+  // Mark estimated cells visibly
+  estimation.estimates.forEach(estimate => {
+    const cell = targetSheet.getRange(estimate.index + 2, 3);
+    setContrastColors(cell, COLOR_PALETTE.warning);
+    cell.setNote(`Estimated missing plot (${estimate.method}). Not an observed value.`);
+  });
+
+  // Record number of estimated values and lost cells for the ANOVA df
+  targetSheet.getRange("L4").setValue("Estimated Missing Plots")
+    .setWrap(true)
+    .setFontWeight("bold")
+    .setBorder(false, false, true, false, false, false);
+  targetSheet.getRange("L5").setValue(estimation.estimates.length);
+  setContrastColors(targetSheet.getRange("L5"), COLOR_PALETTE.warning);
+  targetSheet.getRange("L6").setValue("Lost Cells")
+    .setWrap(true)
+    .setFontWeight("bold")
+    .setBorder(false, false, true, false, false, false);
+  targetSheet.getRange("L7").setValue(estimation.lostCells);
+  setContrastColors(targetSheet.getRange("L7"), COLOR_PALETTE.warning);
+
+  Browser.msgBox("Success!", `${estimation.estimates.length} missing plot(s) estimated and highlighted on '${targetSheet.getName()}'. The ANOVA interaction and error df will be reduced accordingly. Next, run 'ANOVA Assumption Check > Prepare Data > Calculate All Metrics'.`, Browser.Buttons.OK);
+  Logger.log(`${estimation.estimates.length} missing plot(s) estimated.`);
+}
+
+/**
+ * Estimates lost plots so the data become balanced again.
+ * 
+ * A lost plot in a cell that still has other replicates 
+ * gets the mean of those replicates, which is its least-squares 
+ * estimate under the two-factor model. A cell that lost all 
+ * its plots gets Yates' formula on the block × treatment 
+ * cell means, (t·B + b·T − G) / ((b − 1)(t − 1)); with several 
+ * such cells the formula is iterated until the estimates converge.
+ * 
+ * @param {Array<Array>} longData Long-format [Block, Treatment, Result] 
+ *                                rows, lost plots having an empty Result.
+ * @param {Array} blocks Array of blocks.
+ * @param {Array} treatments Array of treatments.
+ * @returns {Object} An object with properties:
+ * - data: long-format rows with the lost plots filled in.
+ * - estimates: array of { index, block, treatment, value, method }.
+ * - lostCells: number of block × treatment cells that lost every plot.
+ */
+function estimateMissingValues(longData, blocks, treatments) {
+  const isMissing = value => value === "" || value === null;
+  const b = blocks.length, t = treatments.length;
+
+  // Cell means of the observed plots, "" for cells that lost every plot
+  const cellMeans = blocks.map(block => treatments.map(treatment => 
+    meanOrBlank(longData
+      .filter(row => row[0] === block && row[1] === treatment && !isMissing(row[2]))
+      .map(row => row[2]))
+  ));
+
+  const lostCells = [];
+  cellMeans.forEach((row, i) => row.forEach((mean, j) => {
+    if (mean === "") lostCells.push([i, j]);
+  }));
+
+  if (lostCells.length > 0) {
+    if (b < 2 || t < 2) {
+      throw new Error("Yates' formula needs at least two blocks and two treatments.");
+    }
+    if (lostCells.length >= (b - 1) * (t - 1)) {
+      throw new Error("Too many cells without any observation to estimate.");
+    }
+
+    const startValue = meanOrBlank(cellMeans.flat().filter(mean => mean !== ""));
+    lostCells.forEach(([i, j]) => cellMeans[i][j] = startValue);
+
+    const sum = values => values.reduce((a, v) => a + v, 0);
+    for (let iteration = 0; iteration < 500; iteration++) {
+      let maxChange = 0;
+      lostCells.forEach(([i, j]) => {
+        const current = cellMeans[i][j];
+        const blockTotal = sum(cellMeans[i]) - current;
+        const treatmentTotal = sum(cellMeans.map(row => row[j])) - current;
+        const grandTotal = sum(cellMeans.map(sum)) - current;
+        const estimate = (t * blockTotal + b * treatmentTotal - grandTotal) / ((b - 1) * (t - 1));
+        maxChange = Math.max(maxChange, Math.abs(estimate - current));
+        cellMeans[i][j] = estimate;
+      });
+      if (maxChange < 1e-10 * (1 + Math.abs(startValue))) break;
+    }
+  }
+
+  const lostCellKeys = new Set(lostCells.map(([i, j]) => `${i}|${j}`));
+  const estimates = [];
+  const data = longData.map((row, index) => {
+    if (!isMissing(row[2])) return row;
+
+    const i = blocks.indexOf(row[0]), j = treatments.indexOf(row[1]);
+    const method = !lostCellKeys.has(`${i}|${j}`) ? "mean of remaining plots in cell"
+      : lostCells.length === 1 ? "Yates' formula"
+      : "iterative Yates' formula";
+    estimates.push({ index, block: row[0], treatment: row[1], value: cellMeans[i][j], method });
+    return [row[0], row[1], cellMeans[i][j], ...row.slice(3)];
+  });
+
+  return { data, estimates, lostCells: lostCells.length };
+}
+
+/**
+ * Returns the number of estimated missing plots and of 
+ * cells that lost every plot, as recorded on the NH Checks 
+ * sheet by estimateMissingPlots().
+ * 
+ * @param {Sheet} nhSheet The NH Checks sheet.
+ * @returns {Object} { plots, cells }, both 0 if nothing was estimated.
+ */
+function getEstimatedPlotCounts(nhSheet) {
+  if (nhSheet.getRange("L4").getValue() !== "Estimated Missing Plots") return { plots: 0, cells: 0 };
+  const plots = Number(nhSheet.getRange("L5").getValue()) || 0;
+  const cells = nhSheet.getRange("L6").getValue() === "Lost Cells" 
+    ? Number(nhSheet.getRange("L7").getValue()) || 0 
+    : 0;
+  return { plots, cells };
+}
+
+/**
+ * Returns the last row of the long data on the NH Checks 
+ * sheet. The assumption tests and the Box-Cox profile are 
+ * written further down the sheet, so getLastRow() can run 
+ * past the data.
+ * 
+ * @param {Sheet} sheet The NH Checks sheet.
+ * @returns {Number} Last row with a block in column A.
+ */
+function getLongDataLastRow(sheet) {
+  const blocks = sheet.getRange(1, 1, Math.max(sheet.getLastRow(), 1), 1).getValues();
+  let lastRow = blocks.length;
+  while (lastRow > 1 && blocks[lastRow - 1][0] === "") lastRow--;
+  return lastRow;
+}
+
+/**
+ * Reads the [Block, Treatment, Result] rows of the 
+ * NH Checks sheet, skipping blank and non-numeric results.
+ * 
+ * @param {Sheet} sheet The NH Checks sheet.
+ * @returns {Array<Array>} Long data rows.
+ */
+function readLongData(sheet) {
+  const lastRow = getLongDataLastRow(sheet);
+  if (lastRow < 2) return [];
+  return sheet.getRange(2, 1, lastRow - 1, 3).getValues()
+    .filter(row => row[0] !== "" && typeof row[2] === 'number');
 }
 
 /**
@@ -188,15 +570,7 @@ function prepareDataForChecks() {
         return;
     } else {
         try {
-            computeOverallMean(sheet);
-            computeBlockMeans(sheet);
-            computeTreatmentMeans(sheet);
-            computeFittedValues(sheet);
-            computeResiduals(sheet);
-            sortComputedResiduals(sheet);
-            computePercentiles(sheet);
-            computeZScores(sheet);
-            formatAssumptionCheckSheet(sheet);
+            calculateAllMetrics(sheet);
             // Log the successful data preparation
             Logger.log("Data prepared successfully for checks.");
             ui.alert("Success!", "Data is ready for assumption checks. Next, run 'ANOVA Assumption Check > Generate Charts' to check normal distribution and homogeneity of variances.", ui.ButtonSet.OK);
@@ -207,6 +581,25 @@ function prepareDataForChecks() {
     }
 }
 
+/**
+ * Runs the metric computations of the NH Checks 
+ * sheet in order and formats the sheet.
+ * 
+ * @param {Sheet}   sheet The NH Checks sheet.
+ * @returns {void}
+ */
+function calculateAllMetrics(sheet) {
+  computeOverallMean(sheet);
+  computeBlockMeans(sheet);
+  computeTreatmentMeans(sheet);
+  computeFittedValues(sheet);
+  computeResiduals(sheet);
+  sortComputedResiduals(sheet);
+  computePercentiles(sheet);
+  computeZScores(sheet);
+  formatAssumptionCheckSheet(sheet);
+}
+
 /**
  * Function that computes and sets overall mean 
  * of treatments.
@@ -218,8 +611,7 @@ function prepareDataForChecks() {
  * @returns {Range} The range where the overall mean is set.
  */
 function computeOverallMean(sheet) {
-  const range = sheet.getRange("C2:C");
-  const flattenedValues = range.getValues().flat().filter(v => v !== "");
+  const flattenedValues = readLongData(sheet).map(row => row[2]);
   const overallSum = flattenedValues.reduce((a, b) => a + b, 0);
   const overallMean = overallSum / flattenedValues.length;
   
@@ -241,7 +633,7 @@ function computeOverallMean(sheet) {
  * @returns {Range} The range where the block means are set.
  */
 function computeBlockMeans(sheet) {
-  const dataRange = sheet.getRange("A2:C" + sheet.getLastRow());
+  const dataRange = sheet.getRange("A2:C" + getLongDataLastRow(sheet));
   const data = dataRange.getValues();
   
   const blockMeans = data.map(row => {
@@ -268,7 +660,7 @@ function computeBlockMeans(sheet) {
  * @returns {Range} The range where the treatment means are set.
  */
 function computeTreatmentMeans(sheet) {
-  const dataRange = sheet.getRange("A2:C" + sheet.getLastRow());
+  const dataRange = sheet.getRange("A2:C" + getLongDataLastRow(sheet));
   const data = dataRange.getValues();
   
   const treatmentMeans = data.map(row => {
@@ -297,7 +689,7 @@ function computeTreatmentMeans(sheet) {
  */
 function computeFittedValues(sheet) {
   const overallMean = sheet.getRange("L2").getValue();
-  const lastRow = sheet.getLastRow();
+  const lastRow = getLongDataLastRow(sheet);
   
   const fittedValues = sheet.getRange("D2:E" + lastRow).getValues()
     .map(([blockMean, treatmentMean]) => 
@@ -323,7 +715,7 @@ function computeFittedValues(sheet) {
  * @returns {Range} The range where the residuals are set.
  */
 function computeResiduals(sheet) {
-  const lastRow = sheet.getLastRow();
+  const lastRow = getLongDataLastRow(sheet);
   const results = sheet.getRange("C2:C" + lastRow).getValues().flat();
   const fittedValues = sheet.getRange("F2:F" + lastRow).getValues().flat();
   
@@ -348,7 +740,7 @@ function computeResiduals(sheet) {
  * 
  */
 function sortComputedResiduals(sheet) {
-  const residuals = sheet.getRange("G2:G" + sheet.getLastRow()).getValues().flat();
+  const residuals = sheet.getRange("G2:G" + getLongDataLastRow(sheet)).getValues().flat();
   const sorted = [...residuals].sort((a, b) => a - b);
   
   sheet.getRange("H1")
@@ -371,7 +763,7 @@ function sortComputedResiduals(sheet) {
  * @returns {Range} The range where the percentiles are set.
  */
 function computePercentiles(sheet) {
-  const n = sheet.getLastRow() - 1;
+  const n = getLongDataLastRow(sheet) - 1;
   const percentiles = Array.from({length: n}, (_, i) => (i + 0.5) / n);
   
   sheet.getRange("I1")
@@ -421,7 +813,7 @@ function computeZScores(sheet) {
  * @param {Sheet}   sheet The Google Sheets Sheet object to format.
  */
 function formatAssumptionCheckSheet(sheet) {
-    const lastRow = sheet.getLastRow();
+    const lastRow = getLongDataLastRow(sheet);
     sheet.getRange("A1:J1")
         .setFontWeight("bold")
         .setBorder(false, false, true, false, false, false);
@@ -463,7 +855,7 @@ function createCharts() {
         // Log the successful chart creation
         Logger.log('Charts created successfully.');
         // Show success message
-        ui.alert('Success!', 'Q-Q Plot and Residuals vs Fitted Values chart created.', ui.ButtonSet.OK);
+        ui.alert('Success!', "Q-Q Plot and Residuals vs Fitted Values chart created. Next, run 'ANOVA Assumption Check > Run Assumption Tests' for the formal tests.", ui.ButtonSet.OK);
     }
 }
 
@@ -477,7 +869,7 @@ function createCharts() {
  * @returns {void}
  */
 function createQQPlot(sheet) {
-    const lastRow = sheet.getLastRow();
+    const lastRow = getLongDataLastRow(sheet);
 
     // Get data ranges for Q-Q plot
     const zScoresRange = sheet.getRange("J2:J" + lastRow);
@@ -523,7 +915,7 @@ function createQQPlot(sheet) {
  * 
  */
 function createResidualsVsFitted(sheet) {
-    const lastRow = sheet.getLastRow();
+    const lastRow = getLongDataLastRow(sheet);
 
     // Get data ranges for Residuals plot
     const fittedRange = sheet.getRange("F2:F" + lastRow);
@@ -556,663 +948,6271 @@ function createResidualsVsFitted(sheet) {
     sheet.insertChart(resChart);
 }
 
-// ====================== TWO-FACTOR ANOVA GENERATION ======================
+// ====================== ASSUMPTION TESTS ======================
 /**
- * Generates summary table of descriptive statistics and 
- * a Two-Factor ANOVA table in a new sheet 
- * with some formatting.
+ * Function that runs the formal ANOVA assumption tests 
+ * on the residuals of the NH Checks sheet and writes 
+ * each result next to the matching chart.
  * 
+ * @customFunction
+ * @returns {void}
  */
-function generateANOVA() {
-    const ss = SpreadsheetApp.getActiveSpreadsheet();
-    const currentSheet = ss.getActiveSheet();
-    const rawDataSheetName = getRawDataSheetNameFromCurrent(currentSheet);
-    const targetSheetName = rawDataSheetName + " - ANOVA";
-    const nhSheetName = rawDataSheetName + " - NH Checks";
+function runAssumptionTests() {
+  const ui = SpreadsheetApp.getUi();
+  const sheet = getCurrentNhSheet();
+  if (!sheet) {
+    Logger.log('Assumption tests failed: No NH Checks sheet found.');
+    ui.alert('Error', 'Please run "Restructure Data" first to prepare the data for checks.', ui.ButtonSet.OK);
+    return;
+  }
+  if (sheet.getRange("G1").getValue() !== "Residuals") {
+    Logger.log('Assumption tests failed: residuals not computed.');
+    ui.alert('Error', "Please run 'ANOVA Assumption Check > Prepare Data > Calculate All Metrics' first.", ui.ButtonSet.OK);
+    return;
+  }
 
-    const nhSheet = ss.getSheetByName(nhSheetName);
-    if (!nhSheet) {
-        Browser.msgBox("Error", "Run 'ANOVA Assumptions Check' first", Browser.Buttons.OK);
-        Logger.log("ANOVA generation failed: No NH Checks sheet found.");
-        return;
-    }
+  try {
+    // Clear earlier test results right of the charts (columns S:Z)
+    sheet.getRange(1, 19, sheet.getMaxRows(), 8).clear().clearNote();
+
+    const normalityEndRow = writeShapiroWilkTest(sheet, 7);
+    writeNonAdditivityTest(sheet, normalityEndRow + 1);
+    const homogeneityEndRow = writeHomogeneityTests(sheet, 27);
+    writeVarianceComparison(sheet, homogeneityEndRow + 1);
+    Logger.log('Assumption tests completed successfully.');
+    ui.alert('Success!', 'Assumption tests written next to the charts.', ui.ButtonSet.OK);
+  } catch (error) {
+    Logger.log("Error in runAssumptionTests: " + error.message);
+    ui.alert('Error', `Failed to run assumption tests: ${error.message}`, ui.ButtonSet.OK);
+  }
+}
 
-    // Create or clear ANOVA sheet
-    let anovaSheet = ss.getSheetByName(targetSheetName);
-    if (!anovaSheet) anovaSheet = ss.insertSheet(targetSheetName);
-    else anovaSheet.clear();
+/**
+ * Writes the Shapiro-Wilk normality test of the 
+ * residuals (column G) next to the Q-Q plot, with 
+ * a pass/fail verdict at the ASSUMPTION_ALPHA level.
+ * 
+ * @param {Sheet} sheet The NH Checks sheet.
+ * @param {Number} startRow Row number where the test table starts.
+ * @returns {Number} Row number following the test table.
+ */
+function writeShapiroWilkTest(sheet, startRow) {
+  const residuals = sheet.getRange("G2:G" + getLongDataLastRow(sheet)).getValues()
+    .flat()
+    .filter(v => v !== "");
+  const { n, w, pValue } = shapiroWilk(residuals);
+  const passed = pValue >= ASSUMPTION_ALPHA;
+
+  const testData = [
+    ["Shapiro-Wilk Normality Test", ""],
+    ["n", n],
+    ["W", w],
+    ["P-value", pValue],
+    ["α", ASSUMPTION_ALPHA],
+    ["Verdict", passed ? "Pass: residuals are normal" : "Fail: residuals are not normal"]
+  ];
 
-    // Get raw data and design parameters
-    const rawData = nhSheet.getRange("A2:C" + nhSheet.getLastRow()).getValues();
-    const blocks = [...new Set(rawData.map(row => row[0]))];
-    const treatments = [...new Set(rawData.map(row => row[1]))];
-    const b = blocks.length, t = treatments.length, r = rawData.filter(row => 
-        row[0] === blocks[0] && row[1] === treatments[0]).length;
+  // Column S, right of the Q-Q plot
+  const tableRange = sheet.getRange(startRow, 19, testData.length, 2);
+  tableRange.setValues(testData)
+    .setBorder(true, true, true, true, null, null, COLOR_PALETTE.thickBorder, SpreadsheetApp.BorderStyle.SOLID_MEDIUM);
+  sheet.getRange(startRow + 2, 20, 2, 1).setNumberFormat("0.0000");
+  sheet.getRange(startRow + 4, 20).setNumberFormat("0.00");
 
-    // Add titles
-    anovaSheet.getRange("A1").setValue("Statistical Analysis for RCBD with Replication")
-        .setFontWeight("bold");
+  sheet.getRange(startRow, 19, 1, 2)
+    .setFontWeight("bold");
+  setContrastColors(sheet.getRange(startRow, 19, 1, 2), COLOR_PALETTE.header);
+  sheet.getRange(startRow + 1, 19, testData.length - 1, 1).setFontStyle("italic");
+  setContrastColors(
+    sheet.getRange(startRow + testData.length - 1, 20),
+    passed ? COLOR_PALETTE.significant : COLOR_PALETTE.ns
+  );
 
-    // Color formatting sheet title
-    setContrastColors(anovaSheet.getRange("A1:E1"), COLOR_PALETTE.header);
+  sheet.getRange(startRow, 19)
+    .setNote("H0: the residuals come from a normal distribution. " +
+      "W and its P-value follow Royston (1995), valid for 3 ≤ n ≤ 5000." +
+      (n > 5000 ? " n exceeds 5000, so the P-value may be inaccurate." : ""));
 
-    let currentRow = 3;
+  return startRow + testData.length;
+}
 
-    // Generate descriptive statistics headers
-    const headerRow = ["SUMMARY", ...treatments, "Total"];
-    anovaSheet.getRange(currentRow, 1, 1, headerRow.length)
-        .setValues([headerRow])
-        .setFontStyle("italic")
-        .setFontWeight("bold");
-    // Change current row
-    currentRow++;
+/**
+ * Writes Tukey's one-degree-of-freedom test for 
+ * non-additivity of blocks and treatments below the 
+ * Shapiro-Wilk test. When significant, the power 
+ * transformation implied by the slope is suggested.
+ * 
+ * @param {Sheet} sheet The NH Checks sheet.
+ * @param {Number} startRow Row number where the test table starts.
+ * @returns {Number} Row number following the test table.
+ */
+function writeNonAdditivityTest(sheet, startRow) {
+  const longData = readLongData(sheet);
+  const result = tukeyNonAdditivity(longData);
+  const additive = result.pValue >= ASSUMPTION_ALPHA;
+
+  const width = 6;
+  sheet.getRange(startRow, 19, 1, width).merge()
+    .setValue("Tukey's Test for Non-additivity")
+    .setFontWeight("bold");
+  setContrastColors(sheet.getRange(startRow, 19, 1, width), COLOR_PALETTE.header);
 
-    // Generate block summary tables
-    blocks.forEach((block, blockIdx) => {
-        // Add block label
-        anovaSheet.getRange(currentRow, 1)
-        .setValue(block)
-        .setFontStyle("italic");
-        currentRow++;
+  const tableData = [
+    ["Source", "SS", "df", "MS", "F", "P-value"],
+    ["Non-additivity", result.ssNonAdditivity, 1, result.ssNonAdditivity, result.f, result.pValue],
+    ["Remainder", result.ssRemainder, result.dfRemainder, result.ssRemainder / result.dfRemainder, "", ""],
+    ["Slope (D)", result.slope, "", "Suggested power", result.power, result.transformation]
+  ];
+  sheet.getRange(startRow + 1, 19, tableData.length, width)
+    .setValues(tableData)
+    .setHorizontalAlignment("center")
+    .setBorder(true, true, true, true, null, null, COLOR_PALETTE.thickBorder, SpreadsheetApp.BorderStyle.SOLID_MEDIUM);
+  sheet.getRange(startRow + 1, 19, 1, width)
+    .setFontStyle("italic")
+    .setBorder(false, false, true, false, null, null, COLOR_PALETTE.thickBorder, SpreadsheetApp.BorderStyle.SOLID);
+  sheet.getRange(startRow + 2, 20, 3, 1).setNumberFormat("0.000"); // SS & slope
+  sheet.getRange(startRow + 2, 22, 2, 2).setNumberFormat("0.000"); // MS & F
+  sheet.getRange(startRow + 2, 24).setNumberFormat("0.0000"); // P-value
+  sheet.getRange(startRow + 4, 23).setNumberFormat("0.00"); // Power
+  setContrastColors(
+    sheet.getRange(startRow + 2, 24),
+    additive ? COLOR_PALETTE.significant : COLOR_PALETTE.ns
+  );
 
-        const blockData = rawData.filter(row => row[0] === block);
+  const verdictRow = startRow + 1 + tableData.length;
+  sheet.getRange(verdictRow, 19).setValue("Verdict")
+    .setFontWeight("bold");
+  const verdictRange = sheet.getRange(verdictRow, 20, 1, width - 1);
+  verdictRange.merge()
+    .setValue(additive
+      ? "Pass: block and treatment effects are additive."
+      : result.transformation === describePowerTransformation(1)
+        ? `Fail: effects are not additive, but the suggested power (≈ ${result.power.toFixed(2)}) is close to 1, ` +
+          "so no power transformation will remove it; check for outliers or keep the interaction in the model."
+        : `Fail: effects are not additive; consider a ${result.transformation} transformation (power ≈ ${result.power.toFixed(2)}).`);
+  setContrastColors(verdictRange, additive ? COLOR_PALETTE.significant : COLOR_PALETTE.ns);
+
+  sheet.getRange(startRow, 19)
+    .setNote("H0: block and treatment effects are additive, as assumed by the fitted values " +
+      "(block mean + treatment mean − overall mean). The remainder is the additive residual " +
+      "minus the non-additivity SS. Suggested power = 1 − D × overall mean (Tukey, 1949).");
+
+  return verdictRow + 1;
+}
 
-        // Calculate statistics
-        const stats = {
-        count: treatments.map(t => 
-            blockData.filter(row => row[1] === t).length),
-        sum: treatments.map(t => 
-            blockData.filter(row => row[1] === t).reduce((a, v) => a + v[2], 0)),
-        avg: treatments.map(t => {
-            const data = blockData.filter(row => row[1] === t).map(r => r[2]);
-            return data.reduce((a, v) => a + v, 0) / data.length;
-        }),
-        var: treatments.map(t => {
-            const data = blockData.filter(row => row[1] === t).map(r => r[2]);
-            const mean = data.reduce((a, v) => a + v, 0) / data.length;
-            return data.reduce((a, v) => a + Math.pow(v - mean, 2), 0) / (data.length - 1);
-        })
-        };
+/**
+ * Tukey's one-degree-of-freedom test for non-additivity 
+ * of the additive block + treatment model.
+ * 
+ * @param {Array<Array>} longData Long-format [Block, Treatment, Result] rows.
+ * @returns {Object} { ssNonAdditivity, ssRemainder, dfRemainder, f, 
+ *                   pValue, slope, power, transformation }.
+ */
+function tukeyNonAdditivity(longData) {
+  const meanOf = rows => rows.reduce((a, row) => a + row[2], 0) / rows.length;
+  const overallMean = meanOf(longData);
+  const blocks = [...new Set(longData.map(row => row[0]))];
+  const treatments = [...new Set(longData.map(row => row[1]))];
+
+  const blockEffects = new Map(blocks.map(block => 
+    [block, meanOf(longData.filter(row => row[0] === block)) - overallMean]));
+  const treatmentEffects = new Map(treatments.map(treatment => 
+    [treatment, meanOf(longData.filter(row => row[1] === treatment)) - overallMean]));
+
+  let sumResidualProduct = 0, sumProductSquares = 0, ssResidual = 0;
+  longData.forEach(([block, treatment, value]) => {
+    const product = blockEffects.get(block) * treatmentEffects.get(treatment);
+    const residual = value - overallMean - blockEffects.get(block) - treatmentEffects.get(treatment);
+    sumResidualProduct += residual * product;
+    sumProductSquares += product * product;
+    ssResidual += residual * residual;
+  });
 
-        // Add totals column
-        stats.count.push(stats.count.reduce((a, v) => a + v, 0));
-        stats.sum.push(stats.sum.reduce((a, v) => a + v, 0));
-        stats.avg.push(stats.sum[stats.sum.length-1] / stats.count[stats.count.length-1]);
-        stats.var.push(
-        blockData.reduce((sum, row) => sum + Math.pow(row[2] - stats.avg[stats.avg.length-1], 2), 0) /
-        (blockData.length - 1)
-        );
+  const ssNonAdditivity = sumProductSquares > 0 ? Math.pow(sumResidualProduct, 2) / sumProductSquares : 0;
+  const ssRemainder = ssResidual - ssNonAdditivity;
+  const dfRemainder = longData.length - blocks.length - treatments.length;
+  const f = ssNonAdditivity / (ssRemainder / dfRemainder);
+  const slope = sumProductSquares > 0 ? sumResidualProduct / sumProductSquares : 0;
+  const power = 1 - slope * overallMean;
 
-        // Build table
-        const tableData = [
-        ["Count", ...stats.count],
-        ["Sum", ...stats.sum],
-        ["Average", ...stats.avg],
-        ["Variance", ...stats.var]
-        ];
-        
-        // Write data to table
-        anovaSheet.getRange(currentRow, 1, 4, tableData[0].length)
-        .setValues(tableData)
-        .setBorder(true, false, false, false, false, false, COLOR_PALETTE.thickBorder, SpreadsheetApp.BorderStyle.SOLID_MEDIUM);
+  return {
+    ssNonAdditivity, ssRemainder, dfRemainder, f,
+    pValue: fDistRightTail(f, 1, dfRemainder),
+    slope, power,
+    transformation: describePowerTransformation(power)
+  };
+}
 
-        anovaSheet.getRange(currentRow + 1, 2, 3, tableData[0].length)
-        .setNumberFormat("0.00");
-        
-        currentRow += 5; // 4 data rows + 1 spacer
-    });
+/**
+ * Names the ladder-of-powers transformation 
+ * closest to the given power.
+ * 
+ * @param {Number} power Suggested power of the response.
+ * @returns {String} Transformation name.
+ */
+function describePowerTransformation(power) {
+  const ladder = [
+    [2, "square"],
+    [1, "none (no transformation)"],
+    [0.5, "square root"],
+    [0, "logarithm"],
+    [-0.5, "reciprocal square root"],
+    [-1, "reciprocal"]
+  ];
+  return ladder.reduce((best, step) => 
+    Math.abs(step[0] - power) < Math.abs(best[0] - power) ? step : best)[1];
+}
 
-    // Generate Total table
-    anovaSheet.getRange(currentRow, 1)
-        .setValue("Total")
-        .setFontWeight("bold")
-        .setFontStyle("italic");
-    currentRow++;
+/**
+ * Writes Levene's (mean-centred) and Brown-Forsythe's 
+ * (median-centred) homogeneity of variance tests next 
+ * to the Residuals vs Fitted chart, across treatments 
+ * and across block × treatment cells of the long data.
+ * 
+ * @param {Sheet} sheet The NH Checks sheet.
+ * @param {Number} startRow Row number where the test table starts.
+ * @returns {Number} Row number following the test table.
+ */
+function writeHomogeneityTests(sheet, startRow) {
+  const longData = readLongData(sheet);
+
+  const groupBy = keyOf => {
+    const groups = new Map();
+    longData.forEach(row => {
+      const key = keyOf(row);
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(row[2]);
+    });
+    return [...groups.values()];
+  };
+  const groupings = [
+    ["Treatments", groupBy(row => row[1])],
+    ["Block × Treatment", groupBy(row => `${row[0]}|${row[1]}`)]
+  ];
 
-    const totalStats = {
-        count: treatments.map(t => 
+  const testRows = [];
+  groupings.forEach(([label, groups]) => {
+    [["Levene (mean)", "mean"], ["Brown-Forsythe (median)", "median"]].forEach(([testName, center]) => {
+      // With 2 obs. per group both absolute deviations are equal, so the within-group SS is 0
+      if (groups.length < 2 || groups.some(g => g.length < 3)) {
+        testRows.push([testName, label, "n/a", "", "", "", "Needs ≥ 3 obs. per group"]);
+        return;
+      }
+      const { f, df1, df2, pValue } = leveneTest(groups, center);
+      if (!isFinite(f)) {
+        testRows.push([testName, label, "n/a", "", "", "", "No spread of deviations within groups"]);
+        return;
+      }
+      testRows.push([testName, label, f, df1, df2, pValue, 
+        pValue >= ASSUMPTION_ALPHA ? "Homogeneous" : "Heterogeneous"]);
+    });
+  });
+
+  const tested = testRows.filter(row => row[2] !== "n/a");
+  const allHomogeneous = tested.every(row => row[5] >= ASSUMPTION_ALPHA);
+  const decision = allHomogeneous
+    ? `Equal variances not rejected at α = ${ASSUMPTION_ALPHA}: the homogeneity assumption holds.`
+    : `Equal variances rejected at α = ${ASSUMPTION_ALPHA}: consider a transformation of the data.`;
+
+  // Title and header
+  const width = 7;
+  sheet.getRange(startRow, 19, 1, width).merge()
+    .setValue("Homogeneity of Variance Tests")
+    .setFontWeight("bold");
+  setContrastColors(sheet.getRange(startRow, 19, 1, width), COLOR_PALETTE.header);
+
+  const tableData = [["Test", "Groups", "F", "df1", "df2", "P-value", "Decision"], ...testRows];
+  const tableRange = sheet.getRange(startRow + 1, 19, tableData.length, width);
+  tableRange.setValues(tableData)
+    .setHorizontalAlignment("center")
+    .setBorder(true, true, true, true, null, null, COLOR_PALETTE.thickBorder, SpreadsheetApp.BorderStyle.SOLID_MEDIUM);
+  sheet.getRange(startRow + 1, 19, 1, width)
+    .setFontStyle("italic")
+    .setBorder(false, false, true, false, null, null, COLOR_PALETTE.thickBorder, SpreadsheetApp.BorderStyle.SOLID);
+  sheet.getRange(startRow + 2, 21, testRows.length, 1).setNumberFormat("0.000");
+  sheet.getRange(startRow + 2, 24, testRows.length, 1).setNumberFormat("0.0000");
+
+  testRows.forEach((row, idx) => {
+    if (row[2] === "n/a") return;
+    setContrastColors(
+      sheet.getRange(startRow + 2 + idx, 25),
+      row[5] >= ASSUMPTION_ALPHA ? COLOR_PALETTE.significant : COLOR_PALETTE.ns
+    );
+  });
+
+  // Documented decision
+  const decisionRow = startRow + 1 + tableData.length;
+  sheet.getRange(decisionRow, 19).setValue("Decision:")
+    .setFontWeight("bold");
+  sheet.getRange(decisionRow, 20, 1, width - 1).merge()
+    .setValue(tested.length > 0 ? decision : "No test could be run: every group needs at least 3 observations with some spread.");
+  setContrastColors(
+    sheet.getRange(decisionRow, 20, 1, width - 1),
+    tested.length === 0 ? COLOR_PALETTE.warning 
+      : allHomogeneous ? COLOR_PALETTE.significant : COLOR_PALETTE.ns
+  );
+
+  sheet.getRange(startRow, 19)
+    .setNote("H0: all groups have equal variances. Both tests are one-way ANOVAs on the absolute " +
+      "deviations from the group mean (Levene) or group median (Brown-Forsythe); " +
+      "Brown-Forsythe is robust to non-normal data.");
+
+  return decisionRow + 1;
+}
+
+/**
+ * Writes Bartlett's test and a table of per-treatment and 
+ * per-block residual variances (column G) below the 
+ * homogeneity tests, with Hartley's Fmax ratio and a 
+ * warning when it exceeds FMAX_THRESHOLD.
+ * 
+ * @param {Sheet} sheet The NH Checks sheet.
+ * @param {Number} startRow Row number where the section starts.
+ * @returns {Number} Row number following the section.
+ */
+function writeVarianceComparison(sheet, startRow) {
+  const data = sheet.getRange("A2:G" + getLongDataLastRow(sheet)).getValues()
+    .filter(row => row[6] !== "");
+
+  const residualsBy = column => {
+    const groups = new Map();
+    data.forEach(row => {
+      if (!groups.has(row[column])) groups.set(row[column], []);
+      groups.get(row[column]).push(row[6]);
+    });
+    return groups;
+  };
+  const factors = [["Treatments", residualsBy(1)], ["Blocks", residualsBy(0)]];
+
+  // Bartlett's test and Fmax per factor
+  const testRows = factors.map(([label, groups]) => {
+    const variances = [...groups.values()].map(varianceOrBlank);
+    const fMax = variances.includes("") || Math.min(...variances) === 0 
+      ? "n/a" 
+      : Math.max(...variances) / Math.min(...variances);
+    if (fMax === "n/a" || groups.size < 2) {
+      return ["Bartlett", label, "n/a", "", "", fMax, "Needs ≥ 2 obs. and non-zero variance per group"];
+    }
+    const { chiSquare, df, pValue } = bartlettTest([...groups.values()]);
+    return ["Bartlett", label, chiSquare, df, pValue, fMax, 
+      pValue >= ASSUMPTION_ALPHA ? "Homogeneous" : "Heterogeneous"];
+  });
+
+  const width = 7;
+  sheet.getRange(startRow, 19, 1, width).merge()
+    .setValue("Bartlett's Test & Residual Variances")
+    .setFontWeight("bold");
+  setContrastColors(sheet.getRange(startRow, 19, 1, width), COLOR_PALETTE.header);
+
+  const testData = [["Test", "Groups", "χ²", "df", "P-value", "Fmax", "Decision"], ...testRows];
+  sheet.getRange(startRow + 1, 19, testData.length, width)
+    .setValues(testData)
+    .setHorizontalAlignment("center")
+    .setBorder(true, true, true, true, null, null, COLOR_PALETTE.thickBorder, SpreadsheetApp.BorderStyle.SOLID_MEDIUM);
+  sheet.getRange(startRow + 1, 19, 1, width)
+    .setFontStyle("italic")
+    .setBorder(false, false, true, false, null, null, COLOR_PALETTE.thickBorder, SpreadsheetApp.BorderStyle.SOLID);
+  sheet.getRange(startRow + 2, 21, testRows.length, 1).setNumberFormat("0.000");
+  sheet.getRange(startRow + 2, 23, testRows.length, 1).setNumberFormat("0.0000");
+  sheet.getRange(startRow + 2, 24, testRows.length, 1).setNumberFormat("0.00");
+
+  testRows.forEach((row, idx) => {
+    const targetRow = startRow + 2 + idx;
+    if (row[2] !== "n/a") {
+      setContrastColors(
+        sheet.getRange(targetRow, 25),
+        row[4] >= ASSUMPTION_ALPHA ? COLOR_PALETTE.significant : COLOR_PALETTE.ns
+      );
+    }
+    if (row[5] !== "n/a" && row[5] > FMAX_THRESHOLD) {
+      setContrastColors(sheet.getRange(targetRow, 24), COLOR_PALETTE.warning);
+    }
+  });
+
+  sheet.getRange(startRow, 19)
+    .setNote("H0: all groups have equal residual variances. Bartlett's test is sensitive to " +
+      "non-normality, so read it together with the Brown-Forsythe test. " +
+      `Fmax is Hartley's largest/smallest variance ratio; values above ${FMAX_THRESHOLD} are flagged.`);
+
+  // Per-group residual variance table
+  let currentRow = startRow + 1 + testData.length + 1;
+  const varianceData = [["Factor", "Level", "n", "Residual Variance"]];
+  factors.forEach(([label, groups]) => {
+    groups.forEach((residuals, level) => {
+      varianceData.push([label, level, residuals.length, varianceOrBlank(residuals)]);
+    });
+  });
+
+  sheet.getRange(currentRow, 19, varianceData.length, 4)
+    .setValues(varianceData)
+    .setHorizontalAlignment("center")
+    .setBorder(true, true, true, true, null, null, COLOR_PALETTE.neutral, SpreadsheetApp.BorderStyle.SOLID);
+  sheet.getRange(currentRow, 19, 1, 4)
+    .setFontStyle("italic")
+    .setFontWeight("bold");
+  setContrastColors(sheet.getRange(currentRow, 19, 1, 4), COLOR_PALETTE.subHeader);
+  sheet.getRange(currentRow + 1, 22, varianceData.length - 1, 1).setNumberFormat("0.0000");
+  currentRow += varianceData.length;
+
+  // Warnings for large variance ratios
+  testRows.forEach(row => {
+    if (row[5] === "n/a" || row[5] <= FMAX_THRESHOLD) return;
+    const warningRange = sheet.getRange(currentRow, 19, 1, width);
+    warningRange.merge()
+      .setValue(`Warning: ${row[1]} Fmax = ${row[5].toFixed(2)} exceeds ${FMAX_THRESHOLD}; residual variances are unequal.`);
+    setContrastColors(warningRange, COLOR_PALETTE.warning);
+    currentRow++;
+  });
+
+  return currentRow;
+}
+
+/**
+ * Bartlett's test for equality of variances.
+ * 
+ * @param {Array<Array<Number>>} groups Observations per group, 
+ *                                      each with at least 2 values.
+ * @returns {Object} { chiSquare, df, pValue }.
+ */
+function bartlettTest(groups) {
+  return bartlettFromVariances(groups.map(varianceOrBlank), groups.map(group => group.length - 1));
+}
+
+/**
+ * Bartlett's test from group variances and their degrees 
+ * of freedom, e.g. the error mean squares of several trials.
+ * 
+ * @param {Array<Number>} variances Variance estimates.
+ * @param {Array<Number>} dfs Degrees of freedom of each variance.
+ * @returns {Object} { chiSquare, df, pValue }.
+ */
+function bartlettFromVariances(variances, dfs) {
+  const k = variances.length;
+  const dfTotal = dfs.reduce((a, v) => a + v, 0);
+  const pooledVariance = variances.reduce((a, v, i) => a + dfs[i] * v, 0) / dfTotal;
+
+  const numerator = dfTotal * Math.log(pooledVariance) - 
+    variances.reduce((a, v, i) => a + dfs[i] * Math.log(v), 0);
+  const correction = 1 + (dfs.reduce((a, v) => a + 1 / v, 0) - 1 / dfTotal) / (3 * (k - 1));
+
+  const chiSquare = numerator / correction;
+  const df = k - 1;
+  return { chiSquare, df, pValue: chiSquareRightTail(chiSquare, df) };
+}
+
+/**
+ * Levene's test for equality of variances. With center 
+ * "median" this is the Brown-Forsythe variant.
+ * 
+ * @param {Array<Array<Number>>} groups Observations per group.
+ * @param {String} center "mean" or "median".
+ * @returns {Object} { f, df1, df2, pValue }.
+ */
+function leveneTest(groups, center) {
+  const deviations = groups.map(group => {
+    const c = center === "median" ? median(group) : group.reduce((a, v) => a + v, 0) / group.length;
+    return group.map(v => Math.abs(v - c));
+  });
+  return oneWayANOVA(deviations);
+}
+
+/**
+ * One-way ANOVA F test of the group means.
+ * 
+ * @param {Array<Array<Number>>} groups Observations per group.
+ * @returns {Object} { f, df1, df2, pValue }.
+ */
+function oneWayANOVA(groups) {
+  const all = groups.flat();
+  const n = all.length, k = groups.length;
+  const grandMean = all.reduce((a, v) => a + v, 0) / n;
+
+  let ssBetween = 0, ssWithin = 0;
+  groups.forEach(group => {
+    const mean = group.reduce((a, v) => a + v, 0) / group.length;
+    ssBetween += group.length * Math.pow(mean - grandMean, 2);
+    ssWithin += group.reduce((a, v) => a + Math.pow(v - mean, 2), 0);
+  });
+
+  const df1 = k - 1, df2 = n - k;
+  const f = (ssBetween / df1) / (ssWithin / df2);
+  return { f, df1, df2, pValue: fDistRightTail(f, df1, df2) };
+}
+
+/**
+ * Returns the median of the values.
+ * 
+ * @param {Array<Number>} values Observations.
+ * @returns {Number} Median.
+ */
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * Shapiro-Wilk W statistic and P-value using 
+ * Royston's (1995) algorithm AS R94.
+ * 
+ * @param {Array<Number>} values Sample values (any order).
+ * @returns {Object} { n, w, pValue }.
+ */
+function shapiroWilk(values) {
+  const x = [...values].sort((a, b) => a - b);
+  const n = x.length;
+  if (n < 3) {
+    throw new Error("Shapiro-Wilk test needs at least 3 values.");
+  }
+
+  const range = x[n - 1] - x[0];
+  if (range < 1e-19) {
+    throw new Error("Shapiro-Wilk test needs values that are not all identical.");
+  }
+
+  const poly = (cc, z) => cc.reduceRight((acc, c) => acc * z + c, 0);
+  const nn2 = Math.floor(n / 2);
+
+  // Coefficients a[1..nn2] (1-based to follow the published algorithm)
+  const a = new Array(nn2 + 1).fill(0);
+  if (n === 3) {
+    a[1] = Math.SQRT1_2;
+  } else {
+    const an25 = n + 0.25;
+    let summ2 = 0;
+    for (let i = 1; i <= nn2; i++) {
+      a[i] = normalInv((i - 0.375) / an25);
+      summ2 += a[i] * a[i];
+    }
+    summ2 *= 2;
+    const ssumm2 = Math.sqrt(summ2);
+    const rsn = 1 / Math.sqrt(n);
+    const a1 = poly([0, 0.221157, -0.147981, -2.07119, 4.434685, -2.706056], rsn) - a[1] / ssumm2;
+
+    let i1, fac;
+    if (n > 5) {
+      i1 = 3;
+      const a2 = -a[2] / ssumm2 + poly([0, 0.042981, -0.293762, -1.752461, 5.682633, -3.582633], rsn);
+      fac = Math.sqrt((summ2 - 2 * a[1] * a[1] - 2 * a[2] * a[2]) / (1 - 2 * a1 * a1 - 2 * a2 * a2));
+      a[2] = a2;
+    } else {
+      i1 = 2;
+      fac = Math.sqrt((summ2 - 2 * a[1] * a[1]) / (1 - 2 * a1 * a1));
+    }
+    a[1] = a1;
+    for (let i = i1; i <= nn2; i++) a[i] /= -fac;
+  }
+
+  // W as the squared correlation between the data and the coefficients
+  const coefficient = i => { // 0-based position in the sorted sample
+    const j = n - 1 - i;
+    if (i === j) return 0;
+    return Math.sign(i - j) * a[1 + Math.min(i, j)];
+  };
+  const sa = x.reduce((acc, _, i) => acc + coefficient(i), 0) / n;
+  const sx = x.reduce((acc, v) => acc + v / range, 0) / n;
+  let ssa = 0, ssx = 0, sax = 0;
+  x.forEach((v, i) => {
+    const asa = coefficient(i) - sa;
+    const xsx = v / range - sx;
+    ssa += asa * asa;
+    ssx += xsx * xsx;
+    sax += asa * xsx;
+  });
+
+  // w1 is 1 - W, computed to avoid rounding error for W near 1
+  const ssassx = Math.sqrt(ssa * ssx);
+  const w1 = (ssassx - sax) * (ssassx + sax) / (ssa * ssx);
+  const w = 1 - w1;
+
+  if (n === 3) {
+    const pValue = Math.max(0, 6 / Math.PI * (Math.asin(Math.sqrt(w)) - Math.PI / 3));
+    return { n, w, pValue };
+  }
+
+  let y = Math.log(w1);
+  let m, sd;
+  if (n <= 11) {
+    const gamma = poly([-2.273, 0.459], n);
+    if (y >= gamma) return { n, w, pValue: 1e-99 };
+    y = -Math.log(gamma - y);
+    m = poly([0.544, -0.39978, 0.025054, -6.714e-4], n);
+    sd = Math.exp(poly([1.3822, -0.77857, 0.062767, -0.0020322], n));
+  } else {
+    const logN = Math.log(n);
+    m = poly([-1.5861, -0.31082, -0.083751, 0.0038915], logN);
+    sd = Math.exp(poly([-0.4803, -0.082676, 0.0030302], logN));
+  }
+
+  return { n, w, pValue: 1 - normalCdf((y - m) / sd) };
+}
+
+// ====================== BOX-COX TRANSFORMATION ======================
+/**
+ * Function that searches the Box-Cox λ maximizing the 
+ * profile log-likelihood of the ANOVA model on the 
+ * NH Checks data, plots the profile and offers to 
+ * re-run the whole analysis on a transformed copy 
+ * of the raw data. Transformed copies are refused, so 
+ * λ always applies to the original units.
+ * 
+ * @customFunction
+ * @returns {void}
+ */
+function runBoxCoxSearch() {
+  const ui = SpreadsheetApp.getUi();
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const sheet = getCurrentNhSheet();
+  if (!sheet) {
+    Logger.log('Box-Cox search failed: No NH Checks sheet found.');
+    ui.alert('Error', 'Please run "Restructure Data" first to prepare the data for checks.', ui.ButtonSet.OK);
+    return;
+  }
+
+  const rawSheet = ss.getSheetByName(getRawDataSheetNameFromCurrent(sheet));
+  const existing = getResponseTransform(rawSheet);
+  if (existing) {
+    Logger.log(`Box-Cox search skipped: '${rawSheet.getName()}' is already transformed.`);
+    ui.alert('Error', `'${rawSheet.getName()}' already holds transformed data (${describeTransform(existing)}). ` +
+      `Run the Box-Cox search on '${existing.source}' instead.`, ui.ButtonSet.OK);
+    return;
+  }
+
+  const longData = readLongData(sheet);
+
+  let result;
+  try {
+    result = boxCoxSearch(longData);
+    writeBoxCoxResults(sheet, result);
+  } catch (error) {
+    Logger.log("Error in runBoxCoxSearch: " + error.message);
+    ui.alert('Error', `Box-Cox search failed: ${error.message}`, ui.ButtonSet.OK);
+    return;
+  }
+
+  if (result.recommendedLambda === 1) {
+    ui.alert('Box-Cox Transformation', 
+      `Recommended λ = 1 (95% CI ${result.ciLower.toFixed(2)} to ${result.ciUpper.toFixed(2)}): ` +
+      "no transformation is needed, the analysis of the original data stands.", ui.ButtonSet.OK);
+    return;
+  }
+
+  const transform = { type: 'boxcox', lambda: result.recommendedLambda, shift: result.shift };
+  const answer = ui.alert(
+    'Box-Cox Transformation',
+    `Recommended λ = ${result.recommendedLambda} (95% CI ${result.ciLower.toFixed(2)} to ${result.ciUpper.toFixed(2)}). ` +
+    `Create a transformed raw data sheet and run 'Restructure Data', 'Calculate All Metrics' and 'Run ANOVA' on it?`,
+    ui.ButtonSet.YES_NO
+  );
+  if (answer !== ui.Button.YES) return;
+
+  try {
+    const transformedSheet = createTransformedRawSheet(ss, rawSheet, transform);
+    runAnalysisPipeline(ss, transformedSheet);
+    Logger.log(`Analysis re-run on '${transformedSheet.getName()}'.`);
+    ui.alert('Success!', `Analysis re-run on '${transformedSheet.getName()}'. Check its assumption charts and tests before interpreting the ANOVA.`, ui.ButtonSet.OK);
+  } catch (error) {
+    Logger.log("Error in runBoxCoxSearch: " + error.message);
+    ui.alert('Error', `Re-analysis on transformed data failed: ${error.message}`, ui.ButtonSet.OK);
+  }
+}
+
+/**
+ * Box-Cox profile log-likelihood search over λ in [-2, 2] 
+ * (steps of 0.05) for the two-factor model. Data that are 
+ * not all positive are shifted first.
+ * 
+ * @param {Array<Array>} longData Long-format [Block, Treatment, Result] rows.
+ * @returns {Object} An object with properties:
+ * - shift: constant added to the data before transforming.
+ * - profile: array of { lambda, logLikelihood }.
+ * - bestLambda: λ with the largest log-likelihood.
+ * - ciLower, ciUpper: approximate 95% confidence limits for λ.
+ * - recommendedLambda: a convenient λ (−2, −1, −0.5, 0, 0.5, 1, 2) 
+ *   inside the interval, else bestLambda.
+ */
+function boxCoxSearch(longData) {
+  const values = longData.map(row => row[2]);
+  const n = values.length;
+  const minValue = Math.min(...values);
+  const shift = minValue > 0 ? 0 : 1 - minValue;
+  const y = values.map(v => v + shift);
+  const logY = y.map(Math.log);
+  const geometricMean = Math.exp(logY.reduce((a, v) => a + v, 0) / n);
+
+  const profile = Array.from({ length: 81 }, (_, i) => {
+    const lambda = Math.round((-2 + i * 0.05) * 100) / 100;
+    // Normalized transform so SS are comparable across λ
+    const z = lambda === 0
+      ? logY.map(v => geometricMean * v)
+      : y.map(v => (Math.pow(v, lambda) - 1) / (lambda * Math.pow(geometricMean, lambda - 1)));
+    const sse = modelResidualSS(longData, z);
+    return { lambda, logLikelihood: -n / 2 * Math.log(sse / n) };
+  });
+
+  const best = profile.reduce((a, p) => p.logLikelihood > a.logLikelihood ? p : a);
+  const cutoff = best.logLikelihood - Math.pow(normalInv(1 - (1 - CONFIDENCE_LEVEL) / 2), 2) / 2;
+  const inside = profile.filter(p => p.logLikelihood >= cutoff).map(p => p.lambda);
+  const ciLower = Math.min(...inside), ciUpper = Math.max(...inside);
+
+  const convenient = [-2, -1, -0.5, 0, 0.5, 1, 2]
+    .filter(lambda => lambda >= ciLower && lambda <= ciUpper)
+    .sort((a, b) => Math.abs(a - best.lambda) - Math.abs(b - best.lambda));
+  const recommendedLambda = convenient.length > 0 ? convenient[0] : best.lambda;
+
+  return { shift, profile, bestLambda: best.lambda, ciLower, ciUpper, recommendedLambda };
+}
+
+/**
+ * Residual SS of the two-factor model (block × treatment 
+ * cell means) for the given response values. Without 
+ * replication the additive block + treatment model is used.
+ * 
+ * @param {Array<Array>} longData Long-format [Block, Treatment, Result] rows.
+ * @param {Array<Number>} values Response values aligned with longData.
+ * @returns {Number} Residual sum of squares.
+ */
+function modelResidualSS(longData, values) {
+  const cells = new Map();
+  longData.forEach((row, i) => {
+    const key = `${row[0]}|${row[1]}`;
+    if (!cells.has(key)) cells.set(key, []);
+    cells.get(key).push(values[i]);
+  });
+
+  if (longData.length > cells.size) {
+    let sse = 0;
+    cells.forEach(cellValues => {
+      const mean = cellValues.reduce((a, v) => a + v, 0) / cellValues.length;
+      sse += cellValues.reduce((a, v) => a + Math.pow(v - mean, 2), 0);
+    });
+    return sse;
+  }
+
+  const blocks = [...new Set(longData.map(row => row[0]))];
+  const treatments = [...new Set(longData.map(row => row[1]))];
+  const X = longData.map(row => [
+    1,
+    ...blocks.map(block => row[0] === block ? 1 : 0),
+    ...treatments.map(treatment => row[1] === treatment ? 1 : 0)
+  ]);
+  return fitLinearModel(X, values).sse;
+}
+
+/**
+ * Writes the Box-Cox summary, the λ profile table 
+ * and its chart to the NH Checks sheet (columns AB:AC, 
+ * chart from column AE).
+ * 
+ * @param {Sheet} sheet The NH Checks sheet.
+ * @param {Object} result Result of boxCoxSearch().
+ * @returns {void}
+ */
+function writeBoxCoxResults(sheet, result) {
+  const chartTitle = 'Box-Cox Profile Log-likelihood';
+
+  // Clear an earlier search
+  sheet.getRange(1, 28, sheet.getMaxRows(), 2).clear().clearNote();
+  sheet.getCharts()
+    .filter(chart => chart.getOptions().get('title') === chartTitle)
+    .forEach(chart => sheet.removeChart(chart));
+
+  const transform = { type: 'boxcox', lambda: result.recommendedLambda, shift: result.shift };
+  const summaryData = [
+    ["Box-Cox Transformation", ""],
+    ["Shift (c)", result.shift],
+    ["Best λ", result.bestLambda],
+    ["95% CI for λ", `[${result.ciLower.toFixed(2)}, ${result.ciUpper.toFixed(2)}]`],
+    ["Recommended λ", result.recommendedLambda],
+    ["Transformation", describeTransform(transform)]
+  ];
+  sheet.getRange(1, 28, summaryData.length, 2)
+    .setValues(summaryData)
+    .setBorder(true, true, true, true, null, null, COLOR_PALETTE.thickBorder, SpreadsheetApp.BorderStyle.SOLID_MEDIUM);
+  sheet.getRange(1, 28, 1, 2).setFontWeight("bold");
+  setContrastColors(sheet.getRange(1, 28, 1, 2), COLOR_PALETTE.header);
+  sheet.getRange(2, 28, summaryData.length - 1, 1).setFontStyle("italic");
+  setContrastColors(sheet.getRange(5, 29), COLOR_PALETTE.subHeader);
+  sheet.getRange(1, 28)
+    .setNote("λ maximizes the profile log-likelihood of the block × treatment model " +
+      "on (x + c). The recommended λ is the nearest convenient value (−2, −1, −0.5, 0, 0.5, 1, 2) " +
+      "inside the 95% confidence interval. λ = 1 means no transformation is needed.");
+
+  // Profile table
+  const profileStartRow = summaryData.length + 2;
+  const profileData = [
+    ["λ", "Log-likelihood"],
+    ...result.profile.map(p => [p.lambda, p.logLikelihood])
+  ];
+  sheet.getRange(profileStartRow, 28, profileData.length, 2)
+    .setValues(profileData)
+    .setHorizontalAlignment("center");
+  sheet.getRange(profileStartRow, 28, 1, 2)
+    .setFontWeight("bold")
+    .setBorder(false, false, true, false, false, false);
+  sheet.getRange(profileStartRow + 1, 28, profileData.length - 1, 1).setNumberFormat("0.00");
+  sheet.getRange(profileStartRow + 1, 29, profileData.length - 1, 1).setNumberFormat("0.000");
+
+  // Highlight the best λ
+  const bestIdx = result.profile.findIndex(p => p.lambda === result.bestLambda);
+  setContrastColors(sheet.getRange(profileStartRow + 1 + bestIdx, 28, 1, 2), COLOR_PALETTE.significant);
+
+  const profileChart = sheet.newChart()
+    .asLineChart()
+    .addRange(sheet.getRange(profileStartRow, 28, profileData.length, 1))
+    .addRange(sheet.getRange(profileStartRow, 29, profileData.length, 1))
+    .setMergeStrategy(Charts.ChartMergeStrategy.MERGE_COLUMNS)
+    .setTransposeRowsAndColumns(false)
+    .setNumHeaders(1)
+    .setTitle(chartTitle)
+    .setXAxisTitle('λ')
+    .setYAxisTitle('Log-likelihood')
+    .setPosition(1, 31, 0, 0) // Row 1, Column AE
+    .setOption('legend.position', 'none')
+    .setOption('series.0.color', COLOR_PALETTE.header)
+    .setOption('series.0.lineWidth', 2)
+    .build();
+
+  sheet.insertChart(profileChart);
+}
+
+// ====================== RESPONSE TRANSFORMATIONS ======================
+/**
+ * Applies a response transformation to one value.
+ * 
+ * @param {Number} x Value on the original scale.
+ * @param {Object} transform Transformation, e.g. 
+ *                           { type: 'boxcox', lambda, shift }.
+ * @returns {Number} Transformed value.
+ */
+function transformResponse(x, transform) {
+  switch (transform.type) {
+    case 'boxcox': {
+      const v = x + transform.shift;
+      return transform.lambda === 0 ? Math.log(v) : (Math.pow(v, transform.lambda) - 1) / transform.lambda;
+    }
+    case 'log':
+      return Math.log(x + transform.c);
+    case 'sqrt':
+      return Math.sqrt(x + transform.c);
+    case 'arcsine': // in degrees
+      return Math.asin(Math.sqrt(x / transform.scale)) * 180 / Math.PI;
+    case 'reciprocal':
+      return 1 / x;
+    default:
+      throw new Error(`Unknown transformation: ${transform.type}`);
+  }
+}
+
+/**
+ * Returns a value on the analysis (transformed) scale 
+ * to the original units.
+ * 
+ * @param {Number} y Value on the transformed scale.
+ * @param {Object} transform Transformation object.
+ * @returns {Number} Value in original units.
+ */
+function backTransformResponse(y, transform) {
+  switch (transform.type) {
+    case 'boxcox':
+      return (transform.lambda === 0 
+        ? Math.exp(y) 
+        : Math.pow(transform.lambda * y + 1, 1 / transform.lambda)) - transform.shift;
+    case 'log':
+      return Math.exp(y) - transform.c;
+    case 'sqrt':
+      return Math.pow(Math.max(y, 0), 2) - transform.c;
+    case 'arcsine': {
+      const degrees = Math.min(Math.max(y, 0), 90);
+      return Math.pow(Math.sin(degrees * Math.PI / 180), 2) * transform.scale;
+    }
+    case 'reciprocal':
+      return 1 / y;
+    default:
+      throw new Error(`Unknown transformation: ${transform.type}`);
+  }
+}
+
+/**
+ * Tells whether a value on the transformed scale lies in 
+ * the range of the transformation, so it back-transforms 
+ * to a finite value in original units. Reciprocal and 
+ * Box-Cox values past the limit have no original value.
+ * 
+ * @param {Number} y Value on the transformed scale.
+ * @param {Object} transform Transformation object.
+ * @returns {Boolean} True if y can be back-transformed.
+ */
+function canBackTransform(y, transform) {
+  switch (transform.type) {
+    case 'boxcox':
+      return transform.lambda === 0 || transform.lambda * y + 1 > 0;
+    case 'reciprocal':
+      return y > 0;
+    default:
+      return true;
+  }
+}
+
+/**
+ * Tells whether back-transforming reverses the order 
+ * of values, as for the reciprocal and Box-Cox λ < 0.
+ * 
+ * @param {Object} transform Transformation object.
+ * @returns {Boolean} True for a decreasing back-transformation.
+ */
+function isDecreasingTransform(transform) {
+  return transform.type === 'reciprocal' || (transform.type === 'boxcox' && transform.lambda < 0);
+}
+
+/**
+ * Returns a short label of a response transformation.
+ * 
+ * @param {Object} transform Transformation object.
+ * @returns {String} Label, e.g. "Box-Cox λ=0.5".
+ */
+function describeTransform(transform) {
+  switch (transform.type) {
+    case 'boxcox':
+      return `Box-Cox λ=${transform.lambda}` + (transform.shift ? `, x+${Number(transform.shift.toFixed(4))}` : "");
+    case 'log':
+      return transform.c ? `log(x+${transform.c})` : "log(x)";
+    case 'sqrt':
+      return transform.c ? `√(x+${transform.c})` : "√x";
+    case 'arcsine':
+      return transform.scale === 100 ? "arcsine √(x/100)" : "arcsine √x";
+    case 'reciprocal':
+      return "1/x";
+    default:
+      return transform.type;
+  }
+}
+
+/**
+ * Creates (or replaces) a copy of the raw data sheet with 
+ * every treatment value transformed. The transformation 
+ * is recorded as developer metadata of the new sheet so 
+ * later steps know the analysis scale.
+ * 
+ * @param {Spreadsheet} ss The active spreadsheet.
+ * @param {Sheet} sourceSheet The raw data sheet.
+ * @param {Object} transform Transformation object.
+ * @returns {Sheet} The transformed raw data sheet.
+ */
+function createTransformedRawSheet(ss, sourceSheet, transform) {
+  const values = sourceSheet.getDataRange().getValues();
+  const transformed = values.map((row, r) => row.map((cell, c) => {
+    if (r === 0 || c === 0 || cell === "" || cell === null) return cell;
+    if (getCovariateTarget(values[0][c]) !== null) return cell;
+    const y = transformResponse(Number(cell), transform);
+    if (!isFinite(y)) {
+      throw new Error(`Value ${cell} at row ${r + 1}, column ${c + 1} cannot be transformed (${describeTransform(transform)}).`);
+    }
+    return y;
+  }));
+
+  const targetSheetName = `${sourceSheet.getName()} [${describeTransform(transform)}]`;
+  let targetSheet = ss.getSheetByName(targetSheetName);
+  if (!targetSheet) {
+    targetSheet = ss.insertSheet(targetSheetName);
+  } else {
+    targetSheet.clear();
+    targetSheet.getDeveloperMetadata().forEach(metadata => metadata.remove());
+  }
+
+  targetSheet.getRange(1, 1, transformed.length, transformed[0].length).setValues(transformed);
+  targetSheet.getRange(1, 1)
+    .setNote(`Transformed copy of '${sourceSheet.getName()}': ${describeTransform(transform)}.`);
+  targetSheet.addDeveloperMetadata(
+    RESPONSE_TRANSFORM_KEY,
+    JSON.stringify(Object.assign({ source: sourceSheet.getName() }, transform))
+  );
+  return targetSheet;
+}
+
+/**
+ * Returns the transformation recorded on a raw data 
+ * sheet by createTransformedRawSheet(), if any.
+ * 
+ * @param {Sheet} sheet The raw data sheet.
+ * @returns {Object|null} Transformation object or null.
+ */
+function getResponseTransform(sheet) {
+  if (!sheet) return null;
+  const metadata = sheet.getDeveloperMetadata()
+    .find(m => m.getKey() === RESPONSE_TRANSFORM_KEY);
+  return metadata ? JSON.parse(metadata.getValue()) : null;
+}
+
+/**
+ * Menu handlers of the 'Transform Response' submenu.
+ * 
+ * @customFunction
+ * @returns {void}
+ */
+function transformLog() { applyResponseTransformation('log'); }
+function transformSquareRoot() { applyResponseTransformation('sqrt'); }
+function transformArcsine() { applyResponseTransformation('arcsine'); }
+function transformReciprocal() { applyResponseTransformation('reciprocal'); }
+
+/**
+ * Function that creates a transformed copy of the raw 
+ * data sheet and runs the analysis on it. A sheet that 
+ * is itself transformed is replaced by its source first.
+ * 
+ * @param {String} type 'log', 'sqrt', 'arcsine' or 'reciprocal'.
+ * @returns {void}
+ */
+function applyResponseTransformation(type) {
+  const ui = SpreadsheetApp.getUi();
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let sourceSheet = ss.getSheetByName(getRawDataSheetNameFromCurrent(ss.getActiveSheet()));
+  const existing = getResponseTransform(sourceSheet);
+  if (existing) sourceSheet = ss.getSheetByName(existing.source);
+
+  const checkResult = checkSheetDataStructure(sourceSheet);
+  if (!checkResult.isValid) {
+    ui.alert('Data Validation Result', checkResult.message, ui.ButtonSet.OK);
+    Logger.log(checkResult.message);
+    return;
+  }
+
+  const header = sourceSheet.getDataRange().getValues()[0];
+  const values = sourceSheet.getDataRange().getValues().slice(1)
+    .flatMap(row => row.slice(1).filter((_, idx) => getCovariateTarget(header[idx + 1]) === null))
+    .filter(v => v !== "" && v !== null)
+    .map(Number);
+
+  try {
+    const transform = buildResponseTransform(type, values, ui);
+    if (!transform) return;
+
+    const transformedSheet = createTransformedRawSheet(ss, sourceSheet, transform);
+    runAnalysisPipeline(ss, transformedSheet);
+    Logger.log(`Analysis run on '${transformedSheet.getName()}'.`);
+    ui.alert('Success!', `Analysis run on '${transformedSheet.getName()}'. The ANOVA sheet also shows back-transformed treatment means in original units.`, ui.ButtonSet.OK);
+  } catch (error) {
+    Logger.log("Error in applyResponseTransformation: " + error.message);
+    ui.alert('Error', `Transformation failed: ${error.message}`, ui.ButtonSet.OK);
+  }
+}
+
+/**
+ * Builds the transformation object for the data, checking 
+ * the data fit its domain. log(x + c) asks for c.
+ * 
+ * @param {String} type 'log', 'sqrt', 'arcsine' or 'reciprocal'.
+ * @param {Array<Number>} values Raw treatment values.
+ * @param {Ui} ui The spreadsheet UI, used for prompts.
+ * @returns {Object|null} Transformation object, null if cancelled.
+ */
+function buildResponseTransform(type, values, ui) {
+  const minValue = Math.min(...values);
+  const maxValue = Math.max(...values);
+
+  switch (type) {
+    case 'log': {
+      const defaultC = minValue > 0 ? 0 : Math.ceil(1 - minValue);
+      const response = ui.prompt('log(x + c)', `Constant c added before taking the log (leave blank for ${defaultC}):`, ui.ButtonSet.OK_CANCEL);
+      if (response.getSelectedButton() !== ui.Button.OK) return null;
+      const text = response.getResponseText().trim();
+      const c = text === "" ? defaultC : Number(text);
+      if (isNaN(c) || minValue + c <= 0) {
+        throw new Error(`c must be a number making every x + c positive (smallest x is ${minValue}).`);
+      }
+      return { type, c };
+    }
+    case 'sqrt':
+      if (minValue < 0) throw new Error("Square root needs non-negative data.");
+      // √(x + 0.5) is preferred for counts that include zeros
+      return { type, c: minValue === 0 ? 0.5 : 0 };
+    case 'arcsine':
+      if (minValue < 0 || maxValue > 100) {
+        throw new Error("Arcsine needs proportions (0 to 1) or percentages (0 to 100).");
+      }
+      return { type, scale: maxValue > 1 ? 100 : 1 };
+    case 'reciprocal':
+      if (minValue <= 0) throw new Error("Reciprocal needs positive data.");
+      return { type };
+    default:
+      throw new Error(`Unknown transformation: ${type}`);
+  }
+}
+
+/**
+ * Writes back-transformed treatment means and confidence 
+ * limits under the Total summary table. Limits are 
+ * mean ± t × √(MS Error / n) on the analysis scale, 
+ * then back-transformed.
+ * 
+ * @param {Sheet} sheet The ANOVA sheet.
+ * @param {Number} startRow Row number of the first back-transformed row.
+ * @param {Object} rawData Observations raw data (transformed scale).
+ * @param {Object} treatments Array of treatments data.
+ * @param {Object} transform Transformation object.
+ * @param {Number} msError MS Error of the ANOVA.
+ * @param {Number} dfError Error degrees of freedom.
+ * @returns {void}
+ */
+function writeBackTransformedMeans(sheet, startRow, rawData, treatments, transform, msError, dfError) {
+  const tCrit = tDistInv(1 - (1 - CONFIDENCE_LEVEL) / 2, dfError);
+  const groups = [
+    ...treatments.map(treatment => rawData.filter(row => row[1] === treatment).map(row => row[2])),
+    rawData.map(row => row[2]) // Total column
+  ];
+
+  const limits = groups.map(values => {
+    const mean = values.reduce((a, v) => a + v, 0) / values.length;
+    const halfWidth = tCrit * Math.sqrt(msError / values.length);
+    // A limit past the range of the transformation has no value in original units
+    const ends = [mean - halfWidth, mean + halfWidth]
+      .map(y => canBackTransform(y, transform) ? backTransformResponse(y, transform) : "n/a");
+    // Reciprocal-type transformations reverse the order of the limits
+    if (isDecreasingTransform(transform)) ends.reverse();
+    return [backTransformResponse(mean, transform), ...ends];
+  });
+  const outOfRange = limits.some(l => l.includes("n/a"));
+
+  const pct = Math.round(CONFIDENCE_LEVEL * 100);
+  const tableData = [
+    ["Back-transformed Mean", ...limits.map(l => l[0])],
+    [`Lower ${pct}% CL`, ...limits.map(l => l[1])],
+    [`Upper ${pct}% CL`, ...limits.map(l => l[2])]
+  ];
+  sheet.getRange(startRow, 1, tableData.length, tableData[0].length)
+    .setValues(tableData)
+    .setBorder(true, false, false, false, false, false, COLOR_PALETTE.thickBorder, SpreadsheetApp.BorderStyle.SOLID);
+  sheet.getRange(startRow, 2, tableData.length, tableData[0].length - 1)
+    .setNumberFormat("0.00")
+    .setHorizontalAlignment("center");
+  setContrastColors(sheet.getRange(startRow, 1, tableData.length, 1), COLOR_PALETTE.subHeader);
+  sheet.getRange(startRow, 1)
+    .setNote(`Treatment means back-transformed from ${describeTransform(transform)} to original units. ` +
+      `Confidence limits are mean ± t(${dfError} df) × √(MS Error / n) on the analysis scale, back-transformed, ` +
+      "so they are not symmetric around the mean." +
+      (outOfRange ? " A limit shown as n/a falls outside the range of the transformation, " +
+        "so it has no value in original units (the interval is open-ended on that side)." : ""));
+}
+
+/**
+ * Runs 'Restructure Data', 'Calculate All Metrics' and 
+ * 'Run ANOVA' on a raw data sheet without the 
+ * intermediate dialogs, and shows the ANOVA sheet.
+ * 
+ * @param {Spreadsheet} ss The active spreadsheet.
+ * @param {Sheet} rawSheet The raw data sheet.
+ * @returns {Sheet} The ANOVA sheet.
+ */
+function runAnalysisPipeline(ss, rawSheet) {
+  const checkResult = restructureSheet(ss, rawSheet);
+  if (!checkResult.isValid) {
+    throw new Error(checkResult.message);
+  }
+
+  const nhSheet = ss.getSheetByName(rawSheet.getName() + " - NH Checks");
+  calculateAllMetrics(nhSheet);
+
+  const anovaSheet = withPermutationLock(() => buildANOVASheet(ss, rawSheet.getName(), nhSheet));
+  ss.setActiveSheet(anovaSheet);
+  return anovaSheet;
+}
+
+// ====================== TWO-FACTOR ANOVA GENERATION ======================
+/**
+ * Generates summary table of descriptive statistics and 
+ * a Two-Factor ANOVA table in a new sheet 
+ * with some formatting.
+ * 
+ */
+function generateANOVA() {
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    const currentSheet = ss.getActiveSheet();
+    const rawDataSheetName = getRawDataSheetNameFromCurrent(currentSheet);
+    const nhSheetName = rawDataSheetName + " - NH Checks";
+
+    // Latin square designs are analysed straight from the raw data sheet
+    const rawSheet = ss.getSheetByName(rawDataSheetName);
+    const design = getExperimentalDesign(rawSheet);
+    if (design !== 'rcbd') {
+        const latinCheck = checkLatinSquare(readLatinSquareData(rawSheet, design), design);
+        if (!latinCheck.isValid) {
+            Browser.msgBox("Data Validation Result", latinCheck.message, Browser.Buttons.OK);
+            Logger.log(`ANOVA generation failed: ${latinCheck.message}`);
+            return;
+        }
+        buildLatinSquareSheet(ss, rawDataSheetName, readLatinSquareData(rawSheet, design), design);
+        Browser.msgBox("Success!", "ANOVA generation completed successfully.", Browser.Buttons.OK);
+        Logger.log("ANOVA generation completed successfully.");
+        return;
+    }
+
+    const nhSheet = ss.getSheetByName(nhSheetName);
+    if (!nhSheet) {
+        Browser.msgBox("Error", "Run 'ANOVA Assumptions Check' first", Browser.Buttons.OK);
+        Logger.log("ANOVA generation failed: No NH Checks sheet found.");
+        return;
+    }
+
+    try {
+        withPermutationLock(() => buildANOVASheet(ss, rawDataSheetName, nhSheet));
+    } catch (e) {
+        Browser.msgBox("Error", `ANOVA could not be generated: ${e.message}`, Browser.Buttons.OK);
+        Logger.log(`ANOVA generation failed: ${e.message}`);
+        return;
+    }
+
+    // Log the successful ANOVA generation
+    Browser.msgBox("Success!", "ANOVA generation completed successfully.", Browser.Buttons.OK);
+    Logger.log("ANOVA generation completed successfully.");
+}
+
+/**
+ * Builds the summary tables, the ANOVA table and the 
+ * interpretation on the `${rawDataSheetName} - ANOVA` sheet 
+ * from the long data of the NH Checks sheet.
+ * 
+ * @param {Spreadsheet} ss The active spreadsheet.
+ * @param {String} rawDataSheetName Name of the raw data sheet.
+ * @param {Sheet} nhSheet The NH Checks sheet of the raw data.
+ * @returns {Sheet} The ANOVA sheet.
+ */
+function buildANOVASheet(ss, rawDataSheetName, nhSheet) {
+    const targetSheetName = rawDataSheetName + " - ANOVA";
+
+    // Get raw data and design parameters
+    const rawData = readLongData(nhSheet);
+    const blocks = [...new Set(rawData.map(row => row[0]))];
+    const treatments = [...new Set(rawData.map(row => row[1]))];
+    const balance = checkDesignBalance(rawData, blocks, treatments);
+    const b = blocks.length, t = treatments.length, r = balance.r;
+    const settingsContext = { treatments };
+
+    // Read the contrasts first, so a bad contrast sheet fails before the ANOVA sheet is cleared
+    const contrastSheet = ss.getSheetByName(rawDataSheetName + " - Contrasts");
+    const contrasts = contrastSheet ? readContrasts(contrastSheet, treatments) : [];
+
+    // Create or clear ANOVA sheet, keeping the user's settings
+    let anovaSheet = ss.getSheetByName(targetSheetName);
+    const settings = readANOVASettings(anovaSheet, settingsContext);
+    if (!anovaSheet) anovaSheet = ss.insertSheet(targetSheetName);
+    else {
+        // Validations first: after clear() the data range shrinks to A1
+        anovaSheet.getRange(1, 1, anovaSheet.getMaxRows(), anovaSheet.getMaxColumns()).clearDataValidations();
+        anovaSheet.clear();
+    }
+
+    // Add titles
+    anovaSheet.getRange("A1").setValue("Statistical Analysis for RCBD with Replication")
+        .setFontWeight("bold");
+
+    // Color formatting sheet title
+    setContrastColors(anovaSheet.getRange("A1:E1"), COLOR_PALETTE.header);
+
+    // Analysis settings next to the title
+    writeANOVASettings(anovaSheet, settings, settingsContext);
+
+    // Note the analysis scale of transformed data
+    const transform = getResponseTransform(ss.getSheetByName(rawDataSheetName));
+    if (transform) {
+        anovaSheet.getRange("A1")
+            .setNote(`Analysis on the transformed scale (${describeTransform(transform)}) of '${transform.source}'.`);
+    }
+
+    let currentRow = 3;
+
+    // Generate descriptive statistics headers
+    const headerRow = ["SUMMARY", ...treatments, "Total"];
+    anovaSheet.getRange(currentRow, 1, 1, headerRow.length)
+        .setValues([headerRow])
+        .setFontStyle("italic")
+        .setFontWeight("bold");
+    // Change current row
+    currentRow++;
+
+    // Generate block summary tables
+    blocks.forEach((block, blockIdx) => {
+        // Add block label
+        anovaSheet.getRange(currentRow, 1)
+        .setValue(block)
+        .setFontStyle("italic");
+        currentRow++;
+
+        const blockData = rawData.filter(row => row[0] === block);
+
+        // Calculate statistics
+        const stats = {
+        count: treatments.map(t => 
+            blockData.filter(row => row[1] === t).length),
+        sum: treatments.map(t => 
+            blockData.filter(row => row[1] === t).reduce((a, v) => a + v[2], 0)),
+        avg: treatments.map(t => 
+            meanOrBlank(blockData.filter(row => row[1] === t).map(r => r[2]))),
+        var: treatments.map(t => 
+            varianceOrBlank(blockData.filter(row => row[1] === t).map(r => r[2])))
+        };
+
+        // Add totals column
+        stats.count.push(stats.count.reduce((a, v) => a + v, 0));
+        stats.sum.push(stats.sum.reduce((a, v) => a + v, 0));
+        stats.avg.push(stats.sum[stats.sum.length-1] / stats.count[stats.count.length-1]);
+        stats.var.push(
+        blockData.reduce((sum, row) => sum + Math.pow(row[2] - stats.avg[stats.avg.length-1], 2), 0) /
+        (blockData.length - 1)
+        );
+
+        // Build table
+        const tableData = [
+        ["Count", ...stats.count],
+        ["Sum", ...stats.sum],
+        ["Average", ...stats.avg],
+        ["Variance", ...stats.var]
+        ];
+        
+        // Write data to table
+        anovaSheet.getRange(currentRow, 1, 4, tableData[0].length)
+        .setValues(tableData)
+        .setBorder(true, false, false, false, false, false, COLOR_PALETTE.thickBorder, SpreadsheetApp.BorderStyle.SOLID_MEDIUM);
+
+        anovaSheet.getRange(currentRow + 1, 2, 3, tableData[0].length)
+        .setNumberFormat("0.00");
+        
+        currentRow += 5; // 4 data rows + 1 spacer
+    });
+
+    // Generate Total table
+    const totalTableRow = currentRow;
+    anovaSheet.getRange(currentRow, 1)
+        .setValue("Total")
+        .setFontWeight("bold")
+        .setFontStyle("italic");
+    currentRow++;
+
+    const totalStats = {
+        count: treatments.map(t => 
         rawData.filter(row => row[1] === t).length),
         sum: treatments.map(t => 
         rawData.filter(row => row[1] === t).reduce((a, v) => a + v[2], 0)),
-        avg: treatments.map(t => {
-        const data = rawData.filter(row => row[1] === t).map(r => r[2]);
-        return data.reduce((a, v) => a + v, 0) / data.length;
-        }),
-        var: treatments.map(t => {
-        const data = rawData.filter(row => row[1] === t).map(r => r[2]);
-        const mean = data.reduce((a, v) => a + v, 0) / data.length;
-        return data.reduce((a, v) => a + Math.pow(v - mean, 2), 0) / (data.length - 1);
-        })
+        avg: treatments.map(t => 
+        meanOrBlank(rawData.filter(row => row[1] === t).map(r => r[2]))),
+        var: treatments.map(t => 
+        varianceOrBlank(rawData.filter(row => row[1] === t).map(r => r[2])))
+    };
+
+    const totalTableData = [
+        ["Count", ...totalStats.count],
+        ["Sum", ...totalStats.sum],
+        ["Average", ...totalStats.avg],
+        ["Variance", ...totalStats.var]
+    ];
+
+    anovaSheet.getRange(currentRow, 1, 4, totalTableData[0].length)
+        .setValues(totalTableData)
+        .setBorder(true, false, false, false, false, false, COLOR_PALETTE.thickBorder, SpreadsheetApp.BorderStyle.SOLID_MEDIUM);
+
+    anovaSheet.getRange(currentRow + 1, 2, 3, totalTableData[0].length)
+        .setNumberFormat("0.00");
+
+    // Formatting first column
+    anovaSheet.getRange("A:A")
+        .setHorizontalAlignment("left")
+        .setWrap(false);
+
+    // Align to center except last Total header
+    anovaSheet.getRange(1, 2, currentRow + 3, headerRow.length - 1)
+        .setHorizontalAlignment("center");
+
+    // Align Total header to right
+    anovaSheet.getRange(1, headerRow.length, currentRow)
+        .setHorizontalAlignment("right");
+
+    // Reserve rows under the Total table for back-transformed means
+    const backTransformRow = currentRow + 4;
+    if (transform) currentRow += 3;
+
+    // Report short cells of an unbalanced design
+    currentRow += 4;
+    if (!balance.isBalanced) {
+        currentRow = writeDesignBalanceReport(anovaSheet, currentRow + 1, balance);
+    }
+
+    // Keep the ANOVA table clear of the treatment means table
+    currentRow = Math.max(currentRow, totalTableRow + t + 3);
+
+    // Generate ANOVA table after spacing
+    currentRow += 4;
+    const anova = generateANOVATable(anovaSheet, currentRow, rawData, blocks, treatments, b, t, r, 
+        getEstimatedPlotCounts(nhSheet), settings.blockModel);
+
+    // Back-transformed treatment means in original units
+    if (transform) {
+        writeBackTransformedMeans(anovaSheet, backTransformRow, rawData, treatments, transform, 
+            anova.msTreatmentError, anova.dfTreatmentError);
+    }
+
+    // Color formatting P-value cells
+    formatANOVATable(anovaSheet, currentRow);
+
+    // Generate Statistical Interpretation
+    const interpretationEndRow = generateStatisticalInterpretation(anovaSheet, currentRow);
+
+    // Sorted treatment means with letter groupings next to the Total table
+    const alpha = anovaSheet.getRange(currentRow, 9).getValue();
+    const treatmentPValue = fDistRightTail(anova.fTreatments, anova.dfTreatments, anova.dfTreatmentError);
+    generateMeansTable(anovaSheet, totalTableRow, headerRow.length + 2, summarizeTreatments(rawData, treatments),
+        settings.meanSeparation, anova.msTreatmentError, anova.dfTreatmentError, alpha, treatmentPValue);
+
+    // A × B partition of factorial treatments
+    const factorialEndRow = settings.factorSeparator === 'None' 
+        ? interpretationEndRow 
+        : generateFactorialAnalysis(anovaSheet, interpretationEndRow + 2, rawData, treatments, 
+            settings.factorSeparator, anova, alpha);
+
+    // Post-hoc comparisons of treatment means, using the error term of the treatment F test
+    const tukeyEndRow = generateTukeyHSD(anovaSheet, factorialEndRow + 2, rawData, treatments, 
+        anova.msTreatmentError, anova.dfTreatmentError, alpha, treatmentPValue);
+
+    // Many-to-one comparisons against the control treatment
+    const dunnettEndRow = generateDunnettTest(anovaSheet, tukeyEndRow + 2, summarizeTreatments(rawData, treatments),
+        settings.control, settings.dunnettAlternative, anova.msTreatmentError, anova.dfTreatmentError, alpha);
+
+    // Simple effects of a significant block × treatment interaction
+    const interactionPValue = fDistRightTail(anova.fInteraction, anova.dfInteraction, anova.dfError);
+    const simpleEffectsEndRow = generateSimpleEffects(anovaSheet, dunnettEndRow + 2, rawData, 
+        anova.msError, anova.dfError, alpha, interactionPValue);
+
+    // Variance components and heritability, treating treatments as genotypes
+    const grandMean = rawData.reduce((a, row) => a + row[2], 0) / rawData.length;
+    generateVarianceComponents(anovaSheet, simpleEffectsEndRow + 2, anova, b, t, grandMean, 
+        parseFloat(settings.selectionProportion) / 100);
+
+    // Contrast rows go beneath Treatments last, as inserting shifts the rows below
+    if (contrasts.length > 0) {
+        const contrastResults = analyzeContrasts(contrasts, summarizeTreatments(rawData, treatments), 
+            anova.msTreatmentError);
+        writeContrastRows(anovaSheet, currentRow, contrastResults, alpha, anova.treatmentErrorSource);
+    }
+
+    // Expected mean squares beside the final ANOVA rows, contrasts sharing the treatment denominator
+    const emsRows = expectedMeanSquares(b, t, anova.cellReplication, anova.blockModel);
+    const treatmentEMS = emsRows[1];
+    emsRows.splice(2, 0, ...contrasts.map(contrast => ({
+        source: `  ${contrast.name}`,
+        ems: `${treatmentEMS.ems.replace(/ \+ [\d.]+θ²T$/, "")} + ψ²/Σ(cᵢ²/nᵢ)`,
+        denominator: treatmentEMS.denominator
+    })));
+    writeEMSTable(anovaSheet, currentRow, 13, emsRows);
+
+    // Permutation P-values once the table rows are final; long runs resume in later executions
+    startPermutationTest(ss, anovaSheet, nhSheet, currentRow, contrasts.length, settings, anova.blockModel);
+
+    return anovaSheet;
+}
+
+// ====================== NONPARAMETRIC ANALYSIS ======================
+/**
+ * Runs Friedman's test, the aligned rank transform ANOVA 
+ * and the Nemenyi/Conover comparisons on the NH Checks data 
+ * and writes them to the `${rawDataSheetName} - Nonparametric` sheet.
+ * 
+ * @customFunction
+ * @returns {void}
+ */
+function generateNonparametric() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const rawDataSheetName = getRawDataSheetNameFromCurrent(ss.getActiveSheet()).replace(/ - Nonparametric$/, "");
+  const nhSheet = ss.getSheetByName(rawDataSheetName + " - NH Checks");
+  if (!nhSheet) {
+    Browser.msgBox("Error", "Run 'ANOVA Assumptions Check' first", Browser.Buttons.OK);
+    return;
+  }
+
+  const data = readLongData(nhSheet);
+
+  let friedman, art;
+  try {
+    friedman = friedmanTest(data);
+    art = alignedRankTransformANOVA(data);
+  } catch (e) {
+    Browser.msgBox("Error", `Nonparametric tests could not be computed: ${e.message}`, Browser.Buttons.OK);
+    Logger.log(`Nonparametric tests failed: ${e.message}`);
+    return;
+  }
+
+  const targetSheetName = rawDataSheetName + " - Nonparametric";
+  let sheet = ss.getSheetByName(targetSheetName);
+  if (!sheet) sheet = ss.insertSheet(targetSheetName);
+  else sheet.clear();
+
+  writeNonparametricSheet(sheet, friedman, art, rankComparisons(friedman));
+  ss.setActiveSheet(sheet);
+
+  Browser.msgBox("Success!", "Nonparametric tests completed successfully.", Browser.Buttons.OK);
+  Logger.log("Nonparametric tests completed successfully.");
+}
+
+/**
+ * Ranks the values in ascending order, giving tied 
+ * values the average of the ranks they span.
+ * 
+ * @param {Array<Number>} values Values to rank.
+ * @returns {Array<Number>} Ranks in the order of the values.
+ */
+function averageRanks(values) {
+  const order = values.map((v, i) => i).sort((i, j) => values[i] - values[j]);
+  const ranks = new Array(values.length);
+  for (let start = 0; start < order.length;) {
+    let end = start;
+    while (end + 1 < order.length && values[order[end + 1]] === values[order[start]]) end++;
+    for (let k = start; k <= end; k++) ranks[order[k]] = (start + end) / 2 + 1;
+    start = end + 1;
+  }
+  return ranks;
+}
+
+/**
+ * Friedman's test on the block × treatment cell medians, 
+ * ranked within each block (average ranks for ties), with 
+ * the tie-corrected χ² and the Iman-Davenport F.
+ * 
+ * @param {Array<Array>} data [Block, Treatment, Result] rows.
+ * @returns {Object} { blocks, treatments, ranks, rankSums, chiSquare, df, 
+ *                   pValue, f, dfF, pValueF, sumSquaredRanks, separated }, 
+ *                   separated when every block ranks the treatments alike 
+ *                   (χ² = b(t − 1), F infinite).
+ */
+function friedmanTest(data) {
+  const blocks = [...new Set(data.map(row => row[0]))];
+  const treatments = [...new Set(data.map(row => row[1]))];
+  const b = blocks.length;
+  const t = treatments.length;
+  if (b < 2 || t < 2) throw new Error("Friedman's test needs at least 2 blocks and 2 treatments.");
+
+  const ranks = blocks.map(block => {
+    const medians = treatments.map(treatment => {
+      const cell = data.filter(row => row[0] === block && row[1] === treatment).map(row => row[2]);
+      if (!cell.length) throw new Error(`No observation for treatment ${treatment} in block ${block}.`);
+      return median(cell);
+    });
+    return averageRanks(medians);
+  });
+
+  const rankSums = treatments.map((_, j) => ranks.reduce((sum, row) => sum + row[j], 0));
+  const sumSquaredRanks = ranks.reduce((sum, row) => sum + row.reduce((s, r) => s + r * r, 0), 0);
+  const correction = b * t * Math.pow(t + 1, 2) / 4;
+
+  // Tie-corrected statistic: (t − 1) Σ(Rⱼ − b(t + 1)/2)² / (A − C)
+  const spread = rankSums.reduce((sum, R) => sum + Math.pow(R - b * (t + 1) / 2, 2), 0);
+  const chiSquare = sumSquaredRanks > correction ? (t - 1) * spread / (sumSquaredRanks - correction) : 0;
+  const df = t - 1;
+  const dfF = [t - 1, (b - 1) * (t - 1)];
+  const separated = chiSquare > 0 && chiSquare >= b * (t - 1) * (1 - 1e-9);
+  const f = separated ? Infinity : (b - 1) * chiSquare / (b * (t - 1) - chiSquare);
+
+  return {
+    blocks, treatments, ranks, rankSums, sumSquaredRanks, separated,
+    chiSquare, df, pValue: chiSquareRightTail(chiSquare, df),
+    f, dfF, pValueF: separated ? 0 : fDistRightTail(f, dfF[0], dfF[1])
+  };
+}
+
+/**
+ * Pairwise comparisons of the Friedman rank sums: Nemenyi's 
+ * test (studentized range with infinite df) and Conover's 
+ * t-test with Holm-adjusted P-values. With complete separation 
+ * the Conover SE is zero, so pairs with different rank sums 
+ * get an infinite t and P = 0.
+ * 
+ * @param {Object} friedman Output of friedmanTest().
+ * @returns {Array<Object>} { treatmentA, treatmentB, difference, 
+ *                          nemenyiQ, nemenyiP, conoverT, conoverP, conoverHolm }
+ */
+function rankComparisons(friedman) {
+  const { treatments, rankSums, sumSquaredRanks, chiSquare, separated } = friedman;
+  const b = friedman.blocks.length;
+  const t = treatments.length;
+  const nemenyiSE = Math.sqrt(t * (t + 1) / (12 * b));
+  const correction = b * t * Math.pow(t + 1, 2) / 4;
+  const dfConover = (b - 1) * (t - 1);
+  const conoverSE = separated ? 0 : Math.sqrt(Math.max(0, 2 * b * (sumSquaredRanks - correction) * 
+    (1 - chiSquare / (b * (t - 1))) / dfConover));
+
+  const pairs = [];
+  for (let i = 0; i < t; i++) {
+    for (let j = i + 1; j < t; j++) {
+      const difference = (rankSums[i] - rankSums[j]) / b;
+      const nemenyiQ = Math.abs(difference) / nemenyiSE;
+      const rankSumDifference = Math.abs(rankSums[i] - rankSums[j]);
+      const conoverT = conoverSE > 0 ? rankSumDifference / conoverSE 
+        : rankSumDifference > 0 ? Infinity : 0;
+      const conoverP = conoverSE > 0 ? 2 * (1 - tDistCdf(conoverT, dfConover)) 
+        : rankSumDifference > 0 ? 0 : 1;
+      pairs.push({
+        treatmentA: treatments[i], treatmentB: treatments[j], difference,
+        nemenyiQ, nemenyiP: 1 - studentizedRangeCdf(nemenyiQ, t, Infinity),
+        conoverT, conoverP
+      });
+    }
+  }
+
+  // Holm step-down adjustment of the Conover P-values
+  const order = pairs.map((_, i) => i).sort((i, j) => pairs[i].conoverP - pairs[j].conoverP);
+  let runningMax = 0;
+  order.forEach((idx, k) => {
+    runningMax = Math.max(runningMax, Math.min(1, (pairs.length - k) * pairs[idx].conoverP));
+    pairs[idx].conoverHolm = runningMax;
+  });
+  return pairs;
+}
+
+/**
+ * Aligned rank transform ANOVA (Wobbrock et al., 2011): for 
+ * each effect the responses are aligned (cell residual plus 
+ * the estimated effect), ranked, and the full Block × Treatment 
+ * model is fitted to the ranks, keeping only that effect's line.
+ * 
+ * @param {Array<Array>} data [Block, Treatment, Result] rows.
+ * @returns {Array<Object>} { source, ss, df, ms, f, dfError, pValue } 
+ *                          for blocks, treatments and interaction.
+ */
+function alignedRankTransformANOVA(data) {
+  const blocks = [...new Set(data.map(row => row[0]))];
+  const treatments = [...new Set(data.map(row => row[1]))];
+  const mean = values => values.reduce((a, v) => a + v, 0) / values.length;
+  const grandMean = mean(data.map(row => row[2]));
+  const blockMean = {}, treatmentMean = {}, cellMean = {};
+  blocks.forEach(block => blockMean[block] = mean(data.filter(row => row[0] === block).map(row => row[2])));
+  treatments.forEach(treatment => 
+    treatmentMean[treatment] = mean(data.filter(row => row[1] === treatment).map(row => row[2])));
+  data.forEach(row => {
+    const key = row[0] + '\u0000' + row[1];
+    if (!(key in cellMean)) {
+      cellMean[key] = mean(data.filter(other => other[0] === row[0] && other[1] === row[1]).map(other => other[2]));
+    }
+  });
+
+  const effects = [
+    { source: "Blocks", ss: "ssBlocks", df: "blocks",
+      effect: row => blockMean[row[0]] - grandMean },
+    { source: "Treatments", ss: "ssTreatments", df: "treatments",
+      effect: row => treatmentMean[row[1]] - grandMean },
+    { source: "Interaction", ss: "ssInteraction", df: "interaction",
+      effect: row => cellMean[row[0] + '\u0000' + row[1]] - blockMean[row[0]] - treatmentMean[row[1]] + grandMean }
+  ];
+
+  return effects.map(({ source, ss, df, effect }) => {
+    const aligned = data.map(row => row[2] - cellMean[row[0] + '\u0000' + row[1]] + effect(row));
+    const ranks = averageRanks(aligned);
+    const fit = calculateLeastSquaresSS(data.map((row, i) => [row[0], row[1], ranks[i]]), blocks, treatments);
+    const dfEffect = fit.df[df];
+    const dfError = fit.df.error;
+    if (dfError < 1) throw new Error("No error df left: the ART ANOVA needs replicated plots within blocks.");
+    const ms = fit[ss] / dfEffect;
+    const f = ms / (fit.ssError / dfError);
+    return { source, ss: fit[ss], df: dfEffect, ms, f, dfError, pValue: fDistRightTail(f, dfEffect, dfError) };
+  });
+}
+
+/**
+ * Writes the Friedman test, the rank comparisons and 
+ * the ART ANOVA to the Nonparametric sheet.
+ * 
+ * @param {Sheet} sheet The Nonparametric sheet.
+ * @param {Object} friedman Output of friedmanTest().
+ * @param {Array<Object>} art Output of alignedRankTransformANOVA().
+ * @param {Array<Object>} pairs Output of rankComparisons().
+ * @returns {void}
+ */
+function writeNonparametricSheet(sheet, friedman, art, pairs) {
+  const alpha = ASSUMPTION_ALPHA;
+  const styleTable = (row, data) => {
+    sheet.getRange(row, 1, data.length, data[0].length)
+      .setValues(data)
+      .setBorder(true, true, true, true, null, null, COLOR_PALETTE.thickBorder, SpreadsheetApp.BorderStyle.SOLID_MEDIUM);
+    sheet.getRange(row, 1, 1, data[0].length)
+      .setFontStyle("italic")
+      .setBorder(false, false, true, false, null, null, COLOR_PALETTE.thickBorder, SpreadsheetApp.BorderStyle.SOLID);
+    sheet.getRange(row, 2, data.length, data[0].length - 1).setHorizontalAlignment("center");
+  };
+  const sectionTitle = (row, title, width) => {
+    sheet.getRange(row, 1).setValue(title).setFontWeight("bold");
+    setContrastColors(sheet.getRange(row, 1, 1, width), COLOR_PALETTE.header);
+  };
+  const colorPValue = (cell, pValue) => 
+    setContrastColors(cell, pValue < alpha ? COLOR_PALETTE.significant : COLOR_PALETTE.ns);
+
+  sheet.getRange("A1").setValue("Nonparametric Analysis for RCBD with Replication")
+    .setFontWeight("bold");
+  setContrastColors(sheet.getRange("A1:G1"), COLOR_PALETTE.header);
+
+  // Friedman's test
+  const b = friedman.blocks.length;
+  const finiteOrInfinity = value => isFinite(value) ? value : "∞";
+  sectionTitle(3, "Friedman Test (block × treatment cell medians)", 5);
+  styleTable(4, [
+    ["Statistic", "Value", "df", "", "P-value"],
+    ["Friedman χ²", friedman.chiSquare, friedman.df, "", friedman.pValue],
+    ["Iman-Davenport F", finiteOrInfinity(friedman.f), friedman.dfF[0], friedman.dfF[1], friedman.pValueF]
+  ]);
+  sheet.getRange(5, 2, 2, 1).setNumberFormat("0.000");
+  sheet.getRange(5, 5, 2, 1).setNumberFormat("0.0000");
+  colorPValue(sheet.getRange(5, 5), friedman.pValue);
+  colorPValue(sheet.getRange(6, 5), friedman.pValueF);
+  sheet.getRange(3, 1).setNote("Replicates are summarized by their median in each block × treatment cell, " +
+    "ranked within blocks (ties get average ranks). χ² is tie-corrected; the Iman-Davenport F is less conservative." +
+    (friedman.separated ? " Every block ranks the treatments the same way, so F and the Conover t of differing pairs are infinite." : ""));
+
+  const rankRow = 8;
+  const rankData = [
+    ["Treatment", "Rank Sum", "Mean Rank"],
+    ...friedman.treatments.map((treatment, j) => [treatment, friedman.rankSums[j], friedman.rankSums[j] / b])
+  ];
+  styleTable(rankRow, rankData);
+  sheet.getRange(rankRow + 1, 2, rankData.length - 1, 2).setNumberFormat("0.00");
+
+  // Pairwise comparisons
+  const pairsRow = rankRow + rankData.length + 2;
+  sectionTitle(pairsRow, "Pairwise Rank Comparisons (Nemenyi, Conover)", 7);
+  const pairsData = [
+    ["Comparison", "Mean Rank Diff", "Nemenyi q", "Nemenyi P", "Conover t", "Conover P", "Conover P (Holm)"],
+    ...pairs.map(pair => [`${pair.treatmentA} vs ${pair.treatmentB}`, pair.difference,
+      pair.nemenyiQ, pair.nemenyiP, finiteOrInfinity(pair.conoverT), pair.conoverP, pair.conoverHolm])
+  ];
+  styleTable(pairsRow + 1, pairsData);
+  sheet.getRange(pairsRow + 2, 2, pairs.length, 2).setNumberFormat("0.000");
+  sheet.getRange(pairsRow + 2, 5, pairs.length, 1).setNumberFormat("0.000");
+  sheet.getRange(pairsRow + 2, 4, pairs.length, 1).setNumberFormat("0.0000");
+  sheet.getRange(pairsRow + 2, 6, pairs.length, 2).setNumberFormat("0.0000");
+  pairs.forEach((pair, idx) => {
+    colorPValue(sheet.getRange(pairsRow + 2 + idx, 4), pair.nemenyiP);
+    colorPValue(sheet.getRange(pairsRow + 2 + idx, 7), pair.conoverHolm);
+  });
+  sheet.getRange(pairsRow, 1).setNote("Nemenyi: q = |R̄ᵢ − R̄ⱼ| / √(t(t + 1) / 12b) against the studentized range " +
+    "with infinite df. Conover: t-test on the rank sums with (b − 1)(t − 1) df, Holm-adjusted for multiplicity.");
+
+  // Aligned rank transform ANOVA
+  const artRow = pairsRow + pairsData.length + 2;
+  sectionTitle(artRow, "Aligned Rank Transform ANOVA", 7);
+  const artData = [
+    ["Source", "SS (ranks)", "df", "MS", "F", "df Error", "P-value"],
+    ...art.map(row => [row.source, row.ss, row.df, row.ms, row.f, row.dfError, row.pValue])
+  ];
+  styleTable(artRow + 1, artData);
+  sheet.getRange(artRow + 2, 2, art.length, 1).setNumberFormat("0.00");
+  sheet.getRange(artRow + 2, 4, art.length, 2).setNumberFormat("0.000");
+  sheet.getRange(artRow + 2, 7, art.length, 1).setNumberFormat("0.0000");
+  art.forEach((row, idx) => colorPValue(sheet.getRange(artRow + 2 + idx, 7), row.pValue));
+  sheet.getRange(artRow, 1).setNote("Each line comes from its own ranking: responses are aligned by " +
+    "stripping all effects but the one tested, ranked, and analysed with the full Block × Treatment model " +
+    "(Wobbrock et al., 2011).");
+
+  // Interpretation
+  const interpretationRow = artRow + artData.length + 2;
+  sectionTitle(interpretationRow, "Result Interpretation", 3);
+  const significantPairs = pairs.filter(pair => pair.conoverHolm < alpha).length;
+  const lines = [
+    friedman.pValue < alpha
+      ? `Friedman's test finds significant treatment differences (χ² = ${friedman.chiSquare.toFixed(3)}, P = ${friedman.pValue.toFixed(4)}).`
+      : `Friedman's test finds no significant treatment differences (P = ${friedman.pValue.toFixed(4)}).`,
+    `${significantPairs} of ${pairs.length} treatment pairs differ by Conover's test (Holm-adjusted).`,
+    ...art.map(row => `ART ANOVA – ${row.source}: ${row.pValue < alpha ? "significant" : "not significant"} (P = ${row.pValue.toFixed(4)}).`)
+  ];
+  lines.forEach((line, idx) => sheet.getRange(interpretationRow + 1 + idx, 1).setValue(line));
+
+  sheet.autoResizeColumns(1, 7);
+}
+
+// ====================== ANALYSIS OF COVARIANCE ======================
+/**
+ * Runs the analysis of covariance on the NH Checks data, 
+ * using the plot covariate carried over by restructureData() 
+ * in column K, and writes it to the `${rawDataSheetName} - ANCOVA` sheet.
+ * 
+ * @customFunction
+ * @returns {void}
+ */
+function generateANCOVA() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const rawDataSheetName = getRawDataSheetNameFromCurrent(ss.getActiveSheet()).replace(/ - ANCOVA$/, "");
+  const nhSheet = ss.getSheetByName(rawDataSheetName + " - NH Checks");
+  if (!nhSheet) {
+    Browser.msgBox("Error", "Run 'ANOVA Assumptions Check' first", Browser.Buttons.OK);
+    return;
+  }
+  if (nhSheet.getRange(1, 11).getValue() !== COVARIATE_HEADER) {
+    Browser.msgBox("Error", 
+      `No covariate found. Add a '${COVARIATE_HEADER}' or '${COVARIATE_HEADER}: <treatment>' column to ` +
+      `'${rawDataSheetName}' and run 'Restructure Data' again.`, Browser.Buttons.OK);
+    return;
+  }
+
+  const lastRow = getLongDataLastRow(nhSheet);
+  const responses = nhSheet.getRange(2, 1, lastRow - 1, 3).getValues();
+  const covariates = nhSheet.getRange(2, 11, lastRow - 1, 1).getValues();
+  const plots = responses
+    .map((row, idx) => ({ sheetRow: idx + 2, values: [...row, covariates[idx][0]] }))
+    .filter(({ values }) => values[0] !== "" && typeof values[2] === 'number');
+  const skippedRows = plots.filter(({ values }) => typeof values[3] !== 'number').map(({ sheetRow }) => sheetRow);
+  const data = plots.filter(({ values }) => typeof values[3] === 'number').map(({ values }) => values);
+
+  let result;
+  try {
+    result = ancova(data);
+  } catch (e) {
+    Browser.msgBox("Error", `ANCOVA could not be computed: ${e.message}`, Browser.Buttons.OK);
+    Logger.log(`ANCOVA failed: ${e.message}`);
+    return;
+  }
+
+  const targetSheetName = rawDataSheetName + " - ANCOVA";
+  let sheet = ss.getSheetByName(targetSheetName);
+  const alpha = readAlphaCell(sheet, 7, 7);
+  if (!sheet) sheet = ss.insertSheet(targetSheetName);
+  else sheet.clear();
+
+  writeANCOVASheet(sheet, result, alpha, skippedRows);
+  ss.setActiveSheet(sheet);
+
+  Browser.msgBox("Success!", skippedRows.length > 0
+    ? `ANCOVA completed, leaving out ${skippedRows.length} plot(s) without a numeric covariate ` +
+      `(NH Checks rows ${describeRows(skippedRows)}).`
+    : "ANCOVA completed successfully.", Browser.Buttons.OK);
+  Logger.log("ANCOVA completed successfully.");
+}
+
+/**
+ * Lists sheet row numbers for a message, 
+ * shortened after the first ten.
+ * 
+ * @param {Array<Number>} rows Row numbers.
+ * @returns {String} Comma-separated rows.
+ */
+function describeRows(rows) {
+  return rows.length > 10 
+    ? `${rows.slice(0, 10).join(", ")} and ${rows.length - 10} more` 
+    : rows.join(", ");
+}
+
+/**
+ * Analysis of covariance of the RCBD with replication: 
+ * Block + Treatment + Block × Treatment + β·Covariate, with 
+ * every SS adjusted for all other terms (least-squares drop-one 
+ * fits), the test of homogeneous treatment slopes and the 
+ * covariate-adjusted treatment means.
+ * 
+ * @param {Array<Array>} data [Block, Treatment, Result, Covariate] rows.
+ * @returns {Object} { slope, slopeSE, rows, slopes, adjustedMeans, 
+ *                   covariateMean, dfError, msError }
+ */
+function ancova(data) {
+  const blocks = [...new Set(data.map(row => row[0]))];
+  const treatments = [...new Set(data.map(row => row[1]))];
+  const y = data.map(row => row[2]);
+  const x = data.map(row => row[3]);
+  const n = data.length;
+  const mean = values => values.reduce((a, v) => a + v, 0) / values.length;
+
+  const terms = data.map(row => {
+    const blockCols = effectCodeColumns(blocks, row[0]);
+    const treatmentCols = effectCodeColumns(treatments, row[1]);
+    return {
+      blockCols,
+      treatmentCols,
+      interactionCols: blockCols.flatMap(bc => treatmentCols.map(tc => bc * tc))
+    };
+  });
+
+  // Design matrix of the chosen terms, covariate columns last
+  const design = (useBlocks, useTreatments, useInteraction, useCovariate, useSlopes) => 
+    terms.map((term, i) => [
+      1,
+      ...(useBlocks ? term.blockCols : []),
+      ...(useTreatments ? term.treatmentCols : []),
+      ...(useInteraction ? term.interactionCols : []),
+      ...(useCovariate ? [x[i]] : []),
+      ...(useSlopes ? term.treatmentCols.map(tc => tc * x[i]) : [])
+    ]);
+
+  const full = fitLinearModel(design(true, true, true, true, false), y);
+  const dfError = n - full.rank;
+  if (dfError < 1) throw new Error("No error df left: ANCOVA needs replicated plots within blocks.");
+  const msError = full.sse / dfError;
+
+  const line = (reduced, name) => {
+    const ss = reduced.sse - full.sse;
+    const df = full.rank - reduced.rank;
+    const ms = ss / df;
+    const f = ms / msError;
+    return { source: name, ss, df, ms, f, pValue: fDistRightTail(f, df, dfError) };
+  };
+
+  const rows = [
+    line(fitLinearModel(design(true, true, true, false, false), y), "Covariate (regression)"),
+    line(fitLinearModel(design(false, true, true, true, false), y), "Blocks (adjusted)"),
+    line(fitLinearModel(design(true, false, true, true, false), y), "Treatments (adjusted)"),
+    line(fitLinearModel(design(true, true, false, true, false), y), "Interaction (adjusted)")
+  ];
+
+  // Pooled within-cell slope and the error SS of the covariate
+  const slope = full.coefficients[full.coefficients.length - 1];
+  const covariateError = fitLinearModel(design(true, true, true, false, false), x).sse;
+  if (!(covariateError > 0)) throw new Error("The covariate does not vary within the block × treatment cells.");
+  const slopeSE = Math.sqrt(msError / covariateError);
+
+  // Homogeneity of treatment slopes
+  const separate = fitLinearModel(design(true, true, true, true, true), y);
+  const slopesDf = separate.rank - full.rank;
+  const slopesError = n - separate.rank;
+  const slopesSS = full.sse - separate.sse;
+  const slopesF = (slopesSS / slopesDf) / (separate.sse / slopesError);
+  const slopes = {
+    ss: slopesSS, df: slopesDf, ms: slopesSS / slopesDf, f: slopesF,
+    dfError: slopesError, pValue: slopesDf > 0 && slopesError > 0 ? fDistRightTail(slopesF, slopesDf, slopesError) : NaN
+  };
+
+  // Adjusted means: ȳᵢ − β(x̄ᵢ − x̄), SE = √(MSE (1/nᵢ + (x̄ᵢ − x̄)² / Exx))
+  const covariateMean = mean(x);
+  const adjustedMeans = treatments.map(treatment => {
+    const group = data.filter(row => row[1] === treatment);
+    const meanY = mean(group.map(row => row[2]));
+    const meanX = mean(group.map(row => row[3]));
+    const adjusted = meanY - slope * (meanX - covariateMean);
+    const se = Math.sqrt(msError * (1 / group.length + Math.pow(meanX - covariateMean, 2) / covariateError));
+    return { treatment, n: group.length, meanY, meanX, adjusted, se };
+  });
+
+  return {
+    slope, slopeSE, slopeT: slope / slopeSE,
+    slopePValue: 2 * (1 - tDistCdf(Math.abs(slope / slopeSE), dfError)),
+    rows, slopes, adjustedMeans, covariateMean,
+    dfError, msError, sse: full.sse,
+    ssTotal: y.reduce((acc, v) => acc + Math.pow(v - mean(y), 2), 0), n
+  };
+}
+
+/**
+ * Writes the covariate regression, the ANCOVA table, the 
+ * homogeneity-of-slopes test and the adjusted treatment means.
+ * 
+ * @param {Sheet} sheet The ANCOVA sheet.
+ * @param {Object} result Output of ancova().
+ * @param {Number} alpha Significance level from the α cell.
+ * @param {Array<Number>} skippedRows NH Checks rows left out for a missing covariate.
+ * @returns {void}
+ */
+function writeANCOVASheet(sheet, result, alpha, skippedRows) {
+  const styleTable = (row, data) => {
+    sheet.getRange(row, 1, data.length, data[0].length)
+      .setValues(data)
+      .setBorder(true, true, true, true, null, null, COLOR_PALETTE.thickBorder, SpreadsheetApp.BorderStyle.SOLID_MEDIUM);
+    sheet.getRange(row, 1, 1, data[0].length)
+      .setFontStyle("italic")
+      .setBorder(false, false, true, false, null, null, COLOR_PALETTE.thickBorder, SpreadsheetApp.BorderStyle.SOLID);
+    sheet.getRange(row, 2, data.length, data[0].length - 1).setHorizontalAlignment("center");
+  };
+  const sectionTitle = (row, title, width) => {
+    sheet.getRange(row, 1).setValue(title).setFontWeight("bold");
+    setContrastColors(sheet.getRange(row, 1, 1, width), COLOR_PALETTE.header);
+  };
+  const colorPValue = (cell, pValue) => setContrastColors(cell, pValue < alpha ? COLOR_PALETTE.significant
+    : pValue < alpha * 2 ? COLOR_PALETTE.warning : COLOR_PALETTE.ns);
+
+  sheet.getRange("A1").setValue("Analysis of Covariance for RCBD with Replication")
+    .setFontWeight("bold");
+  setContrastColors(sheet.getRange("A1:E1"), COLOR_PALETTE.header);
+  if (skippedRows.length > 0) {
+    sheet.getRange("A1").setNote(`${skippedRows.length} plot(s) without a numeric covariate were left out: ` +
+      `NH Checks rows ${describeRows(skippedRows)}.`);
+  }
+
+  // Regression on the covariate
+  sectionTitle(3, "Regression on Covariate", 5);
+  styleTable(4, [
+    ["Term", "Estimate", "SE", "t", "P-value"],
+    ["Pooled within-cell slope (β)", result.slope, result.slopeSE, result.slopeT, result.slopePValue]
+  ]);
+  sheet.getRange(5, 2, 1, 3).setNumberFormat("0.0000");
+  sheet.getRange(5, 5).setNumberFormat("0.0000");
+  colorPValue(sheet.getRange(5, 5), result.slopePValue);
+
+  // ANCOVA table
+  const tableRow = 8;
+  sectionTitle(tableRow - 1, "ANCOVA: Adjusted Sums of Squares", 5);
+  sheet.getRange(tableRow - 1, 6).setValue("α:").setHorizontalAlignment("right");
+  const alphaCell = sheet.getRange(tableRow - 1, 7).setValue(alpha).setNumberFormat("0.00")
+    .setNote("Significance level of every test and interpretation on this sheet. Change it and re-run 'Run ANCOVA'.");
+  setContrastColors(alphaCell, COLOR_PALETTE.configCellBg);
+
+  const tableData = [
+    ["Source", "SS", "df", "MS", "F", "P-value", "F crit"],
+    ...result.rows.map(row => [row.source, row.ss, row.df, row.ms, row.f, "", ""]),
+    ["Error", result.sse, result.dfError, result.msError, "", "", ""],
+    ["Total", result.ssTotal, result.n - 1, "", "", "", ""]
+  ];
+  styleTable(tableRow, tableData);
+  const errorRow = tableRow + result.rows.length + 1;
+  result.rows.forEach((row, idx) => {
+    const r = tableRow + 1 + idx;
+    sheet.getRange(r, 6).setFormula(`=F.DIST.RT(E${r}, C${r}, C${errorRow})`);
+    sheet.getRange(r, 7).setFormula(`=F.INV.RT(${alphaCell.getA1Notation()}, C${r}, C${errorRow})`);
+    colorPValue(sheet.getRange(r, 6), row.pValue);
+  });
+  sheet.getRange(tableRow + 1, 2, tableData.length - 1, 1).setNumberFormat("0.000");
+  sheet.getRange(tableRow + 1, 4, tableData.length - 1, 2).setNumberFormat("0.000");
+  sheet.getRange(tableRow + 1, 6, tableData.length - 1, 2).setNumberFormat("0.0000");
+  sheet.getRange(tableRow - 1, 1)
+    .setNote("Each SS is adjusted for every other term, including the covariate (least-squares fits " +
+      "with sum-to-zero coding). Adjusted SS do not add up to the total SS.");
+
+  // Homogeneity of regression slopes
+  const slopesRow = tableRow + tableData.length + 2;
+  sectionTitle(slopesRow, "Homogeneity of Regression Slopes", 6);
+  const slopes = result.slopes;
+  const homogeneous = !(slopes.pValue < alpha);
+  styleTable(slopesRow + 1, [
+    ["Source", "SS", "df", "MS", "F", "P-value"],
+    ["Treatment × Covariate", slopes.ss, slopes.df, slopes.ms, slopes.f, slopes.pValue]
+  ]);
+  sheet.getRange(slopesRow + 2, 2).setNumberFormat("0.000");
+  sheet.getRange(slopesRow + 2, 4, 1, 2).setNumberFormat("0.000");
+  sheet.getRange(slopesRow + 2, 6).setNumberFormat("0.0000");
+  const slopesNote = sheet.getRange(slopesRow + 3, 1, 1, 6).merge()
+    .setValue(homogeneous 
+      ? "Slopes are homogeneous across treatments: a common slope adjustment is appropriate."
+      : "Slopes differ between treatments: adjusted means depend on the covariate value and should be interpreted with care.")
+    .setFontStyle("italic")
+    .setWrap(true);
+  setContrastColors(slopesNote, homogeneous ? COLOR_PALETTE.ns : COLOR_PALETTE.warning);
+
+  // Adjusted treatment means
+  const meansRow = slopesRow + 5;
+  sectionTitle(meansRow, "Covariate-Adjusted Treatment Means", 6);
+  const meansData = [
+    ["Treatment", "n", "Mean", "Covariate Mean", "Adjusted Mean", "SE"],
+    ...result.adjustedMeans.map(m => [m.treatment, m.n, m.meanY, m.meanX, m.adjusted, m.se])
+  ];
+  styleTable(meansRow + 1, meansData);
+  sheet.getRange(meansRow + 2, 3, result.adjustedMeans.length, 4).setNumberFormat("0.00");
+  setContrastColors(sheet.getRange(meansRow + 1, 5), COLOR_PALETTE.subHeader);
+  sheet.getRange(meansRow, 1)
+    .setNote(`Adjusted mean = mean − β × (covariate mean − ${result.covariateMean.toFixed(3)}), ` +
+      "the treatment mean at the overall covariate mean. SE = √(MSE × (1/n + (x̄ᵢ − x̄)² / Exx)).");
+
+  // Interpretation
+  const treatmentRow = result.rows[2];
+  const interpretationRow = meansRow + meansData.length + 2;
+  sectionTitle(interpretationRow, "Result Interpretation", 3);
+  const lines = [
+    result.slopePValue < alpha
+      ? `The covariate explains significant variation (β = ${result.slope.toFixed(4)}, P = ${result.slopePValue.toFixed(4)}); adjusting for it sharpens the treatment comparison.`
+      : `The covariate is not significant (P = ${result.slopePValue.toFixed(4)}); the ANCOVA adds little over the ANOVA.`,
+    treatmentRow.pValue < alpha
+      ? `Adjusted treatment means differ significantly (P = ${treatmentRow.pValue.toFixed(4)}).`
+      : `No significant differences among adjusted treatment means (P = ${treatmentRow.pValue.toFixed(4)}).`
+  ];
+  lines.forEach((line, idx) => sheet.getRange(interpretationRow + 1 + idx, 1).setValue(line));
+
+  sheet.autoResizeColumns(1, 7);
+}
+
+// ====================== MULTI-ENVIRONMENT TRIALS ======================
+/**
+ * Returns the raw data sheet names of the environments 
+ * stored for the combined analysis.
+ * 
+ * @returns {Array<String>} Raw data sheet names.
+ */
+function getEnvironments() {
+  const stored = PropertiesService.getDocumentProperties().getProperty(MET_ENVIRONMENTS_KEY);
+  return stored ? JSON.parse(stored) : [];
+}
+
+/**
+ * Stores the raw data sheet names of the environments.
+ * 
+ * @param {Array<String>} environments Raw data sheet names.
+ * @returns {void}
+ */
+function setEnvironments(environments) {
+  PropertiesService.getDocumentProperties()
+    .setProperty(MET_ENVIRONMENTS_KEY, JSON.stringify(environments));
+}
+
+/**
+ * Adds the raw data sheet of the active sheet to the 
+ * environments of the combined analysis.
+ * 
+ * @customFunction
+ * @returns {void}
+ */
+function addEnvironment() {
+  const rawDataSheetName = getRawDataSheetNameFromCurrent(SpreadsheetApp.getActiveSheet());
+  const environments = getEnvironments();
+  if (!environments.includes(rawDataSheetName)) environments.push(rawDataSheetName);
+  setEnvironments(environments);
+  Browser.msgBox("Environments", `Environments: ${environments.join(", ")}`, Browser.Buttons.OK);
+}
+
+/**
+ * Removes the raw data sheet of the active sheet from 
+ * the environments of the combined analysis.
+ * 
+ * @customFunction
+ * @returns {void}
+ */
+function removeEnvironment() {
+  const rawDataSheetName = getRawDataSheetNameFromCurrent(SpreadsheetApp.getActiveSheet());
+  const environments = getEnvironments().filter(name => name !== rawDataSheetName);
+  setEnvironments(environments);
+  Browser.msgBox("Environments", 
+    environments.length ? `Environments: ${environments.join(", ")}` : "No environments left.", Browser.Buttons.OK);
+}
+
+/**
+ * Removes every environment of the combined analysis.
+ * 
+ * @customFunction
+ * @returns {void}
+ */
+function clearEnvironments() {
+  PropertiesService.getDocumentProperties().deleteProperty(MET_ENVIRONMENTS_KEY);
+  Browser.msgBox("Environments", "Environments cleared.", Browser.Buttons.OK);
+}
+
+/**
+ * Runs the combined analysis of the stored environments 
+ * from their NH Checks long data and writes it to the 
+ * "Combined Analysis" sheet.
+ * 
+ * @customFunction
+ * @returns {void}
+ */
+function generateCombinedAnalysis() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const data = readEnvironmentData(ss, 2);
+  if (!data) return;
+
+  let result;
+  try {
+    result = combinedAnalysis(data);
+  } catch (e) {
+    Browser.msgBox("Error", `Combined analysis could not be computed: ${e.message}`, Browser.Buttons.OK);
+    Logger.log(`Combined analysis failed: ${e.message}`);
+    return;
+  }
+
+  let sheet = ss.getSheetByName("Combined Analysis");
+  const alpha = readAlphaCell(sheet, 2, 2);
+  if (!sheet) sheet = ss.insertSheet("Combined Analysis");
+  else sheet.clear();
+
+  writeCombinedAnalysis(sheet, result, alpha);
+  ss.setActiveSheet(sheet);
+
+  Browser.msgBox("Success!", "Combined analysis completed successfully.", Browser.Buttons.OK);
+  Logger.log("Combined analysis completed successfully.");
+}
+
+/**
+ * Reads the NH Checks long data of every stored 
+ * environment, telling the user what is missing.
+ * 
+ * @param {Spreadsheet} ss The active spreadsheet.
+ * @param {Number} minimum Smallest number of environments needed.
+ * @returns {Array<Object>|null} { name, rawData } per environment, 
+ *                               or null if the data are not ready.
+ */
+function readEnvironmentData(ss, minimum) {
+  const environments = getEnvironments();
+  if (environments.length < minimum) {
+    Browser.msgBox("Error", 
+      `Add at least ${minimum} raw data sheets with 'Add Current Sheet as Environment' first.`, Browser.Buttons.OK);
+    return null;
+  }
+
+  const missing = environments.filter(name => !ss.getSheetByName(name + " - NH Checks"));
+  if (missing.length > 0) {
+    Browser.msgBox("Error", 
+      `Run 'Restructure Data' first for: ${missing.join(", ")}`, Browser.Buttons.OK);
+    return null;
+  }
+
+  return environments.map(name => {
+    const nhSheet = ss.getSheetByName(name + " - NH Checks");
+    return {
+      name,
+      rawData: readLongData(nhSheet)
+    };
+  });
+}
+
+/**
+ * Combined analysis of RCBDs with replication repeated over 
+ * environments (environments and blocks random). Each trial 
+ * must be balanced with the same treatments, so the 
+ * environment × treatment frequencies are proportional and 
+ * the SS partition is orthogonal.
+ * 
+ * @param {Array<Object>} environments { name, rawData } per environment, 
+ *                                     rawData as [Block, Treatment, Result] rows.
+ * @returns {Object} { environments, treatments, rows, bartlett, fMax, 
+ *                   means, grandMean, cv }
+ */
+function combinedAnalysis(environments) {
+  const treatments = [...new Set(environments[0].rawData.map(row => row[1]))];
+  const mean = values => values.reduce((a, v) => a + v, 0) / values.length;
+
+  // Separate analysis of every environment
+  const trials = environments.map(({ name, rawData }) => {
+    const blocks = [...new Set(rawData.map(row => row[0]))];
+    const envTreatments = [...new Set(rawData.map(row => row[1]))];
+    if (envTreatments.length !== treatments.length || !envTreatments.every(tr => treatments.includes(tr))) {
+      throw new Error(`'${name}' does not have the same treatments as '${environments[0].name}'.`);
+    }
+    const balance = checkDesignBalance(rawData, blocks, treatments);
+    if (!balance.isBalanced) {
+      throw new Error(`'${name}' is unbalanced; estimate its missing plots first.`);
+    }
+    const ss = calculateSSFromRaw(rawData, blocks, treatments, blocks.length, treatments.length, balance.r);
+    return {
+      name, ss, b: blocks.length, r: balance.r, n: rawData.length,
+      mean: mean(rawData.map(row => row[2])),
+      treatmentMeans: treatments.map(tr => mean(rawData.filter(row => row[1] === tr).map(row => row[2]))),
+      msError: ss.ssError / ss.df.error
+    };
+  });
+
+  const n = trials.reduce((a, trial) => a + trial.n, 0);
+  const grandMean = trials.reduce((a, trial) => a + trial.n * trial.mean, 0) / n;
+  const treatmentMeans = treatments.map((_, j) => 
+    trials.reduce((a, trial) => a + trial.n * trial.treatmentMeans[j], 0) / n);
+  const e = trials.length;
+  const t = treatments.length;
+  const sum = f => trials.reduce((a, trial) => a + f(trial), 0);
+
+  const ssEnvironments = sum(trial => trial.n * Math.pow(trial.mean - grandMean, 2));
+  const ssTreatments = treatments.reduce((a, _, j) => 
+    a + sum(trial => trial.n / t) * Math.pow(treatmentMeans[j] - grandMean, 2), 0);
+  const ssTreatmentEnv = sum(trial => trial.treatmentMeans.reduce((a, m, j) => 
+    a + (trial.n / t) * Math.pow(m - trial.mean - treatmentMeans[j] + grandMean, 2), 0));
+
+  // Sources with their denominators under random environments and blocks
+  const rows = [
+    { source: "Environments", ss: ssEnvironments, df: e - 1, against: "Blocks(Env)" },
+    { source: "Blocks(Env)", ss: sum(trial => trial.ss.ssBlocks), df: sum(trial => trial.ss.df.blocks), 
+      against: "Blocks × Treatments(Env)" },
+    { source: "Treatments", ss: ssTreatments, df: t - 1, against: "Treatments × Env" },
+    { source: "Treatments × Env", ss: ssTreatmentEnv, df: (t - 1) * (e - 1), against: "Blocks × Treatments(Env)" },
+    { source: "Blocks × Treatments(Env)", ss: sum(trial => trial.ss.ssInteraction), 
+      df: sum(trial => trial.ss.df.interaction), against: "Pooled Error" },
+    { source: "Pooled Error", ss: sum(trial => trial.ss.ssError), df: sum(trial => trial.ss.df.error), against: "" }
+  ];
+  rows.forEach(row => row.ms = row.ss / row.df);
+  rows.forEach(row => {
+    const denominator = rows.find(other => other.source === row.against);
+    if (!denominator) return;
+    row.f = row.ms / denominator.ms;
+    row.dfDenominator = denominator.df;
+    row.pValue = fDistRightTail(row.f, row.df, denominator.df);
+  });
+
+  const variances = trials.map(trial => trial.msError);
+  const pooledError = rows[rows.length - 1];
+  return {
+    environments: trials.map(trial => ({ name: trial.name, b: trial.b, r: trial.r, mean: trial.mean, 
+      msError: trial.msError, dfError: trial.ss.df.error })),
+    treatments, rows,
+    ssTotal: rows.reduce((a, row) => a + row.ss, 0), dfTotal: n - 1,
+    bartlett: bartlettFromVariances(variances, trials.map(trial => trial.ss.df.error)),
+    fMax: Math.max(...variances) / Math.min(...variances),
+    means: treatments.map((treatment, j) => ({ 
+      treatment, byEnvironment: trials.map(trial => trial.treatmentMeans[j]), mean: treatmentMeans[j] })),
+    grandMean,
+    cv: Math.sqrt(pooledError.ms) / grandMean
+  };
+}
+
+/**
+ * Writes the environments, Bartlett's test of the error 
+ * variances, the combined ANOVA and the treatment means 
+ * per environment to the Combined Analysis sheet.
+ * 
+ * @param {Sheet} sheet The Combined Analysis sheet.
+ * @param {Object} result Output of combinedAnalysis().
+ * @param {Number} alpha Significance level.
+ * @returns {void}
+ */
+function writeCombinedAnalysis(sheet, result, alpha) {
+  const styleTable = (row, data) => {
+    sheet.getRange(row, 1, data.length, data[0].length)
+      .setValues(data)
+      .setBorder(true, true, true, true, null, null, COLOR_PALETTE.thickBorder, SpreadsheetApp.BorderStyle.SOLID_MEDIUM);
+    sheet.getRange(row, 1, 1, data[0].length)
+      .setFontStyle("italic")
+      .setBorder(false, false, true, false, null, null, COLOR_PALETTE.thickBorder, SpreadsheetApp.BorderStyle.SOLID);
+    sheet.getRange(row, 2, data.length, data[0].length - 1).setHorizontalAlignment("center");
+  };
+  const sectionTitle = (row, title, width) => {
+    sheet.getRange(row, 1).setValue(title).setFontWeight("bold");
+    setContrastColors(sheet.getRange(row, 1, 1, width), COLOR_PALETTE.header);
+  };
+  const colorPValue = (cell, pValue) => 
+    setContrastColors(cell, pValue < alpha ? COLOR_PALETTE.significant : COLOR_PALETTE.ns);
+
+  sheet.getRange("A1").setValue("Combined Analysis of RCBD with Replication over Environments")
+    .setFontWeight("bold");
+  setContrastColors(sheet.getRange("A1:G1"), COLOR_PALETTE.header);
+  writeSheetAlphaCell(sheet, alpha, 'Run Combined Analysis');
+
+  // Environments and error variance homogeneity
+  sectionTitle(3, "Environments", 6);
+  const envData = [
+    ["Environment", "Blocks", "Reps", "Mean", "MS Error", "df Error"],
+    ...result.environments.map(env => [env.name, env.b, env.r, env.mean, env.msError, env.dfError])
+  ];
+  styleTable(4, envData);
+  sheet.getRange(5, 4, envData.length - 1, 2).setNumberFormat("0.000");
+
+  const bartlettRow = 4 + envData.length + 1;
+  const homogeneous = result.bartlett.pValue >= ASSUMPTION_ALPHA;
+  styleTable(bartlettRow, [
+    ["Bartlett's Test", "χ²", "df", "P-value", "Fmax", "Decision"],
+    ["Error variances", result.bartlett.chiSquare, result.bartlett.df, result.bartlett.pValue, result.fMax,
+      homogeneous ? "Homogeneous" : "Heterogeneous"]
+  ]);
+  sheet.getRange(bartlettRow + 1, 2).setNumberFormat("0.000");
+  sheet.getRange(bartlettRow + 1, 4).setNumberFormat("0.0000");
+  sheet.getRange(bartlettRow + 1, 5).setNumberFormat("0.00");
+  setContrastColors(sheet.getRange(bartlettRow + 1, 6), homogeneous ? COLOR_PALETTE.ns : COLOR_PALETTE.warning);
+  sheet.getRange(bartlettRow, 1)
+    .setNote(`Pooling the errors assumes homogeneous error variances. Fmax (largest / smallest MS Error) ` +
+      `above ${FMAX_THRESHOLD} also suggests heterogeneity; consider a transformation or weighting by 1 / MS Error.`);
+
+  // Combined ANOVA
+  const anovaRow = bartlettRow + 3;
+  sectionTitle(anovaRow, "Combined ANOVA", 7);
+  const anovaData = [
+    ["Source", "SS", "df", "MS", "F", "Tested Against", "P-value"],
+    ...result.rows.map(row => [row.source, row.ss, row.df, row.ms, 
+      row.against ? row.f : "", row.against, row.against ? row.pValue : ""]),
+    ["Total", result.ssTotal, result.dfTotal, "", "", "", ""]
+  ];
+  styleTable(anovaRow + 1, anovaData);
+  sheet.getRange(anovaRow + 2, 2, anovaData.length - 1, 1).setNumberFormat("0.000");
+  sheet.getRange(anovaRow + 2, 4, anovaData.length - 1, 2).setNumberFormat("0.000");
+  sheet.getRange(anovaRow + 2, 7, anovaData.length - 1, 1).setNumberFormat("0.0000");
+  result.rows.forEach((row, idx) => {
+    if (row.against) colorPValue(sheet.getRange(anovaRow + 2 + idx, 7), row.pValue);
+  });
+  sheet.getRange(anovaRow, 1)
+    .setNote("Environments and blocks are random: treatments are tested against the treatment × environment " +
+      "interaction, so conclusions extend to the population of environments. " +
+      `CV = ${(result.cv * 100).toFixed(2)}% from the pooled error.`);
+
+  // Treatment means per environment
+  const meansRow = anovaRow + anovaData.length + 3;
+  const width = result.environments.length + 2;
+  sectionTitle(meansRow, "Treatment Means per Environment", width);
+  const meansData = [
+    ["Treatment", ...result.environments.map(env => env.name), "Combined"],
+    ...result.means.map(m => [m.treatment, ...m.byEnvironment, m.mean]),
+    ["Mean", ...result.environments.map(env => env.mean), result.grandMean]
+  ];
+  styleTable(meansRow + 1, meansData);
+  sheet.getRange(meansRow + 2, 2, meansData.length - 1, width - 1).setNumberFormat("0.00");
+  sheet.getRange(meansRow + meansData.length, 1, 1, width).setFontStyle("italic");
+
+  // Interpretation
+  const interpretationRow = meansRow + meansData.length + 3;
+  sectionTitle(interpretationRow, "Result Interpretation", 3);
+  const [, , treatmentRow, interactionRow] = result.rows;
+  const lines = [
+    homogeneous
+      ? "Error variances are homogeneous across environments; pooling the errors is justified."
+      : "Error variances differ across environments; interpret the pooled F tests with caution.",
+    treatmentRow.pValue < alpha
+      ? `Treatments differ significantly over environments (P = ${treatmentRow.pValue.toFixed(4)}).`
+      : `No significant treatment differences over environments (P = ${treatmentRow.pValue.toFixed(4)}).`,
+    interactionRow.pValue < alpha
+      ? `The treatment × environment interaction is significant (P = ${interactionRow.pValue.toFixed(4)}): ` +
+        "treatment rankings change between environments, so recommend per environment."
+      : `No significant treatment × environment interaction (P = ${interactionRow.pValue.toFixed(4)}): ` +
+        "the combined means apply across environments."
+  ];
+  lines.forEach((line, idx) => sheet.getRange(interpretationRow + 1 + idx, 1).setValue(line));
+
+  sheet.autoResizeColumns(1, Math.max(7, width));
+}
+
+// ====================== STABILITY ANALYSIS ======================
+/**
+ * Runs the stability analysis (Eberhart-Russell, Finlay-Wilkinson, 
+ * AMMI and GGE) of the stored environments and writes it with 
+ * the biplots to the "Stability Analysis" sheet.
+ * 
+ * @customFunction
+ * @returns {void}
+ */
+function generateStabilityAnalysis() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const data = readEnvironmentData(ss, 3);
+  if (!data) return;
+
+  let result;
+  try {
+    result = stabilityAnalysis(combinedAnalysis(data));
+  } catch (e) {
+    Browser.msgBox("Error", `Stability analysis could not be computed: ${e.message}`, Browser.Buttons.OK);
+    Logger.log(`Stability analysis failed: ${e.message}`);
+    return;
+  }
+
+  let sheet = ss.getSheetByName("Stability Analysis");
+  const alpha = readAlphaCell(sheet, 2, 2);
+  if (!sheet) sheet = ss.insertSheet("Stability Analysis");
+  else {
+    sheet.clear();
+    sheet.getCharts().forEach(chart => sheet.removeChart(chart));
+  }
+
+  writeStabilityAnalysis(sheet, result, alpha);
+  ss.setActiveSheet(sheet);
+
+  Browser.msgBox("Success!", "Stability analysis completed successfully.", Browser.Buttons.OK);
+  Logger.log("Stability analysis completed successfully.");
+}
+
+/**
+ * Stability parameters of every treatment from the 
+ * treatment × environment means of a combined analysis:
+ * Eberhart-Russell bᵢ and S²dᵢ, Finlay-Wilkinson bᵢ on 
+ * the log scale, the AMMI decomposition of the interaction 
+ * and the GGE principal components.
+ * 
+ * @param {Object} combined Output of combinedAnalysis().
+ * @returns {Object} { treatments, environments, indices, parameters, 
+ *                   ammi, gge, interactionSS }
+ */
+function stabilityAnalysis(combined) {
+  const e = combined.environments.length;
+  const t = combined.treatments.length;
+  if (e < 3) throw new Error("Stability analysis needs at least 3 environments.");
+  if (t < 3) throw new Error("Stability analysis needs at least 3 treatments.");
+
+  const y = combined.means.map(m => m.byEnvironment);
+  const envMeans = combined.environments.map(env => env.mean);
+  const grandMean = combined.grandMean;
+  const indices = envMeans.map(m => m - grandMean);
+  const sumIndexSquares = indices.reduce((a, v) => a + v * v, 0);
+
+  // Error variance of a cell mean, from the pooled error
+  const pooledError = combined.rows.find(row => row.source === "Pooled Error");
+  const cellReplications = combined.environments.map(env => env.b * env.r);
+  const meanError = pooledError.ms * cellReplications.reduce((a, n) => a + 1 / n, 0) / e;
+
+  // Finlay-Wilkinson regresses log yields on the mean log yield of each environment
+  const positive = y.every(row => row.every(v => v > 0));
+  const logY = positive ? y.map(row => row.map(Math.log)) : null;
+  const logIndices = positive 
+    ? envMeans.map((_, j) => logY.reduce((a, row) => a + row[j], 0) / t) 
+    : null;
+
+  const parameters = combined.means.map((m, i) => {
+    const slope = y[i].reduce((a, v, j) => a + v * indices[j], 0) / sumIndexSquares;
+    const deviations = y[i].map((v, j) => v - m.mean - slope * indices[j]);
+    const msDeviation = deviations.reduce((a, d) => a + d * d, 0) / (e - 2);
+    const slopeSE = Math.sqrt(msDeviation / sumIndexSquares);
+    const slopeT = slopeSE > 0 ? (slope - 1) / slopeSE : 0;
+    const deviationF = msDeviation / meanError;
+    const totalSS = y[i].reduce((a, v) => a + Math.pow(v - m.mean, 2), 0);
+
+    let fwSlope = "";
+    if (positive) {
+      const logMean = logIndices.reduce((a, v) => a + v, 0) / e;
+      const centered = logIndices.map(v => v - logMean);
+      const logTreatmentMean = logY[i].reduce((a, v) => a + v, 0) / e;
+      fwSlope = logY[i].reduce((a, v, j) => a + (v - logTreatmentMean) * centered[j], 0) / 
+        centered.reduce((a, v) => a + v * v, 0);
+    }
+
+    return {
+      treatment: m.treatment, mean: m.mean,
+      slope, slopeSE, slopePValue: 2 * (1 - tDistCdf(Math.abs(slopeT), e - 2)),
+      deviation: msDeviation - meanError,
+      deviationPValue: fDistRightTail(deviationF, e - 2, pooledError.df),
+      rSquared: totalSS > 0 ? 1 - deviations.reduce((a, d) => a + d * d, 0) / totalSS : 1,
+      fwSlope
+    };
+  });
+
+  // AMMI: SVD of the double-centred interaction matrix
+  const interaction = y.map((row, i) => row.map((v, j) => v - combined.means[i].mean - envMeans[j] + grandMean));
+  const replication = e / cellReplications.reduce((a, n) => a + 1 / n, 0);
+  const ammiSVD = singularValueDecomposition(interaction);
+  const interactionRow = combined.rows.find(row => row.source === "Treatments × Env");
+  const errorRow = combined.rows.find(row => row.source === interactionRow.against);
+
+  const components = [];
+  let dfLeft = interactionRow.df;
+  let ssLeft = interactionRow.ss;
+  for (let k = 0; k < Math.min(t - 1, e - 1); k++) {
+    const df = t + e - 1 - 2 * (k + 1);
+    if (df <= 0 || df > dfLeft || !(ammiSVD.d[k] > 1e-12)) break;
+    const ss = replication * ammiSVD.d[k] * ammiSVD.d[k];
+    const ms = ss / df;
+    components.push({ source: `IPCA${k + 1}`, ss, df, ms, f: ms / errorRow.ms,
+      pValue: fDistRightTail(ms / errorRow.ms, df, errorRow.df), share: ss / interactionRow.ss });
+    dfLeft -= df;
+    ssLeft -= ss;
+  }
+  if (dfLeft > 0) {
+    const ms = Math.max(ssLeft, 0) / dfLeft;
+    components.push({ source: "Residual", ss: Math.max(ssLeft, 0), df: dfLeft, ms, f: ms / errorRow.ms,
+      pValue: fDistRightTail(ms / errorRow.ms, dfLeft, errorRow.df), share: Math.max(ssLeft, 0) / interactionRow.ss });
+  }
+
+  // Symmetric scaling: scores = singular vectors × √λ
+  const scores = (svd, k) => ({
+    treatments: svd.u.map(row => Math.sqrt(svd.d[k] || 0) * (row[k] || 0)),
+    environments: svd.v.map(row => Math.sqrt(svd.d[k] || 0) * (row[k] || 0))
+  });
+
+  // GGE: SVD of the environment-centred means (G + GE)
+  const environmentCentred = y.map(row => row.map((v, j) => v - envMeans[j]));
+  const ggeSVD = singularValueDecomposition(environmentCentred);
+  const ggeTotal = ggeSVD.d.reduce((a, d) => a + d * d, 0);
+
+  return {
+    treatments: combined.treatments,
+    environments: combined.environments.map(env => env.name),
+    envMeans, indices, parameters, meanError, errorSource: errorRow.source,
+    ammi: { components, ipca1: scores(ammiSVD, 0), ipca2: scores(ammiSVD, 1) },
+    gge: {
+      pc1: scores(ggeSVD, 0), pc2: scores(ggeSVD, 1),
+      shares: [0, 1].map(k => ggeTotal > 0 ? Math.pow(ggeSVD.d[k] || 0, 2) / ggeTotal : 0)
+    },
+    interactionSS: interactionRow.ss, replication
+  };
+}
+
+/**
+ * Singular value decomposition by one-sided Jacobi rotations, 
+ * with the singular values in decreasing order.
+ * 
+ * @param {Array<Array<Number>>} matrix m × n matrix.
+ * @returns {Object} { u, d, v }: matrix = u · diag(d) · vᵀ, with u 
+ *                   m × k, v n × k and k = min(m, n).
+ */
+function singularValueDecomposition(matrix) {
+  // Rotate the columns of the taller orientation
+  const transposed = matrix.length < matrix[0].length;
+  const A = transposed 
+    ? matrix[0].map((_, j) => matrix.map(row => row[j])) 
+    : matrix.map(row => [...row]);
+  const m = A.length;
+  const n = A[0].length;
+  const V = Array.from({ length: n }, (_, i) => Array.from({ length: n }, (_, j) => i === j ? 1 : 0));
+
+  for (let sweep = 0; sweep < 60; sweep++) {
+    let rotated = false;
+    for (let p = 0; p < n - 1; p++) {
+      for (let q = p + 1; q < n; q++) {
+        let alpha = 0, beta = 0, gamma = 0;
+        for (let i = 0; i < m; i++) {
+          alpha += A[i][p] * A[i][p];
+          beta += A[i][q] * A[i][q];
+          gamma += A[i][p] * A[i][q];
+        }
+        if (Math.abs(gamma) <= 1e-15 * Math.sqrt(alpha * beta) || gamma === 0) continue;
+        rotated = true;
+
+        const zeta = (beta - alpha) / (2 * gamma);
+        const tangent = (zeta >= 0 ? 1 : -1) / (Math.abs(zeta) + Math.sqrt(1 + zeta * zeta));
+        const cosine = 1 / Math.sqrt(1 + tangent * tangent);
+        const sine = cosine * tangent;
+        const rotate = rows => rows.forEach(row => {
+          const a = row[p], b = row[q];
+          row[p] = cosine * a - sine * b;
+          row[q] = sine * a + cosine * b;
+        });
+        rotate(A);
+        rotate(V);
+      }
+    }
+    if (!rotated) break;
+  }
+
+  const order = Array.from({ length: n }, (_, k) => k)
+    .map(k => ({ k, d: Math.sqrt(A.reduce((a, row) => a + row[k] * row[k], 0)) }))
+    .sort((a, b) => b.d - a.d);
+  const d = order.map(item => item.d);
+  const U = A.map(row => order.map(item => item.d > 0 ? row[item.k] / item.d : 0));
+  const W = V.map(row => order.map(item => row[item.k]));
+
+  return transposed ? { u: W, d, v: U } : { u: U, d, v: W };
+}
+
+/**
+ * Writes the stability parameters, the AMMI table, the 
+ * biplot scores and the AMMI1 and GGE biplots.
+ * 
+ * @param {Sheet} sheet The Stability Analysis sheet.
+ * @param {Object} result Output of stabilityAnalysis().
+ * @param {Number} alpha Significance level.
+ * @returns {void}
+ */
+function writeStabilityAnalysis(sheet, result, alpha) {
+  const styleTable = (row, column, data) => {
+    sheet.getRange(row, column, data.length, data[0].length)
+      .setValues(data)
+      .setBorder(true, true, true, true, null, null, COLOR_PALETTE.thickBorder, SpreadsheetApp.BorderStyle.SOLID_MEDIUM);
+    sheet.getRange(row, column, 1, data[0].length)
+      .setFontStyle("italic")
+      .setBorder(false, false, true, false, null, null, COLOR_PALETTE.thickBorder, SpreadsheetApp.BorderStyle.SOLID);
+    sheet.getRange(row, column + 1, data.length, data[0].length - 1).setHorizontalAlignment("center");
+  };
+  const sectionTitle = (row, column, title, width) => {
+    sheet.getRange(row, column).setValue(title).setFontWeight("bold");
+    setContrastColors(sheet.getRange(row, column, 1, width), COLOR_PALETTE.header);
+  };
+  const colorPValue = (cell, pValue) => 
+    setContrastColors(cell, pValue < alpha ? COLOR_PALETTE.significant : COLOR_PALETTE.ns);
+
+  sheet.getRange("A1").setValue("Stability Analysis over Environments")
+    .setFontWeight("bold");
+  setContrastColors(sheet.getRange("A1:J1"), COLOR_PALETTE.header);
+  writeSheetAlphaCell(sheet, alpha, 'Run Stability Analysis');
+
+  // Environmental indices
+  sectionTitle(3, 1, "Environmental Index", 3);
+  const indexData = [
+    ["Environment", "Mean", "Index (Iⱼ)"],
+    ...result.environments.map((name, j) => [name, result.envMeans[j], result.indices[j]])
+  ];
+  styleTable(4, 1, indexData);
+  sheet.getRange(5, 2, indexData.length - 1, 2).setNumberFormat("0.000");
+
+  // Stability parameters
+  const parametersRow = 4 + indexData.length + 2;
+  sectionTitle(parametersRow, 1, "Stability Parameters (Eberhart-Russell, Finlay-Wilkinson)", 10);
+  const parametersData = [
+    ["Treatment", "Mean", "bᵢ", "SE(bᵢ)", "P(bᵢ = 1)", "S²dᵢ", "P(S²dᵢ = 0)", "R²", "FW bᵢ (log)", "Stability"],
+    ...result.parameters.map(p => [p.treatment, p.mean, p.slope, p.slopeSE, p.slopePValue, 
+      p.deviation, p.deviationPValue, p.rSquared, p.fwSlope === "" ? "n/a" : p.fwSlope, describeStability(p, alpha)])
+  ];
+  styleTable(parametersRow + 1, 1, parametersData);
+  const count = result.parameters.length;
+  sheet.getRange(parametersRow + 2, 2, count, 3).setNumberFormat("0.000");
+  sheet.getRange(parametersRow + 2, 6, count, 1).setNumberFormat("0.000");
+  sheet.getRange(parametersRow + 2, 9, count, 1).setNumberFormat("0.000");
+  sheet.getRange(parametersRow + 2, 5, count, 1).setNumberFormat("0.0000");
+  sheet.getRange(parametersRow + 2, 7, count, 1).setNumberFormat("0.0000");
+  sheet.getRange(parametersRow + 2, 8, count, 1).setNumberFormat("0.00%");
+  result.parameters.forEach((p, idx) => {
+    const stable = p.slopePValue >= alpha && p.deviationPValue >= alpha;
+    setContrastColors(sheet.getRange(parametersRow + 2 + idx, 10), stable ? COLOR_PALETTE.significant : COLOR_PALETTE.warning);
+  });
+  sheet.getRange(parametersRow, 1)
+    .setNote("bᵢ: regression of the treatment means on the environmental index; bᵢ = 1 is average response. " +
+      `S²dᵢ: deviations from regression minus the error variance of a mean (${result.meanError.toFixed(4)}); ` +
+      "S²dᵢ = 0 is predictable. Finlay-Wilkinson bᵢ regresses log means on the mean log of each environment.");
+
+  // AMMI decomposition
+  const ammiRow = parametersRow + parametersData.length + 2;
+  sectionTitle(ammiRow, 1, "AMMI: Treatment × Environment Interaction", 7);
+  const ammiData = [
+    ["Source", "SS", "df", "MS", "F", "P-value", "% of G × E"],
+    ...result.ammi.components.map(c => [c.source, c.ss, c.df, c.ms, c.f, c.pValue, c.share])
+  ];
+  styleTable(ammiRow + 1, 1, ammiData);
+  sheet.getRange(ammiRow + 2, 2, ammiData.length - 1, 1).setNumberFormat("0.000");
+  sheet.getRange(ammiRow + 2, 4, ammiData.length - 1, 2).setNumberFormat("0.000");
+  sheet.getRange(ammiRow + 2, 6, ammiData.length - 1, 1).setNumberFormat("0.0000");
+  sheet.getRange(ammiRow + 2, 7, ammiData.length - 1, 1).setNumberFormat("0.00%");
+  result.ammi.components.forEach((c, idx) => colorPValue(sheet.getRange(ammiRow + 2 + idx, 6), c.pValue));
+  sheet.getRange(ammiRow, 1)
+    .setNote("Interaction principal components from the SVD of the double-centred means, " +
+      `SS = ${result.replication.toFixed(2)} × λ² (plots per cell mean), Gollob df, ` +
+      `tested against ${result.errorSource}.`);
+
+  // Biplot scores, one series column per point type for the charts
+  const scoresRow = ammiRow + ammiData.length + 2;
+  sectionTitle(scoresRow, 1, "Biplot Scores", 7);
+  const { ipca1, ipca2 } = result.ammi;
+  const { pc1, pc2, shares } = result.gge;
+  const scoreRows = (names, key, means, type) => names.map((name, idx) => 
+    [name, type, means[idx], ipca1[key][idx], ipca2[key][idx], pc1[key][idx], pc2[key][idx]]);
+  const scoresData = [
+    ["Name", "Type", "Mean", "IPCA1", "IPCA2", `GGE PC1 (${(shares[0] * 100).toFixed(1)}%)`, 
+      `GGE PC2 (${(shares[1] * 100).toFixed(1)}%)`],
+    ...scoreRows(result.treatments, 'treatments', result.parameters.map(p => p.mean), "Treatment"),
+    ...scoreRows(result.environments, 'environments', result.envMeans, "Environment")
+  ];
+  styleTable(scoresRow + 1, 1, scoresData);
+  sheet.getRange(scoresRow + 2, 3, scoresData.length - 1, 5).setNumberFormat("0.000");
+
+  // Chart data: x, then one y column per point named after it, 
+  // so every treatment and environment is its own labelled series
+  const chartColumn = 13;
+  const points = scoresData.slice(1);
+  const chartBlock = (xHeader, xIndex, yIndex) => [
+    [xHeader, ...points.map(row => row[0])],
+    ...points.map((row, idx) => [row[xIndex], ...points.map((_, j) => j === idx ? row[yIndex] : "")])
+  ];
+  const ammiChartData = chartBlock("Mean", 2, 3);
+  const ggeChartData = chartBlock("GGE PC1", 5, 6);
+  const ggeChartRow = 4 + ammiChartData.length + 1;
+  sheet.getRange(3, chartColumn).setValue("Biplot Data").setFontWeight("bold");
+  [[4, ammiChartData], [ggeChartRow, ggeChartData]].forEach(([row, data]) => {
+    sheet.getRange(row, chartColumn, data.length, data[0].length)
+      .setValues(data)
+      .setNumberFormat("0.000");
+    sheet.getRange(row, chartColumn, 1, data[0].length).setFontStyle("italic");
+  });
+
+  const chartAnchorColumn = chartColumn + points.length + 2;
+  createBiplot(sheet, sheet.getRange(4, chartColumn, ammiChartData.length, ammiChartData[0].length), 
+    result.treatments.length, 'AMMI1 Biplot', 'Mean', 'IPCA1', 3, chartAnchorColumn);
+  createBiplot(sheet, sheet.getRange(ggeChartRow, chartColumn, ggeChartData.length, ggeChartData[0].length), 
+    result.treatments.length, 'GGE Biplot', `PC1 (${(shares[0] * 100).toFixed(1)}%)`, 
+    `PC2 (${(shares[1] * 100).toFixed(1)}%)`, 23, chartAnchorColumn);
+
+  // Interpretation
+  const interpretationRow = scoresRow + scoresData.length + 3;
+  sectionTitle(interpretationRow, 1, "Result Interpretation", 3);
+  const stable = result.parameters.filter(p => p.slopePValue >= alpha && p.deviationPValue >= alpha);
+  const best = [...stable].sort((a, b) => b.mean - a.mean)[0];
+  const lines = [
+    stable.length > 0
+      ? `Stable treatments (bᵢ ≈ 1, S²dᵢ ≈ 0): ${stable.map(p => p.treatment).join(", ")}.`
+      : "No treatment meets both Eberhart-Russell stability criteria.",
+    best 
+      ? `${best.treatment} combines stability with the highest mean among them (${best.mean.toFixed(2)}).` 
+      : "",
+    result.ammi.components.length > 0
+      ? `IPCA1 captures ${(result.ammi.components[0].share * 100).toFixed(1)}% of the interaction SS; ` +
+        "treatments with IPCA1 scores near zero are the most stable in the AMMI1 biplot."
+      : ""
+  ].filter(line => line !== "");
+  lines.forEach((line, idx) => sheet.getRange(interpretationRow + 1 + idx, 1).setValue(line));
+
+  sheet.autoResizeColumns(1, 10);
+}
+
+/**
+ * Describes the Eberhart-Russell stability of a treatment.
+ * 
+ * @param {Object} parameters Entry of stabilityAnalysis().parameters.
+ * @param {Number} alpha Significance level.
+ * @returns {String} Stability description.
+ */
+function describeStability(parameters, alpha) {
+  const response = parameters.slopePValue >= alpha ? "Average response"
+    : parameters.slope > 1 ? "Suited to favourable environments"
+    : "Suited to poor environments";
+  return parameters.deviationPValue < alpha ? `${response}, unpredictable` : 
+    parameters.slopePValue >= alpha ? "Stable" : response;
+}
+
+/**
+ * Creates a biplot as a scatter chart with one series per 
+ * point, so the legend names every treatment and environment. 
+ * Treatments are circles, environments triangles.
+ * 
+ * @param {Sheet} sheet The Stability Analysis sheet.
+ * @param {Range} range x column followed by one y column per 
+ *                point, treatments first, with a header row of names.
+ * @param {Number} treatmentCount Number of treatment columns.
+ * @param {String} title Chart title.
+ * @param {String} xTitle Horizontal axis title.
+ * @param {String} yTitle Vertical axis title.
+ * @param {Number} row Anchor row of the chart.
+ * @param {Number} column Anchor column of the chart.
+ * @returns {void}
+ */
+function createBiplot(sheet, range, treatmentCount, title, xTitle, yTitle, row, column) {
+  let builder = sheet.newChart()
+    .asScatterChart()
+    .addRange(range)
+    .setMergeStrategy(Charts.ChartMergeStrategy.MERGE_COLUMNS)
+    .setTransposeRowsAndColumns(false)
+    .setNumHeaders(1)
+    .setTitle(title)
+    .setXAxisTitle(xTitle)
+    .setYAxisTitle(yTitle)
+    .setPosition(row, column, 0, 0)
+    .setOption('legend.position', 'right')
+    .setOption('hAxis.gridlines.count', 5)
+    .setOption('vAxis.gridlines.count', 5);
+
+  for (let idx = 0; idx < range.getNumColumns() - 1; idx++) {
+    const isTreatment = idx < treatmentCount;
+    builder = builder
+      .setOption(`series.${idx}.pointShape`, isTreatment ? 'circle' : 'triangle')
+      .setOption(`series.${idx}.pointSize`, isTreatment ? 6 : 8);
+  }
+
+  sheet.insertChart(builder.build());
+}
+
+// ====================== LATIN SQUARE DESIGNS ======================
+/**
+ * Menu handlers of the 'Experimental Design' submenu.
+ * 
+ * @customFunction
+ * @returns {void}
+ */
+function selectDesignRCBD() { setExperimentalDesign('rcbd'); }
+function selectDesignLatinSquare() { setExperimentalDesign('latin'); }
+function selectDesignGraecoLatinSquare() { setExperimentalDesign('graecoLatin'); }
+
+/**
+ * Records the experimental design of the raw 
+ * data sheet behind the active sheet.
+ * 
+ * @param {String} design Key of EXPERIMENTAL_DESIGNS.
+ * @returns {void}
+ */
+function setExperimentalDesign(design) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const rawSheet = ss.getSheetByName(getRawDataSheetNameFromCurrent(ss.getActiveSheet()));
+
+  rawSheet.getDeveloperMetadata()
+    .filter(m => m.getKey() === EXPERIMENTAL_DESIGN_KEY)
+    .forEach(m => m.remove());
+  if (design !== 'rcbd') rawSheet.addDeveloperMetadata(EXPERIMENTAL_DESIGN_KEY, design);
+
+  const { label, columns } = EXPERIMENTAL_DESIGNS[design];
+  Browser.msgBox("Experimental Design", 
+    `'${rawSheet.getName()}' is set to ${label}. Expected columns: ${columns.join(", ")}.`, 
+    Browser.Buttons.OK);
+}
+
+/**
+ * Returns the experimental design recorded on 
+ * a raw data sheet, RCBD by default.
+ * 
+ * @param {Sheet} sheet The raw data sheet.
+ * @returns {String} Key of EXPERIMENTAL_DESIGNS.
+ */
+function getExperimentalDesign(sheet) {
+  if (!sheet) return 'rcbd';
+  const metadata = sheet.getDeveloperMetadata()
+    .find(m => m.getKey() === EXPERIMENTAL_DESIGN_KEY);
+  return metadata && EXPERIMENTAL_DESIGNS[metadata.getValue()] ? metadata.getValue() : 'rcbd';
+}
+
+/**
+ * Reads Row, Column, Treatment, (Greek,) Result 
+ * rows below the header of a Latin square sheet.
+ * 
+ * @param {Sheet} sheet The raw data sheet.
+ * @param {String} design 'latin' or 'graecoLatin'.
+ * @returns {Array<Array>} Data rows, blank rows left out.
+ */
+function readLatinSquareData(sheet, design) {
+  const width = EXPERIMENTAL_DESIGNS[design].columns.length;
+  const lastRow = sheet.getLastRow();
+  if (lastRow < 2 || sheet.getLastColumn() < width) return [];
+  return sheet.getRange(2, 1, lastRow - 1, width).getValues()
+    .filter(row => row.some(v => v !== ""));
+}
+
+/**
+ * Validates a Latin (or Graeco-Latin) square: t rows and 
+ * t columns with one plot each, every treatment once in 
+ * every row and column and, for Graeco-Latin squares, 
+ * every Greek letter likewise and every treatment × Greek 
+ * pair exactly once.
+ * 
+ * @param {Array<Array>} data Rows of readLatinSquareData().
+ * @param {String} design 'latin' or 'graecoLatin'.
+ * @returns {Object} { isValid, message, t }.
+ */
+function checkLatinSquare(data, design) {
+  const graeco = design === 'graecoLatin';
+  const columns = EXPERIMENTAL_DESIGNS[design].columns;
+  const resultIdx = columns.length - 1;
+  const fail = message => ({ isValid: false, message, t: 0 });
+
+  if (data.length === 0) {
+    return fail(`No data found. Expected columns: ${columns.join(", ")}, with a header row.`);
+  }
+  const badRow = data.findIndex(row => row.slice(0, resultIdx).some(v => v === "") || 
+    typeof row[resultIdx] !== 'number' || !isFinite(row[resultIdx]));
+  if (badRow >= 0) {
+    return fail(`Row ${badRow + 2} has an empty label or a non-numeric result. ` +
+      "Latin squares need a result for every plot.");
+  }
+
+  const levels = idx => [...new Set(data.map(row => row[idx]))];
+  const t = levels(2).length;
+  const minimum = graeco ? 4 : 3;
+  if (t < minimum) return fail(`A ${EXPERIMENTAL_DESIGNS[design].label} needs at least ${minimum} treatments for error df.`);
+
+  const factorCount = graeco ? 4 : 3;
+  for (let idx = 0; idx < factorCount; idx++) {
+    if (levels(idx).length !== t) {
+      return fail(`${columns[idx]} has ${levels(idx).length} levels; a ${t} × ${t} square needs ${t}.`);
+    }
+  }
+  if (data.length !== t * t) return fail(`A ${t} × ${t} square needs ${t * t} plots; found ${data.length}.`);
+
+  // Every pair of factors must cross exactly once
+  const pairs = [[0, 1], [0, 2], [1, 2]];
+  if (graeco) pairs.push([0, 3], [1, 3], [2, 3]);
+  for (const [i, j] of pairs) {
+    const seen = new Set(data.map(row => JSON.stringify([row[i], row[j]])));
+    if (seen.size !== t * t) {
+      return fail(`Not a proper ${EXPERIMENTAL_DESIGNS[design].label}: some ${columns[j]} levels appear ` +
+        `more than once in a ${columns[i]}.`);
+    }
+  }
+
+  return { isValid: true, message: `Valid ${t} × ${t} ${EXPERIMENTAL_DESIGNS[design].label}.`, t };
+}
+
+/**
+ * Sums of squares of a Latin (or Graeco-Latin) square, 
+ * with the error SS as the remainder of the total.
+ * 
+ * @param {Array<Array>} data Validated rows of readLatinSquareData().
+ * @param {String} design 'latin' or 'graecoLatin'.
+ * @returns {Object} { sources, error, total } where sources are 
+ *                   { name, ss, df, ms, f } and error/total { ss, df, ms }.
+ */
+function latinSquareANOVA(data, design) {
+  const graeco = design === 'graecoLatin';
+  const resultIdx = graeco ? 4 : 3;
+  const values = data.map(row => row[resultIdx]);
+  const mean = values.reduce((a, v) => a + v, 0) / values.length;
+  const t = Math.round(Math.sqrt(data.length));
+
+  const factorSS = idx => {
+    const groups = new Map();
+    data.forEach(row => groups.set(row[idx], (groups.get(row[idx]) || 0) + row[resultIdx]));
+    return [...groups.values()].reduce((acc, sum) => acc + t * Math.pow(sum / t - mean, 2), 0);
+  };
+
+  const names = graeco ? ['Rows', 'Columns', 'Treatments', 'Greek'] : ['Rows', 'Columns', 'Treatments'];
+  const ssTotal = values.reduce((acc, v) => acc + Math.pow(v - mean, 2), 0);
+  const sources = names.map((name, idx) => ({ name, ss: factorSS(idx), df: t - 1 }));
+  const ssError = ssTotal - sources.reduce((a, src) => a + src.ss, 0);
+  const dfError = (t - 1) * (t + 1 - names.length);
+  const msError = ssError / dfError;
+
+  sources.forEach(src => {
+    src.ms = src.ss / src.df;
+    src.f = src.ms / msError;
+  });
+
+  return {
+    sources,
+    error: { ss: ssError, df: dfError, ms: msError },
+    total: { ss: ssTotal, df: t * t - 1 }
+  };
+}
+
+/**
+ * Builds the summary tables, ANOVA table and interpretation 
+ * of a Latin (or Graeco-Latin) square on the 
+ * `${rawDataSheetName} - ANOVA` sheet.
+ * 
+ * @param {Spreadsheet} ss The active spreadsheet.
+ * @param {String} rawDataSheetName Name of the raw data sheet.
+ * @param {Array<Array>} data Validated rows of readLatinSquareData().
+ * @param {String} design 'latin' or 'graecoLatin'.
+ * @returns {Sheet} The ANOVA sheet.
+ */
+function buildLatinSquareSheet(ss, rawDataSheetName, data, design) {
+  const targetSheetName = rawDataSheetName + " - ANOVA";
+  let sheet = ss.getSheetByName(targetSheetName);
+  if (!sheet) sheet = ss.insertSheet(targetSheetName);
+  else {
+    sheet.getRange(1, 1, sheet.getMaxRows(), sheet.getMaxColumns()).clearDataValidations();
+    sheet.clear();
+  }
+
+  const label = EXPERIMENTAL_DESIGNS[design].label;
+  const columns = EXPERIMENTAL_DESIGNS[design].columns;
+  const resultIdx = columns.length - 1;
+
+  sheet.getRange("A1").setValue(`Statistical Analysis for ${label}`)
+    .setFontWeight("bold");
+  setContrastColors(sheet.getRange("A1:E1"), COLOR_PALETTE.header);
+
+  // Summary tables of every factor
+  let currentRow = 3;
+  const summaryFactors = design === 'graecoLatin' ? [2, 0, 1, 3] : [2, 0, 1];
+  summaryFactors.forEach(factorIdx => {
+    currentRow = writeFactorSummary(sheet, currentRow, columns[factorIdx], data, factorIdx, resultIdx) + 1;
+  });
+
+  // ANOVA table
+  currentRow += 2;
+  const anovaStart = currentRow;
+  const anova = latinSquareANOVA(data, design);
+  sheet.getRange(anovaStart, 1).setValue(`ANOVA: ${label}`)
+    .setFontWeight("bold")
+    .setHorizontalAlignment('left');
+  setContrastColors(sheet.getRange(anovaStart, 1, 1, 5), COLOR_PALETTE.header);
+  sheet.getRange(anovaStart, 8).setValue("α:").setHorizontalAlignment("right");
+  const alphaCell = sheet.getRange(anovaStart, 9).setValue(0.05).setNumberFormat("0.00");
+  setContrastColors(alphaCell, COLOR_PALETTE.configCellBg);
+  const alpha = alphaCell.getValue();
+
+  const tableData = [
+    ['Source', 'SS', 'df', 'MS', 'F', 'η²', 'η² 95% CI', 'ω²', 'ω² 95% CI', 'P-value', 'F crit'],
+    ...anova.sources.map(src => [src.name, src.ss, src.df, src.ms, src.f, src.ss / anova.total.ss, '',
+      (src.ss - src.df * anova.error.ms) / (anova.total.ss + anova.error.ms), '', '', '']),
+    ['Error', anova.error.ss, anova.error.df, anova.error.ms, '', '', '', '', '', '', ''],
+    ['Total', anova.total.ss, anova.total.df, '', '', '', '', '', '', '', '']
+  ];
+  const headerRow = anovaStart + 1;
+  const tableRange = sheet.getRange(headerRow, 1, tableData.length, tableData[0].length);
+  tableRange.setValues(tableData)
+    .setBorder(true, true, true, true, null, null, COLOR_PALETTE.thickBorder, SpreadsheetApp.BorderStyle.SOLID_MEDIUM);
+  sheet.getRange(headerRow, 1, 1, tableData[0].length)
+    .setFontStyle("italic")
+    .setBorder(false, false, true, false, null, null, COLOR_PALETTE.thickBorder, SpreadsheetApp.BorderStyle.SOLID);
+  sheet.getRange(headerRow + 1, 2, tableData.length - 1, 1).setNumberFormat("0.000");
+  sheet.getRange(headerRow + 1, 4, tableData.length - 1, 2).setNumberFormat("0.000");
+  sheet.getRange(headerRow + 1, 6, tableData.length - 1, 4).setNumberFormat("0.00%");
+  sheet.getRange(headerRow + 1, 10, tableData.length - 1, 2).setNumberFormat("0.0000");
+  sheet.getRange(headerRow, 2, tableData.length, tableData[0].length).setHorizontalAlignment('center');
+
+  const errorRow = headerRow + anova.sources.length + 1;
+  const alphaNextVal = alpha == 0.01 ? 0.05 : alpha == 0.05 ? 0.1 : alpha * 2;
+  anova.sources.forEach((src, idx) => {
+    const row = headerRow + 1 + idx;
+    try {
+      const ci = calculateEffectSizeCI(sheet, src.f, src.df, anova.error.df);
+      sheet.getRange(row, 7).setValue(`[${ci.etaCI[0].toFixed(3)}, ${ci.etaCI[1].toFixed(3)}]`);
+      sheet.getRange(row, 9).setValue(`[${ci.omegaCI[0].toFixed(3)}, ${ci.omegaCI[1].toFixed(3)}]`);
+    } catch (e) {
+      console.error(`CI calculation failed: ${e.message}`);
+      sheet.getRange(row, 7).setValue("CI Error");
+      sheet.getRange(row, 9).setValue("CI Error");
+    }
+    sheet.getRange(row, 10).setFormula(`=F.DIST.RT(E${row}, C${row}, C${errorRow})`);
+    sheet.getRange(row, 11).setFormula(`=F.INV.RT(${alpha}, C${row}, C${errorRow})`);
+
+    const pValue = fDistRightTail(src.f, src.df, anova.error.df);
+    setContrastColors(sheet.getRange(row, 10), pValue < alpha ? COLOR_PALETTE.significant
+      : pValue < alphaNextVal ? COLOR_PALETTE.warning : COLOR_PALETTE.ns);
+  });
+  sheet.autoResizeColumns(2, 11);
+
+  // Statistical significance tests
+  currentRow = errorRow + 3;
+  const sigStart = currentRow;
+  sheet.getRange(sigStart, 1, 2, anova.sources.length)
+    .setValues([
+      ['Statistical Significance Tests', ...new Array(anova.sources.length - 1).fill('')],
+      anova.sources.map(src => src.name)
+    ]);
+  anova.sources.forEach((src, idx) => {
+    const pCell = sheet.getRange(headerRow + 1 + idx, 10).getA1Notation();
+    sheet.getRange(sigStart + 2, idx + 1).setFormula(
+      `=IF(${pCell}<${alpha},"***",IF(AND(${pCell}>=${alpha}, ${pCell}<${alphaNextVal}),"**","ns"))`);
+  });
+  sheet.getRange(sigStart, 1, 1, anova.sources.length).setFontWeight("bold").setWrap(false);
+  setContrastColors(sheet.getRange(sigStart, 1, 1, anova.sources.length), COLOR_PALETTE.header);
+  sheet.getRange(sigStart + 1, 1, 2, anova.sources.length).setFontStyle("italic");
+
+  // Result interpretation
+  currentRow = sigStart + 4;
+  sheet.getRange(currentRow, 1).setValue("Result Interpretation").setFontWeight("bold");
+  setContrastColors(sheet.getRange(currentRow, 1, 1, 3), COLOR_PALETTE.header);
+  const gradientText = {
+    Rows: ["Row gradient", "row blocking"],
+    Columns: ["Column gradient", "column blocking"],
+    Greek: ["Greek-letter factor", "third blocking factor"]
+  };
+  anova.sources.forEach((src, idx) => {
+    const labelRow = currentRow + 1 + idx * 3;
+    const sigCell = sheet.getRange(sigStart + 2, idx + 1).getA1Notation();
+    const etaCell = sheet.getRange(headerRow + 1 + idx, 6).getA1Notation();
+    const effectSize = `"(η²=" & TEXT(${etaCell},"0.00%") & IF(${etaCell}>=0.14,", large effect)",` +
+      `IF(${etaCell}>=0.06,", medium effect)",", small effect)"))`;
+
+    if (src.name === 'Treatments') {
+      sheet.getRange(labelRow, 1).setValue("Treatment Effect");
+      sheet.getRange(labelRow + 1, 1).setFormula(
+        `=IF(${sigCell}="***","Statistically significant differences " & ${effectSize} &` +
+        `" Practical significance: " & IF(${etaCell}>=0.06, "meaningful ", "marginal ") & "differences.",` +
+        `"No significant treatment differences")`);
+    } else {
+      const [title, role] = gradientText[src.name];
+      sheet.getRange(labelRow, 1).setValue(title);
+      sheet.getRange(labelRow + 1, 1).setFormula(
+        `=IF(${sigCell}="***","Statistically significant differences " & ${effectSize} &` +
+        `" The ${role} removed real variation.",` +
+        `"No significant differences; the ${role} had little effect")`);
+    }
+    sheet.getRange(labelRow, 1, 1, 2).setFontStyle("italic");
+    setContrastColors(sheet.getRange(labelRow, 1, 1, 2), COLOR_PALETTE.subHeader);
+  });
+
+  sheet.getRange(anovaStart, 1)
+    .setNote(`Each treatment occurs once in every row and column` + 
+      (design === 'graecoLatin' ? " and with every Greek letter once" : "") +
+      `. Error df = ${anova.error.df}.`);
+  ss.setActiveSheet(sheet);
+  return sheet;
+}
+
+/**
+ * Writes a Count / Sum / Average / Variance 
+ * summary table of one factor's levels.
+ * 
+ * @param {Sheet} sheet The ANOVA sheet.
+ * @param {Number} startRow Row number where the table starts.
+ * @param {String} title Factor name.
+ * @param {Array<Array>} data Data rows.
+ * @param {Number} factorIdx Column of the factor in data.
+ * @param {Number} resultIdx Column of the result in data.
+ * @returns {Number} Row number following the table.
+ */
+function writeFactorSummary(sheet, startRow, title, data, factorIdx, resultIdx) {
+  const levels = [...new Set(data.map(row => row[factorIdx]))];
+  const groups = levels.map(level => data.filter(row => row[factorIdx] === level).map(row => row[resultIdx]));
+
+  sheet.getRange(startRow, 1, 1, levels.length + 1)
+    .setValues([[`SUMMARY: ${title}`, ...levels]])
+    .setFontStyle("italic")
+    .setFontWeight("bold");
+  const tableData = [
+    ["Count", ...groups.map(g => g.length)],
+    ["Sum", ...groups.map(g => g.reduce((a, v) => a + v, 0))],
+    ["Average", ...groups.map(g => meanOrBlank(g))],
+    ["Variance", ...groups.map(g => varianceOrBlank(g))]
+  ];
+  sheet.getRange(startRow + 1, 1, tableData.length, tableData[0].length)
+    .setValues(tableData)
+    .setBorder(true, false, false, false, false, false, COLOR_PALETTE.thickBorder, SpreadsheetApp.BorderStyle.SOLID_MEDIUM);
+  sheet.getRange(startRow + 2, 2, 3, levels.length).setNumberFormat("0.00");
+  sheet.getRange(startRow, 2, tableData.length + 1, levels.length).setHorizontalAlignment("center");
+  return startRow + 1 + tableData.length;
+}
+
+// ====================== SPLIT-PLOT DESIGN ======================
+/**
+ * Runs the split-plot ANOVA on the active sheet, a long-format 
+ * table with Block, MainPlot, SubPlot and Result columns 
+ * (headers name the factors), and writes it to the 
+ * `${sheetName} - Split-Plot ANOVA` sheet.
+ * 
+ * @customFunction
+ * @returns {void}
+ */
+function generateSplitPlotANOVA() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const sourceSheet = ss.getActiveSheet();
+  const values = sourceSheet.getDataRange().getValues();
+
+  if (values.length < 2 || values[0].length < 4) {
+    Browser.msgBox("Data Validation Result", 
+      "Split-plot data needs four columns: Block, MainPlot, SubPlot and Result, with a header row.", 
+      Browser.Buttons.OK);
+    return;
+  }
+
+  const headers = values[0].slice(0, 4).map(String);
+  const data = values.slice(1)
+    .filter(row => row.slice(0, 4).some(v => v !== ""))
+    .map(row => row.slice(0, 4));
+
+  let result;
+  try {
+    result = splitPlotANOVA(data);
+  } catch (e) {
+    Browser.msgBox("Data Validation Result", e.message, Browser.Buttons.OK);
+    Logger.log(`Split-plot ANOVA failed: ${e.message}`);
+    return;
+  }
+
+  const targetSheetName = sourceSheet.getName() + " - Split-Plot ANOVA";
+  let sheet = ss.getSheetByName(targetSheetName);
+  const alpha = readAlphaCell(sheet, 3, 7);
+  if (!sheet) sheet = ss.insertSheet(targetSheetName);
+  else sheet.clear();
+
+  writeSplitPlotANOVA(sheet, result, { main: headers[1], sub: headers[2] }, alpha);
+  ss.setActiveSheet(sheet);
+
+  Browser.msgBox("Success!", "Split-plot ANOVA completed successfully.", Browser.Buttons.OK);
+  Logger.log("Split-plot ANOVA completed successfully.");
+}
+
+/**
+ * Two-stratum ANOVA of a split-plot design in blocks: the 
+ * main-plot factor A is tested against Error (a) = Block × A 
+ * and the sub-plot factor B and A × B against Error (b). 
+ * Requires exactly one observation per block, main plot 
+ * and sub plot.
+ * 
+ * @param {Array<Array>} data [Block, MainPlot, SubPlot, Result] rows.
+ * @returns {Object} { blocks, mainLevels, subLevels, mean, rows, sed } 
+ *                   where rows map each source to { ss, df, ms, f, 
+ *                   pValue } and sed lists the standard errors of 
+ *                   differences per comparison type.
+ */
+function splitPlotANOVA(data) {
+  const invalid = data.findIndex(row => row.slice(0, 3).some(v => v === "") || 
+    row[3] === "" || typeof row[3] !== 'number' || !isFinite(row[3]));
+  if (invalid >= 0) {
+    throw new Error(`Row ${invalid + 2} has an empty label or a non-numeric result. ` +
+      "Estimate or remove missing plots before the split-plot analysis.");
+  }
+
+  const blocks = [...new Set(data.map(row => row[0]))];
+  const mainLevels = [...new Set(data.map(row => row[1]))];
+  const subLevels = [...new Set(data.map(row => row[2]))];
+  const r = blocks.length, a = mainLevels.length, b = subLevels.length;
+  if (r < 2 || a < 2 || b < 2) {
+    throw new Error("Split-plot data needs at least two blocks, two main-plot and two sub-plot levels.");
+  }
+
+  const cellCounts = new Map();
+  data.forEach(row => {
+    const key = JSON.stringify(row.slice(0, 3));
+    cellCounts.set(key, (cellCounts.get(key) || 0) + 1);
+  });
+  if (cellCounts.size !== r * a * b || [...cellCounts.values()].some(n => n !== 1)) {
+    throw new Error(`Every block × main plot × sub plot combination needs exactly one result ` +
+      `(${r} × ${a} × ${b} = ${r * a * b}); found ${data.length} results in ${cellCounts.size} combinations.`);
+  }
+
+  const mean = data.reduce((acc, row) => acc + row[3], 0) / data.length;
+
+  // Between-group SS of the grouping given by key()
+  const groupSS = key => {
+    const groups = new Map();
+    data.forEach(row => {
+      const k = JSON.stringify(key(row));
+      const g = groups.get(k) || { sum: 0, n: 0 };
+      g.sum += row[3];
+      g.n++;
+      groups.set(k, g);
+    });
+    return [...groups.values()].reduce((acc, g) => acc + g.n * Math.pow(g.sum / g.n - mean, 2), 0);
+  };
+
+  const ssTotal = data.reduce((acc, row) => acc + Math.pow(row[3] - mean, 2), 0);
+  const ssBlocks = groupSS(row => row[0]);
+  const ssA = groupSS(row => row[1]);
+  const ssErrorA = groupSS(row => [row[0], row[1]]) - ssBlocks - ssA;
+  const ssB = groupSS(row => row[2]);
+  const ssAB = groupSS(row => [row[1], row[2]]) - ssA - ssB;
+  const ssErrorB = ssTotal - ssBlocks - ssA - ssErrorA - ssB - ssAB;
+
+  const dfErrorA = (r - 1) * (a - 1);
+  const dfErrorB = a * (r - 1) * (b - 1);
+  const msErrorA = ssErrorA / dfErrorA;
+  const msErrorB = ssErrorB / dfErrorB;
+
+  const line = (ss, df, msDenominator, dfDenominator) => {
+    const ms = ss / df;
+    if (!msDenominator) return { ss, df, ms, f: "", pValue: "" };
+    const f = ms / msDenominator;
+    return { ss, df, ms, f, pValue: fDistRightTail(f, df, dfDenominator) };
+  };
+
+  const rows = {
+    blocks: line(ssBlocks, r - 1, msErrorA, dfErrorA),
+    main: line(ssA, a - 1, msErrorA, dfErrorA),
+    errorA: line(ssErrorA, dfErrorA),
+    sub: line(ssB, b - 1, msErrorB, dfErrorB),
+    interaction: line(ssAB, (a - 1) * (b - 1), msErrorB, dfErrorB),
+    errorB: line(ssErrorB, dfErrorB),
+    total: { ss: ssTotal, df: r * a * b - 1, ms: "", f: "", pValue: "" }
+  };
+
+  // Two main-plot means at the same or different sub-plot level mix both 
+  // error terms; their df follow Satterthwaite's approximation
+  const mixedNumerator = (b - 1) * msErrorB + msErrorA;
+  const mixedDf = Math.pow(mixedNumerator, 2) / 
+    (Math.pow((b - 1) * msErrorB, 2) / dfErrorB + Math.pow(msErrorA, 2) / dfErrorA);
+  const sed = [
+    { comparison: "Two main-plot means", sed: Math.sqrt(2 * msErrorA / (r * b)), df: dfErrorA, 
+      formula: "√(2Ea / rb)" },
+    { comparison: "Two sub-plot means", sed: Math.sqrt(2 * msErrorB / (r * a)), df: dfErrorB, 
+      formula: "√(2Eb / ra)" },
+    { comparison: "Two sub-plot means at the same main-plot level", sed: Math.sqrt(2 * msErrorB / r), df: dfErrorB, 
+      formula: "√(2Eb / r)" },
+    { comparison: "Two main-plot means at the same or different sub-plot level", 
+      sed: Math.sqrt(2 * mixedNumerator / (r * b)), df: mixedDf, formula: "√(2[(b − 1)Eb + Ea] / rb)" }
+  ];
+
+  return { blocks, mainLevels, subLevels, mean, rows, sed, msErrorA, msErrorB };
+}
+
+/**
+ * Writes the split-plot ANOVA table, coefficients of 
+ * variation, standard errors of differences and the 
+ * interpretation, styled like the RCBD ANOVA sheet.
+ * 
+ * @param {Sheet} sheet The split-plot ANOVA sheet.
+ * @param {Object} result Output of splitPlotANOVA().
+ * @param {Object} names Factor names, { main, sub }.
+ * @param {Number} alpha Significance level from the α cell.
+ * @returns {void}
+ */
+function writeSplitPlotANOVA(sheet, result, names, alpha) {
+  sheet.getRange("A1").setValue("Statistical Analysis for Split-Plot Design in Blocks")
+    .setFontWeight("bold");
+  setContrastColors(sheet.getRange("A1:E1"), COLOR_PALETTE.header);
+
+  // ANOVA table
+  const startRow = 3;
+  sheet.getRange(startRow, 1).setValue("ANOVA: Split-Plot (Two Strata)")
+    .setFontWeight("bold");
+  setContrastColors(sheet.getRange(startRow, 1, 1, 5), COLOR_PALETTE.header);
+  sheet.getRange(startRow, 6).setValue("α:").setHorizontalAlignment("right");
+  const alphaCell = sheet.getRange(startRow, 7).setValue(alpha).setNumberFormat("0.00")
+    .setNote("Significance level of every test, mark and interpretation on this sheet. " +
+      "Change it and re-run 'Run Split-Plot ANOVA'.");
+  setContrastColors(alphaCell, COLOR_PALETTE.configCellBg);
+
+  const { rows } = result;
+  const sources = [
+    [`Blocks`, rows.blocks],
+    [`Main plot: ${names.main}`, rows.main],
+    ["Error (a)", rows.errorA],
+    [`Sub plot: ${names.sub}`, rows.sub],
+    [`${names.main} × ${names.sub}`, rows.interaction],
+    ["Error (b)", rows.errorB],
+    ["Total", rows.total]
+  ];
+  const tableData = [
+    ["Source", "SS", "df", "MS", "F", "P-value", "F crit"],
+    ...sources.map(([source, row]) => [source, row.ss, row.df, row.ms, row.f, "", ""])
+  ];
+  const headerRow = startRow + 1;
+  const tableRange = sheet.getRange(headerRow, 1, tableData.length, tableData[0].length);
+  tableRange.setValues(tableData)
+    .setBorder(true, true, true, true, null, null, COLOR_PALETTE.thickBorder, SpreadsheetApp.BorderStyle.SOLID_MEDIUM);
+  sheet.getRange(headerRow, 1, 1, tableData[0].length)
+    .setFontStyle("italic")
+    .setBorder(false, false, true, false, null, null, COLOR_PALETTE.thickBorder, SpreadsheetApp.BorderStyle.SOLID);
+  sheet.getRange(headerRow, 2, tableData.length, tableData[0].length - 1).setHorizontalAlignment("center");
+  sheet.getRange(headerRow + 1, 2, sources.length, 1).setNumberFormat("0.000");
+  sheet.getRange(headerRow + 1, 4, sources.length, 2).setNumberFormat("0.000");
+  sheet.getRange(headerRow + 1, 6, sources.length, 2).setNumberFormat("0.0000");
+
+  // Stratum errors: Error (a) for blocks and main plots, Error (b) for the rest
+  const errorARow = headerRow + 3, errorBRow = headerRow + 6;
+  const tested = [[headerRow + 1, errorARow], [headerRow + 2, errorARow], [headerRow + 4, errorBRow], [headerRow + 5, errorBRow]];
+  tested.forEach(([row, errorRow]) => {
+    sheet.getRange(row, 6).setFormula(`=F.DIST.RT(E${row}, C${row}, C${errorRow})`);
+    sheet.getRange(row, 7).setFormula(`=F.INV.RT(${alphaCell.getA1Notation()}, C${row}, C${errorRow})`);
+  });
+  [errorARow, errorBRow].forEach(row => {
+    sheet.getRange(row, 1, 1, tableData[0].length).setFontStyle("italic");
+  });
+  sheet.getRange(startRow, 1)
+    .setNote("Blocks and the main-plot factor are tested against Error (a), the block × main-plot " +
+      "interaction. The sub-plot factor and the interaction are tested against Error (b).");
+
+  const significance = [rows.blocks, rows.main, rows.sub, rows.interaction].map(row => 
+    row.pValue < alpha ? "***" : row.pValue < alpha * 2 ? "**" : "ns");
+  tested.forEach(([row], idx) => {
+    setContrastColors(sheet.getRange(row, 6), significance[idx] === "***" ? COLOR_PALETTE.significant 
+      : significance[idx] === "**" ? COLOR_PALETTE.warning : COLOR_PALETTE.ns);
+  });
+
+  // Coefficients of variation
+  let currentRow = headerRow + tableData.length + 1;
+  const cvData = [
+    ["CV (a), main plots", Math.sqrt(result.msErrorA) / result.mean],
+    ["CV (b), sub plots", Math.sqrt(result.msErrorB) / result.mean]
+  ];
+  sheet.getRange(currentRow, 1, cvData.length, 2).setValues(cvData);
+  sheet.getRange(currentRow, 1, cvData.length, 1).setFontStyle("italic");
+  sheet.getRange(currentRow, 2, cvData.length, 1).setNumberFormat("0.00%").setHorizontalAlignment("center");
+  currentRow += cvData.length + 1;
+
+  // Standard errors of differences
+  sheet.getRange(currentRow, 1).setValue("Standard Errors of Differences")
+    .setFontWeight("bold");
+  setContrastColors(sheet.getRange(currentRow, 1, 1, 5), COLOR_PALETTE.header);
+  const pct = Math.round((1 - alpha) * 100);
+  const sedData = [
+    ["Comparison", "SED", "df", `LSD (${pct}%)`, "Formula"],
+    ...result.sed.map(s => [s.comparison, s.sed, s.df, tDistInv(1 - alpha / 2, s.df) * s.sed, s.formula])
+  ];
+  sheet.getRange(currentRow + 1, 1, sedData.length, sedData[0].length)
+    .setValues(sedData)
+    .setBorder(true, true, true, true, null, null, COLOR_PALETTE.thickBorder, SpreadsheetApp.BorderStyle.SOLID_MEDIUM);
+  sheet.getRange(currentRow + 1, 1, 1, sedData[0].length)
+    .setFontStyle("italic")
+    .setBorder(false, false, true, false, null, null, COLOR_PALETTE.thickBorder, SpreadsheetApp.BorderStyle.SOLID);
+  sheet.getRange(currentRow + 1, 2, sedData.length, 4).setHorizontalAlignment("center");
+  sheet.getRange(currentRow + 2, 2, result.sed.length, 1).setNumberFormat("0.000");
+  sheet.getRange(currentRow + 2, 3, result.sed.length, 1).setNumberFormat("0.0");
+  sheet.getRange(currentRow + 2, 4, result.sed.length, 1).setNumberFormat("0.000");
+  sheet.getRange(currentRow, 1)
+    .setNote(`Ea and Eb are the Error (a) and Error (b) mean squares, r = ${result.blocks.length} blocks, ` +
+      `a = ${result.mainLevels.length} main-plot and b = ${result.subLevels.length} sub-plot levels. ` +
+      "The last comparison uses Satterthwaite's df for the combined error.");
+  currentRow += sedData.length + 2;
+
+  // Statistical significance and interpretation
+  sheet.getRange(currentRow, 1, 2, 4).setValues([
+    ["Statistical Significance Tests", "", "", ""],
+    ["Block", names.main, names.sub, "Interaction"]
+  ]);
+  sheet.getRange(currentRow, 1, 1, 4).setFontWeight("bold");
+  setContrastColors(sheet.getRange(currentRow, 1, 1, 4), COLOR_PALETTE.header);
+  sheet.getRange(currentRow + 2, 1, 1, 4).setValues([significance]);
+  sheet.getRange(currentRow + 1, 1, 2, 4).setFontStyle("italic");
+  sheet.getRange(currentRow, 4).setNote(`Cutoff: ${alpha}; "**" marks P-values below ${alpha * 2}.`);
+  currentRow += 4;
+
+  const describe = (row, label) => row.pValue < alpha
+    ? `Significant ${label} effect (P = ${row.pValue.toFixed(4)}).`
+    : `No significant ${label} effect (P = ${row.pValue.toFixed(4)}).`;
+  const lines = [
+    ["Main-Plot Effect", describe(rows.main, names.main) + " Tested against Error (a), which has few df, so " +
+      "main-plot comparisons are the least precise."],
+    ["Sub-Plot Effect", describe(rows.sub, names.sub)],
+    ["Interaction Effect", rows.interaction.pValue < alpha
+      ? `${describe(rows.interaction, `${names.main} × ${names.sub}`)} Compare ${names.sub} levels within each ` +
+        `${names.main} level rather than the marginal means.`
+      : `${describe(rows.interaction, `${names.main} × ${names.sub}`)} Main effects can be interpreted directly.`]
+  ];
+  sheet.getRange(currentRow, 1).setValue("Result Interpretation").setFontWeight("bold");
+  setContrastColors(sheet.getRange(currentRow, 1, 1, 3), COLOR_PALETTE.header);
+  lines.forEach(([label, text], idx) => {
+    const labelRow = currentRow + 1 + idx * 3;
+    sheet.getRange(labelRow, 1).setValue(label).setFontStyle("italic");
+    setContrastColors(sheet.getRange(labelRow, 1, 1, 2), COLOR_PALETTE.subHeader);
+    sheet.getRange(labelRow + 1, 1).setValue(text);
+  });
+
+  sheet.autoResizeColumns(1, 7);
+}
+
+// ====================== HELPER FUNCTION FOR ANOVA TABLE ======================
+/**
+ * Generates the Two-Factor ANOVA table.
+ * 
+ * @customFunction
+ * 
+ * @param {Sheet} sheet The Google Sheets Sheet object where the ANOVA table is generated.
+ * @param {Number} startRow Row number where the ANOVA table starts.
+ * @param {Object} rawData Observations raw data.
+ * @param {Object} blocks Array of blocks data.
+ * @param {Object} treatments Array of treatments data.
+ * @param {Number} b Number of blocks.
+ * @param {Number} t Number of treatments.
+ * @param {Number} r Number of treatment replications per block.
+ * @param {Object} estimated { plots, cells } from getEstimatedPlotCounts(): 
+ *                           each cell that lost every plot removes one 
+ *                           interaction df, every other estimated plot 
+ *                           one error df.
+ * @param {String} blockModel 'Fixed' or 'Random' blocks.
+ * @returns {Object} SS, df, MS and F values of the table, with the 
+ *                   error term testing the treatments.
+ */
+function generateANOVATable(sheet, startRow, rawData, blocks, treatments, b, t, r, estimated = { plots: 0, cells: 0 }, blockModel = 'Fixed') {
+  const { ssBlocks, ssTreatments, ssInteraction, ssError, ssTotal, df, isBalanced, ssType } = 
+    calculateSSFromRaw(rawData, blocks, treatments, b, t, r);
+  
+  // Degrees of freedom
+  const dfBlocks = df.blocks;
+  const dfTreatments = df.treatments;
+  const dfInteraction = df.interaction - estimated.cells;
+  const dfError = df.error - (estimated.plots - estimated.cells);
+  const dfTotal = df.total - estimated.plots;
+
+  // Mean squares
+  const msBlocks = ssBlocks / dfBlocks;
+  const msTreatments = ssTreatments / dfTreatments;
+  const msInteraction = ssInteraction / dfInteraction;
+  const msError = ssError / dfError;
+
+  // F-values, with denominators from the expected mean squares:
+  // random blocks test blocks and treatments against the interaction
+  const randomBlocks = blockModel === 'Random';
+  const treatmentErrorSource = randomBlocks ? 'Interaction' : 'Error';
+  const msTreatmentError = randomBlocks ? msInteraction : msError;
+  const dfTreatmentError = randomBlocks ? dfInteraction : dfError;
+  const fBlocks = msBlocks / msTreatmentError;
+  const fTreatments = msTreatments / msTreatmentError;
+  const fInteraction = msInteraction / msError;
+
+  // Effect sizes
+  const etaSqBlocks = ssBlocks / ssTotal;
+  const etaSqTreatments = ssTreatments / ssTotal;
+  const etaSqInteraction = ssInteraction / ssTotal;
+  
+  const omegaSqBlocks = (ssBlocks - dfBlocks * msError) / (ssTotal + msError);
+  const omegaSqTreatments = (ssTreatments - dfTreatments * msError) / (ssTotal + msError);
+  const omegaSqInteraction = (ssInteraction - dfInteraction * msError) / (ssTotal + msError);
+
+  // Build ANOVA table with CI columns
+  const anovaData = [
+    ['Source', 'SS', 'df', 'MS', 'F', 'η²', 'η² 95% CI', 'ω²', 'ω² 95% CI', 'P-value', 'F crit'],
+    ['Blocks', ssBlocks, dfBlocks, msBlocks, fBlocks, etaSqBlocks, '', omegaSqBlocks, '', '', ''],
+    ['Treatments', ssTreatments, dfTreatments, msTreatments, fTreatments, etaSqTreatments, '', omegaSqTreatments, '', '', ''],
+    ['Interaction', ssInteraction, dfInteraction, msInteraction, fInteraction, etaSqInteraction, '', omegaSqInteraction, '', '', ''],
+    ['Error', ssError, dfError, msError, '', '', '', '', '', '', ''],
+    ['Total', ssTotal, dfTotal, '', '', '', '', '', '', '', '']
+  ];
+  
+  // Add ANOVA title
+  const anovaTitle = isBalanced 
+    ? "ANOVA: Two-Factor With Replication"
+    : `ANOVA: Two-Factor With Replication (Unbalanced, Type ${ssType} SS)`;
+  sheet.getRange(startRow, 1).setValue(anovaTitle)
+    .setFontWeight("bold")
+    .setHorizontalAlignment('left');
+
+  const titleNotes = [
+    estimated.plots > 0 
+      ? `${estimated.plots} missing plot(s) were estimated. Total df are reduced by ${estimated.plots}: ` +
+        `interaction df by ${estimated.cells} for the cell(s) that lost every plot, error df by ${estimated.plots - estimated.cells}.`
+      : "",
+    !isBalanced 
+      ? `Unequal replication detected. Sums of squares are Type ${ssType} from a least-squares fit ` +
+        "(sum-to-zero coding) and do not add up to the total SS."
+      : ""
+  ].filter(note => note !== "");
+  if (titleNotes.length > 0) {
+    sheet.getRange(startRow, 1).setNote(titleNotes.join("\n\n"));
+  }
+
+  // Set configurable α
+  const alphaCell = sheet.getRange(startRow, 9);
+  sheet.getRange(startRow, 8).setValue("α:")
+    .setHorizontalAlignment("right");
+  alphaCell
+    .setValue(0.05)
+    .setNumberFormat("0.00");
+
+  // Color format alpha value cell
+  setContrastColors(alphaCell, COLOR_PALETTE.configCellBg);
+  startRow++;
+
+  // Write to sheet
+  const tableRange = sheet.getRange(startRow, 1, anovaData.length, anovaData[0].length);
+  const anovaLabelRange = sheet.getRange(startRow, 1, 1, anovaData[0].length);
+  tableRange.setValues(anovaData);
+
+  // Formatting Borders
+  anovaLabelRange
+    .setFontStyle("italic")
+    .setBorder(false, false, true, false, null, null, COLOR_PALETTE.thickBorder, SpreadsheetApp.BorderStyle.SOLID);
+  tableRange.setBorder(true, true, true, true, null, null, COLOR_PALETTE.thickBorder, SpreadsheetApp.BorderStyle.SOLID_MEDIUM);
+  
+  // Number formatting
+  sheet.getRange(startRow, 2, anovaData.length - 1, 1).setNumberFormat("0.000"); // SS
+  sheet.getRange(startRow, 4, anovaData.length - 1, 2).setNumberFormat("0.000"); // MS & F
+  // η² & η² 95% CI, ω² & ω² 95% CI as percentages
+  sheet.getRange(startRow, 6, anovaData.length - 1, 4).setNumberFormat("0.00%");
+  sheet.getRange(startRow, 10, anovaData.length - 1, 2).setNumberFormat("0.0000"); // P-value & F crit
+
+  // Center horizontally starting column 2
+  sheet.getRange(startRow, 2, anovaData.length, anovaData[0].length).setHorizontalAlignment('center');
+
+  // F denominators: Interaction row (3) or Error row (4)
+  const denominatorOffsets = randomBlocks ? [3, 3, 4] : [4, 4, 4];
+  sheet.getRange(startRow, 5)
+    .setNote(randomBlocks
+      ? "Random blocks (mixed model): Blocks and Treatments are tested against MS Interaction, " +
+        "Interaction against MS Error. See the expected mean squares."
+      : "Fixed blocks: every effect is tested against MS Error. See the expected mean squares.");
+
+  // Add formulas for P-value and F crit
+  [1, 2, 3].forEach((rowOffset, idx) => { // Blocks, Treatments, Interaction rows
+    const row = startRow + rowOffset;
+    const denominatorRow = startRow + denominatorOffsets[idx];
+    const F = sheet.getRange(row, 5).getValue();
+    
+    if (isNaN(F)) {
+      throw new Error(`Invalid F-value at row ${row}`);
+    }
+
+    const df1 = sheet.getRange(row, 3).getValue();
+    const df2 = sheet.getRange(denominatorRow, 3).getValue(); // Denominator df
+
+    try {
+      // Calculate CIs
+      const ci = calculateEffectSizeCI(sheet, F, df1, df2);
+
+      // η² CI
+      sheet.getRange(row, 7)
+        .setValue(`[${ci.etaCI[0].toFixed(3)}, ${ci.etaCI[1].toFixed(3)}]`)
+        .setNote(`95% CI for η²: ${(ci.etaCI[0]*100).toFixed(1)}% to ${(ci.etaCI[1]*100).toFixed(1)}%`);
+      
+      // ω² CI
+      sheet.getRange(row, 9)
+        .setValue(`[${ci.omegaCI[0].toFixed(3)}, ${ci.omegaCI[1].toFixed(3)}]`)
+        .setNote(`95% CI for ω²: ${(ci.omegaCI[0]*100).toFixed(1)}% to ${(ci.omegaCI[1]*100).toFixed(1)}%`);
+
+      sheet.getRange(row, 10).setFormula(`=F.DIST.RT(E${row}, C${row}, C${denominatorRow})`); // P-value
+      sheet.getRange(row, 11).setFormula(`=F.INV.RT(${alphaCell.getValue()}, C${row}, C${denominatorRow})`); // F crit
+    } catch (e) {
+      console.error(`CI calculation failed: ${e.message}`);
+      sheet.getRange(row, 7).setValue("CI Error");
+      sheet.getRange(row, 9).setValue("CI Error");
+    }
+
+  });
+
+  // Auto resizing column 2-11 at this point
+  sheet.autoResizeColumns(2, 11);
+
+  return {
+    ssBlocks, ssTreatments, ssInteraction, ssError, ssTotal,
+    dfBlocks, dfTreatments, dfInteraction, dfError, dfTotal,
+    msBlocks, msTreatments, msInteraction, msError,
+    fBlocks, fTreatments, fInteraction,
+    isBalanced, blockModel: randomBlocks ? 'Random' : 'Fixed',
+    msTreatmentError, dfTreatmentError, treatmentErrorSource,
+    cellReplication: isBalanced ? r : harmonicCellReplication(rawData)
+  };
+}
+
+/**
+ * Harmonic mean of the number of observations in the 
+ * non-empty block × treatment cells, used as the 
+ * replication of unbalanced expected mean squares.
+ * 
+ * @param {Array<Array>} rawData [Block, Treatment, Result] rows.
+ * @returns {Number} Harmonic mean cell size.
+ */
+function harmonicCellReplication(rawData) {
+  const counts = new Map();
+  rawData.forEach(row => {
+    const key = JSON.stringify([row[0], row[1]]);
+    counts.set(key, (counts.get(key) || 0) + 1);
+  });
+  return counts.size / [...counts.values()].reduce((a, n) => a + 1 / n, 0);
+}
+
+/**
+ * Expected mean squares of the two-factor RCBD with 
+ * replication, with fixed or random blocks. Random blocks 
+ * follow the unrestricted mixed model, where the random 
+ * interaction enters the block and treatment lines.
+ * 
+ * @param {Number} b Number of blocks.
+ * @param {Number} t Number of treatments.
+ * @param {Number} r Replications per cell.
+ * @param {String} blockModel 'Fixed' or 'Random'.
+ * @returns {Array<Object>} { source, ems, denominator } per source.
+ */
+function expectedMeanSquares(b, t, r, blockModel) {
+  const coefficient = n => Number.isInteger(n) ? `${n}` : n.toFixed(2);
+  if (blockModel === 'Random') {
+    return [
+      { source: 'Blocks', ems: `σ² + ${coefficient(r)}σ²BT + ${coefficient(r * t)}σ²B`, denominator: 'MS Interaction' },
+      { source: 'Treatments', ems: `σ² + ${coefficient(r)}σ²BT + ${coefficient(r * b)}θ²T`, denominator: 'MS Interaction' },
+      { source: 'Interaction', ems: `σ² + ${coefficient(r)}σ²BT`, denominator: 'MS Error' },
+      { source: 'Error', ems: 'σ²', denominator: '' }
+    ];
+  }
+  return [
+    { source: 'Blocks', ems: `σ² + ${coefficient(r * t)}θ²B`, denominator: 'MS Error' },
+    { source: 'Treatments', ems: `σ² + ${coefficient(r * b)}θ²T`, denominator: 'MS Error' },
+    { source: 'Interaction', ems: `σ² + ${coefficient(r)}θ²BT`, denominator: 'MS Error' },
+    { source: 'Error', ems: 'σ²', denominator: '' }
+  ];
+}
+
+/**
+ * Writes the expected mean squares table and the 
+ * denominator of every F test.
+ * 
+ * @param {Sheet} sheet The ANOVA sheet.
+ * @param {Number} startRow Row number where the table starts.
+ * @param {Number} startColumn Column number where the table starts.
+ * @param {Array<Object>} rows Output of expectedMeanSquares().
+ * @returns {void}
+ */
+function writeEMSTable(sheet, startRow, startColumn, rows) {
+  sheet.getRange(startRow, startColumn).setValue("Expected Mean Squares")
+    .setFontWeight("bold");
+  setContrastColors(sheet.getRange(startRow, startColumn, 1, 3), COLOR_PALETTE.header);
+
+  const tableData = [
+    ["Source", "E(MS)", "F denominator"],
+    ...rows.map(row => [row.source, row.ems, row.denominator])
+  ];
+  const tableRange = sheet.getRange(startRow + 1, startColumn, tableData.length, 3);
+  tableRange.setValues(tableData)
+    .setBorder(true, true, true, true, null, null, COLOR_PALETTE.thickBorder, SpreadsheetApp.BorderStyle.SOLID_MEDIUM);
+  sheet.getRange(startRow + 1, startColumn, 1, 3)
+    .setFontStyle("italic")
+    .setBorder(false, false, true, false, null, null, COLOR_PALETTE.thickBorder, SpreadsheetApp.BorderStyle.SOLID);
+  sheet.getRange(startRow + 2, startColumn + 1, rows.length, 2).setHorizontalAlignment("center");
+
+  sheet.getRange(startRow, startColumn)
+    .setNote("σ² terms are variance components of random effects and θ² terms are the mean squared " +
+      "fixed effects. Each F test divides by the mean square whose expectation matches the tested line " +
+      "without its own term. Unbalanced data use the harmonic mean cell size as replication." +
+      (rows.some(row => row.ems.includes("ψ²")) ? " ψ is the true value Σ cᵢμᵢ of a treatment contrast." : ""));
+  sheet.autoResizeColumns(startColumn, 3);
+}
+
+/**
+ * Retruns Sum of Squares calculations for 
+ * a Two-Factor ANOVA table generation.
+ * Unbalanced data is handed over to the 
+ * least-squares fit in calculateLeastSquaresSS().
+ * 
+ * @param {Object} rawData Observations raw data.
+ * @param {Object} blocks Array of blocks data.
+ * @param {Object} treatments Array of treatments data.
+ * @param {Number} b Number of blocks.
+ * @param {Number} t Number of treatments.
+ * @param {Number} r Number of treatment replications per block.
+ * @returns {Object}  Sum of Squares, degrees of freedom (df) 
+ *                    and whether the design is balanced.
+ */
+function calculateSSFromRaw(rawData, blocks, treatments, b, t, r) {
+  if (!checkDesignBalance(rawData, blocks, treatments).isBalanced) {
+    return calculateLeastSquaresSS(rawData, blocks, treatments);
+  }
+
+  let ssBlocks = 0, ssTreatments = 0, ssInteraction = 0, ssError = 0, ssTotal = 0;
+  
+  // 1. Calculate overall mean
+  const overallMean = rawData.reduce((sum, row) => sum + row[2], 0) / rawData.length;
+
+  // 2. Calculate block and treatment means
+  const blockMeans = new Map();
+  blocks.forEach(block => {
+    const blockData = rawData.filter(row => row[0] === block);
+    blockMeans.set(block, blockData.reduce((sum, row) => sum + row[2], 0) / blockData.length);
+  });
+
+  const treatmentMeans = new Map();
+  treatments.forEach(treatment => {
+    const treatmentData = rawData.filter(row => row[1] === treatment);
+    treatmentMeans.set(treatment, treatmentData.reduce((sum, row) => sum + row[2], 0) / treatmentData.length);
+  });
+
+  // 3. Calculate group means and SS components
+  const groupMeans = new Map();
+  blocks.forEach(block => {
+    treatments.forEach(treatment => {
+      const groupData = rawData.filter(row => 
+        row[0] === block && row[1] === treatment
+      ).map(row => row[2]);
+      
+      const mean = groupData.reduce((a, b) => a + b, 0) / groupData.length;
+      groupMeans.set(`${block}|${treatment}`, mean);
+      
+      // SS Error
+      ssError += groupData.reduce((sum, val) => sum + Math.pow(val - mean, 2), 0);
+    });
+  });
+
+  // SS Blocks
+  blocks.forEach(block => {
+    ssBlocks += t * r * Math.pow(blockMeans.get(block) - overallMean, 2);
+  });
+
+  // SS Treatments
+  treatments.forEach(treatment => {
+    ssTreatments += b * r * Math.pow(treatmentMeans.get(treatment) - overallMean, 2);
+  });
+
+  // SS Interaction
+  blocks.forEach(block => {
+    treatments.forEach(treatment => {
+      const interaction = groupMeans.get(`${block}|${treatment}`) 
+        - blockMeans.get(block) 
+        - treatmentMeans.get(treatment) 
+        + overallMean;
+      ssInteraction += r * Math.pow(interaction, 2);
+    });
+  });
+
+  // SS Total
+  ssTotal = rawData.reduce((sum, row) => sum + Math.pow(row[2] - overallMean, 2), 0);
+
+  const df = {
+    blocks: b - 1,
+    treatments: t - 1,
+    interaction: (b - 1) * (t - 1),
+    error: b * t * (r - 1),
+    total: b * t * r - 1
+  };
+
+  return { ssBlocks, ssTreatments, ssInteraction, ssError, ssTotal, df, isBalanced: true };
+}
+
+// ====================== UNBALANCED DESIGN (LEAST SQUARES) ======================
+/**
+ * Counts observations in every block × treatment cell and 
+ * checks whether all cells have the same replication.
+ * 
+ * @param {Object} rawData Observations raw data.
+ * @param {Object} blocks Array of blocks data.
+ * @param {Object} treatments Array of treatments data.
+ * @returns {Object} An object with properties:
+ * - isBalanced: true when every cell has the same number of observations.
+ * - r: the largest cell replication (the intended replication).
+ * - counts: Map of `${block}|${treatment}` to number of observations.
+ * - shortCells: array of { block, treatment, count } below r.
+ */
+function checkDesignBalance(rawData, blocks, treatments) {
+  const counts = new Map();
+  blocks.forEach(block => {
+    treatments.forEach(treatment => counts.set(`${block}|${treatment}`, 0));
+  });
+  rawData.forEach(row => {
+    const key = `${row[0]}|${row[1]}`;
+    counts.set(key, (counts.get(key) || 0) + 1);
+  });
+
+  const r = Math.max(...counts.values());
+  const shortCells = [];
+  blocks.forEach(block => {
+    treatments.forEach(treatment => {
+      const count = counts.get(`${block}|${treatment}`);
+      if (count < r) shortCells.push({ block, treatment, count });
+    });
+  });
+
+  return { isBalanced: shortCells.length === 0, r, counts, shortCells };
+}
+
+/**
+ * Returns Type III Sum of Squares for unbalanced data 
+ * from least-squares fits of the two-factor model 
+ * with sum-to-zero (effect) coding.
+ * 
+ * Each main effect SS is the increase in residual SS 
+ * when its columns are dropped from the full model. 
+ * Degrees of freedom come from the ranks of the fits, 
+ * so cells without any observation reduce the 
+ * interaction df instead of breaking the analysis; 
+ * main effects then fall back to Type II.
+ * 
+ * @param {Object} rawData Observations raw data.
+ * @param {Object} blocks Array of blocks data.
+ * @param {Object} treatments Array of treatments data.
+ * @returns {Object}  Sum of Squares, degrees of freedom (df), 
+ *                    isBalanced set to false and ssType ("II" or "III").
+ */
+function calculateLeastSquaresSS(rawData, blocks, treatments) {
+  const y = rawData.map(row => row[2]);
+  const n = y.length;
+  const overallMean = y.reduce((a, v) => a + v, 0) / n;
+
+  const terms = rawData.map(row => {
+    const blockCols = effectCodeColumns(blocks, row[0]);
+    const treatmentCols = effectCodeColumns(treatments, row[1]);
+    const interactionCols = blockCols.flatMap(bc => treatmentCols.map(tc => bc * tc));
+    return { blockCols, treatmentCols, interactionCols };
+  });
+
+  const fit = (useBlocks, useTreatments, useInteraction) => fitLinearModel(
+    terms.map(term => [
+      1,
+      ...(useBlocks ? term.blockCols : []),
+      ...(useTreatments ? term.treatmentCols : []),
+      ...(useInteraction ? term.interactionCols : [])
+    ]),
+    y
+  );
+
+  const full = fit(true, true, true);
+  const additive = fit(true, true, false);
+
+  // Empty cells leave Type III hypotheses undefined, so main effects 
+  // are then adjusted for each other only (Type II)
+  const hasEmptyCells = full.rank < blocks.length * treatments.length;
+  const ssType = hasEmptyCells ? "II" : "III";
+  const reference = hasEmptyCells ? additive : full;
+  const noBlocks = fit(false, true, !hasEmptyCells);
+  const noTreatments = fit(true, false, !hasEmptyCells);
+
+  const ssTotal = y.reduce((sum, v) => sum + Math.pow(v - overallMean, 2), 0);
+
+  return {
+    ssBlocks: noBlocks.sse - reference.sse,
+    ssTreatments: noTreatments.sse - reference.sse,
+    ssInteraction: additive.sse - full.sse,
+    ssError: full.sse,
+    ssTotal,
+    df: {
+      blocks: reference.rank - noBlocks.rank,
+      treatments: reference.rank - noTreatments.rank,
+      interaction: full.rank - additive.rank,
+      error: n - full.rank,
+      total: n - 1
+    },
+    isBalanced: false,
+    ssType
+  };
+}
+
+/**
+ * Effect-coded (sum-to-zero) design columns of a factor 
+ * level: the last level is -1 on every column.
+ * 
+ * @param {Array} levels Levels of the factor.
+ * @param {*} level Level of the observation.
+ * @returns {Array<Number>} One column per level but the last.
+ */
+function effectCodeColumns(levels, level) {
+  const idx = levels.indexOf(level);
+  return levels.slice(0, -1).map((_, j) => 
+    idx === levels.length - 1 ? -1 : (idx === j ? 1 : 0));
+}
+
+/**
+ * Fits a linear model by least squares using the sweep 
+ * operator on the cross-product matrix. Columns that are 
+ * linear combinations of earlier ones are skipped, so the 
+ * rank of the fit is returned alongside the residual SS.
+ * 
+ * @param {Array<Array<Number>>} X Design matrix rows.
+ * @param {Array<Number>} y Response values.
+ * @returns {Object} { sse, rank, coefficients } where coefficients 
+ *                   is null for aliased columns.
+ */
+function fitLinearModel(X, y) {
+  const p = X[0].length;
+
+  // Cross-product matrix [X'X X'y; y'X y'y]
+  const A = Array.from({ length: p + 1 }, () => new Array(p + 1).fill(0));
+  X.forEach((row, i) => {
+    const z = [...row, y[i]];
+    for (let j = 0; j <= p; j++) {
+      if (z[j] === 0) continue;
+      for (let k = 0; k <= p; k++) A[j][k] += z[j] * z[k];
+    }
+  });
+
+  const originalDiag = A.map((row, j) => row[j]);
+  const swept = new Array(p).fill(false);
+  let rank = 0;
+
+  for (let k = 0; k < p; k++) {
+    const pivot = A[k][k];
+    if (pivot <= 1e-10 * Math.max(originalDiag[k], 1e-300)) continue;
+
+    for (let i = 0; i <= p; i++) {
+      if (i === k) continue;
+      for (let j = 0; j <= p; j++) {
+        if (j === k) continue;
+        A[i][j] -= A[i][k] * A[k][j] / pivot;
+      }
+    }
+    for (let j = 0; j <= p; j++) {
+      if (j !== k) {
+        A[k][j] /= pivot;
+        A[j][k] /= -pivot;
+      }
+    }
+    A[k][k] = 1 / pivot;
+    swept[k] = true;
+    rank++;
+  }
+
+  const coefficients = swept.map((isSwept, k) => isSwept ? A[k][p] : null);
+  return { sse: Math.max(A[p][p], 0), rank, coefficients };
+}
+
+/**
+ * Writes the short cells of an unbalanced design 
+ * so it is clear which cells drive the least-squares fit.
+ * 
+ * @param {Sheet} sheet The Google Sheets Sheet object of the ANOVA.
+ * @param {Number} startRow Row number where the report starts.
+ * @param {Object} balance Result of checkDesignBalance().
+ * @returns {Number} Row number following the report.
+ */
+function writeDesignBalanceReport(sheet, startRow, balance) {
+  const titleRange = sheet.getRange(startRow, 1, 1, 4);
+  titleRange.merge()
+    .setValue(`Unbalanced design: ${balance.shortCells.length} cell(s) with fewer than ${balance.r} observations`)
+    .setFontWeight("bold")
+    .setHorizontalAlignment("left");
+  setContrastColors(titleRange, COLOR_PALETTE.warning);
+
+  const reportData = [
+    ["Block", "Treatment", "Observed n", "Expected n"],
+    ...balance.shortCells.map(cell => [cell.block, cell.treatment, cell.count, balance.r])
+  ];
+
+  sheet.getRange(startRow + 1, 1, reportData.length, reportData[0].length)
+    .setValues(reportData)
+    .setHorizontalAlignment("center")
+    .setBorder(true, true, true, true, null, null, COLOR_PALETTE.neutral, SpreadsheetApp.BorderStyle.SOLID);
+  sheet.getRange(startRow + 1, 1, 1, reportData[0].length)
+    .setFontStyle("italic")
+    .setFontWeight("bold");
+
+  return startRow + 1 + reportData.length;
+}
+
+/**
+ * Returns the mean of the values, or an empty 
+ * string when there are no values to average.
+ * 
+ * @param {Array<Number>} values Observations.
+ * @returns {Number|String} Mean or "".
+ */
+function meanOrBlank(values) {
+  if (values.length === 0) return "";
+  return values.reduce((a, v) => a + v, 0) / values.length;
+}
+
+/**
+ * Returns the sample variance of the values, or an empty 
+ * string when fewer than two values are available.
+ * 
+ * @param {Array<Number>} values Observations.
+ * @returns {Number|String} Variance or "".
+ */
+function varianceOrBlank(values) {
+  if (values.length < 2) return "";
+  const mean = values.reduce((a, v) => a + v, 0) / values.length;
+  return values.reduce((a, v) => a + Math.pow(v - mean, 2), 0) / (values.length - 1);
+}
+
+/**
+ * Formats ANOVA table.
+ * 
+ * @param {Sheet} sheet The Google Sheets Sheet object containing the ANOVA table.
+ * @param {Number} startRow Row number where the ANOVA table starts.
+ */
+function formatANOVATable(sheet, startRow) {
+  // get alpha value
+  const alphaVal = sheet.getRange(startRow, 9).getValue();
+
+  // set next bigger alpha value
+  const alphaNextVal = alphaVal == 0.01 ? 0.05
+    : alphaVal == 0.05 ? 0.1
+    : alphaVal*2;
+
+  // color formatting
+  const headerRange = sheet.getRange(`A${startRow}:E${startRow}`);
+  setContrastColors(headerRange, COLOR_PALETTE.header);
+  startRow++;
+
+  [1, 2, 3].forEach((rowOffset, idx) => { // Blocks, Treatments, Interaction rows
+    const row = startRow + rowOffset;
+    const pValueCell = sheet.getRange(row, 10);
+    const pValue = pValueCell.getValue();
+    const bgColor = pValue < alphaVal ? COLOR_PALETTE.significant 
+      : (pValue >= alphaVal && pValue < alphaNextVal) ? COLOR_PALETTE.warning
+      : COLOR_PALETTE.ns;
+
+    // Set the contrasted colors
+    setContrastColors(pValueCell, bgColor);
+  });
+}
+
+// =========================== ANOVA RESULT INTERPRETATION ========================
+/**
+ * Generates the statistical interpretation after ANOVA.
+ * 
+ * @param {Sheet} sheet           The Google Sheets Sheet object 
+ *                                containing the ANOVA table 
+ *                                where the statistical interpretation 
+ *                                will be created.
+ * @param {Number} anovaStartRow  Row number where the statistical 
+ *                                interpretation table starts.
+ * @returns {Number} Row number following the interpretation.
+ */
+function generateStatisticalInterpretation(sheet, anovaStartRow) {
+  const pvalStartRow = anovaStartRow + 2;
+  const statSigStartRow = anovaStartRow + 9;
+  const interpretationStartRow = anovaStartRow + 14;
+
+  // Testing Statistical Significance
+  testStatisticalSignificances(sheet, pvalStartRow, statSigStartRow);
+
+  // Interpreting the Results
+  return generateResultInterpretation(sheet, statSigStartRow, interpretationStartRow);
+}
+
+function testStatisticalSignificances(sheet, pvalStartRow, startRow) {
+  // Add title and labels
+  const statSigLabels = [
+    ['Statistical Significance Tests', '', ''],
+    ['Block', 'Treatment', 'Interaction']
+  ];
+
+  // get alpha value cell
+  const anovaStart = sheet.createTextFinder("ANOVA: Two-Factor With Replication").findNext().getRow();
+  const alphaCell = sheet.getRange(anovaStart, 9);
+  const alphaVal = alphaCell.getValue();
+  const alphaNextVal = alphaVal == 0.01 ? 0.05
+    : alphaVal == 0.05 ? 0.1
+    : alphaVal*2;
+
+  // Write labels
+  sheet.getRange(startRow, 1, statSigLabels.length, 3).setValues(statSigLabels);
+
+  // Add formulas to test statistical significances
+  const statSigLabelsRow = startRow + 1;
+  const statSigTestRow = startRow + 2;
+  const trtPvalRow = pvalStartRow + 1;
+  const intPvalRow = pvalStartRow + 2;
+
+  // get P-value cells
+  const b_pcell = sheet.getRange(`J${pvalStartRow}`);
+  const t_pcell = sheet.getRange(`J${trtPvalRow}`);
+  const int_pcell = sheet.getRange(`J${intPvalRow}`);
+
+  // Add to testStatisticalSignificances()
+  if (b_pcell.isBlank() || t_pcell.isBlank() || int_pcell.isBlank()) {
+    throw new Error("ANOVA results missing - run analysis first");
+  }
+
+  // Statistical significances for:
+  // Block
+  sheet.getRange(`A${statSigTestRow}`).setFormula(
+    `=IF(${b_pcell.getA1Notation()}<${alphaVal},"***",IF(AND(${b_pcell.getA1Notation()}>=${alphaVal}, ${b_pcell.getA1Notation()}<${alphaNextVal}),"**","ns"))`
+  );
+
+  // Treatment
+  sheet.getRange(`B${statSigTestRow}`).setFormula(
+    `=IF(${t_pcell.getA1Notation()}<${alphaVal},"***",IF(AND(${t_pcell.getA1Notation()}>=${alphaVal}, ${t_pcell.getA1Notation()}<${alphaNextVal}),"**","ns"))`
+  );
+
+  // Block × Treatment interaction
+  sheet.getRange(`C${statSigTestRow}`).setFormula(
+    `=IF(${int_pcell.getA1Notation()}<${alphaVal},"***",IF(AND(${int_pcell.getA1Notation()}>=${alphaVal}, ${int_pcell.getA1Notation()}<${alphaNextVal}),"**","ns"))`
+  );
+
+  // Formatting and some note
+  sheet.getRange(`A${startRow}:C${startRow}`)
+    .setFontWeight("bold")
+    .setWrap(false);
+
+  // contrasted colors
+  setContrastColors(
+    sheet.getRange(`A${startRow}:C${startRow}`),
+    COLOR_PALETTE.header
+  );
+
+  sheet.getRange(`C${startRow}`)
+    .setNote(`Cutoff: ${alphaVal}\nCalculation: =${b_pcell.getFormula()}`);
+  sheet.getRange(`A${statSigLabelsRow}:C${statSigTestRow}`)
+    .setFontStyle("italic");
+}
+
+/**
+ * Generates the result interpretation section
+ * after the ANOVA results.
+ * 
+ * @customFunction
+ * @param {Sheet} sheet The Google Sheets Sheet object
+ *                      containing the ANOVA table 
+ *                     where the result interpretation will be created.
+ * @param {Number} statSigStartRow Row number where the statistical significance test starts.
+ * @param {Number} startRow Row number where the result interpretation starts.
+ * @returns {Number} Row number following the interpretation.
+ */
+function generateResultInterpretation(sheet, statSigStartRow, startRow) {
+  // Add 'Result Interpretation' title
+  sheet.getRange(startRow, 1).setValue("Result Interpretation");
+  
+  const blkEffectStartRow = startRow + 1;
+  const blkEffectRow = startRow + 2;
+  const trtEffectStartRow = startRow + 4;
+  const trtEffectRow = startRow + 5;
+  const intEffectStartRow = startRow + 7;
+  const intEffectRow = startRow + 8;
+  const effSizeKeyStartRow = startRow + 11;
+  const ciInterpretationRow = startRow + 18;
+
+  // Row of stat. sig. test row and cells
+  const statSigTestRow = statSigStartRow + 2;
+  const bStatSigCell = sheet.getRange(`A${statSigTestRow}`);
+  const tStatSigCell = sheet.getRange(`B${statSigTestRow}`);
+  const intStatSigCell = sheet.getRange(`C${statSigTestRow}`);
+  
+  // Add 'Block Effect' label
+  sheet.getRange(blkEffectStartRow, 1).setValue("Block Effect");
+
+  // Add 'Treatment Effect' label
+  sheet.getRange(trtEffectStartRow, 1).setValue("Treatment Effect");
+
+  // Add 'Interaction Effect' label
+  sheet.getRange(intEffectStartRow, 1).setValue("Block × Treatment Interaction");
+
+  // Get η² values from ANOVA table
+  const anovaStart = sheet.createTextFinder("ANOVA: Two-Factor With Replication").findNext().getRow();
+  const blocksEta = sheet.getRange(anovaStart + 2, 6); // η² for Blocks
+  const treatmentsEta = sheet.getRange(anovaStart + 3, 6); // η² for Treatments
+  const interactionEta = sheet.getRange(anovaStart + 4, 6); // η² for Interaction
+  const interactionOmega = sheet.getRange(anovaStart + 4, 8); // ω² for Interaction
+
+  // Get CI ranges
+  const blocksEtaCI = sheet.getRange(anovaStart + 2, 7).getValue();
+  const treatmentsEtaCI = sheet.getRange(anovaStart + 3, 7).getValue();
+  const interactionEtaCI = sheet.getRange(anovaStart + 4, 7);
+
+  // Block Effect formula
+  const blockFormula = 
+    `=IF(${bStatSigCell.getA1Notation()}="***",` +
+    `"Statistically significant differences (η²=" & TEXT(${blocksEta.getA1Notation()},"0.00%") &` +
+    `IF(${blocksEta.getA1Notation()}>=0.14,", large effect)",` +
+    `IF(${blocksEta.getA1Notation()}>=0.06,", medium effect)",", small effect)")) &` +
+    `" Suggests " & IF(${blocksEta.getA1Notation()}>=0.06, "important ", "negligible ") &` +
+    `"blocking factor control.",` +
+    `"No significant block differences")`;
+
+  // Enhanced interpretation with error handling
+  try {
+    sheet.getRange(`A${blkEffectRow}`).setFormula(blockFormula);
+  } catch (e) {
+    console.error(`Block effect formula error: ${e.message}`);
+    sheet.getRange(`A${blkEffectRow}`).setValue("Interpretation Error");
+  }
+
+  // Treatment Effect formula  
+  const treatmentFormula =
+    `=IF(${tStatSigCell.getA1Notation()}="***",` +
+    `"Statistically significant differences (η²=" & TEXT(${treatmentsEta.getA1Notation()},"0.00%") &` +
+    `IF(${treatmentsEta.getA1Notation()}>=0.14,", large effect)",` +
+    `IF(${treatmentsEta.getA1Notation()}>=0.06,", medium effect)",", small effect)")) &` +
+    `" Practical significance: " & IF(${treatmentsEta.getA1Notation()}>=0.06, "meaningful ", "marginal ") &` +
+    `"differences.",` +
+    `"No significant treatment differences")`;
+
+  try {
+    sheet.getRange(`A${trtEffectRow}`).setFormula(treatmentFormula);
+  } catch (e) {
+    console.error(`Treatment effect formula error: ${e.message}`);
+    sheet.getRange(`A${trtEffectRow}`).setValue("Interpretation Error");
+  }
+
+  // Interaction Effect formula
+  const interactionFormula =
+    `=IF(${intStatSigCell.getA1Notation()}="***",` +
+    `"Statistically significant interaction (η²=" & TEXT(${interactionEta.getA1Notation()},"0.00%") &` +
+    `", ω²=" & TEXT(MAX(${interactionOmega.getA1Notation()},0),"0.00%") &` +
+    `IF(${interactionEta.getA1Notation()}>=0.14,", large effect",` +
+    `IF(${interactionEta.getA1Notation()}>=0.06,", medium effect",", small effect")) &` +
+    `", η² 95% CI " & ${interactionEtaCI.getA1Notation()} & ")." &` +
+    `" Treatment differences change from block to block, so main effects should not be interpreted alone;` +
+    ` see the simple effects.",` +
+    `"No significant interaction. Treatment effects are consistent across blocks, so main effects can be interpreted directly.")`;
+
+  try {
+    sheet.getRange(`A${intEffectRow}`).setFormula(interactionFormula);
+  } catch (e) {
+    console.error(`Interaction effect formula error: ${e.message}`);
+    sheet.getRange(`A${intEffectRow}`).setValue("Interpretation Error");
+  }
+  
+  // Add effect size key
+  sheet.getRange(effSizeKeyStartRow, 1).setValue("Effect Size Interpretation Key:")
+    .setFontWeight("bold");
+  const effectSizeKey = [
+    ["η² ≥ 14%", "Large effect", "Practically important differences"],
+    ["6% ≤ η² < 14%", "Medium effect", "Meaningful but moderate differences"],
+    ["1% ≤ η² < 6%", "Small effect", "Marginal practical significance"],
+    ["η² < 1%", "Negligible effect", "Likely unimportant differences"]
+  ];
+  sheet.getRange(effSizeKeyStartRow + 1, 1, effectSizeKey.length, effectSizeKey[0].length)
+    .setValues(effectSizeKey)
+    .setBorder(true, true, true, true, null, null, COLOR_PALETTE.neutral, SpreadsheetApp.BorderStyle.SOLID_MEDIUM);
+
+  // Add CI interpretation guide
+  const ciInterpretation = [
+    ["CI Range", "Interpretation"],
+    ["Excludes 0", "Statistically significant effect"],
+    ["Includes 0", "Effect not statistically significant"],
+    ["Entirely >6%", "Practically important effect"],
+    ["Partially <6%", "Uncertain practical significance"]
+  ];
+  
+  sheet.getRange(ciInterpretationRow, 1, ciInterpretation.length, ciInterpretation[0].length)
+    .setValues(ciInterpretation)
+    .setBorder(true, true, true, true, null, null, COLOR_PALETTE.neutral, SpreadsheetApp.BorderStyle.SOLID_MEDIUM);
+
+  // Formatting header and effect labels
+  sheet.getRange(`A${startRow}:C${startRow}`)
+    .setFontWeight("bold")
+    .setHorizontalAlignment('left')
+    .setWrap(false);
+
+  sheet.getRange(`A${blkEffectStartRow}:B${blkEffectStartRow}`)
+    .setFontStyle("italic")
+    .setHorizontalAlignment('left');
+
+  sheet.getRange(`A${trtEffectStartRow}:B${trtEffectStartRow}`)
+    .setFontStyle("italic")
+    .setHorizontalAlignment('left');
+
+  sheet.getRange(`A${intEffectStartRow}:B${intEffectStartRow}`)
+    .setFontStyle("italic")
+    .setHorizontalAlignment('left');
+
+  // Header contrasted color formatting
+  setContrastColors(
+    sheet.getRange(`A${startRow}:C${startRow}`),
+    COLOR_PALETTE.header
+  );
+
+  // Block effect contrasted color formatting
+  setContrastColors(
+    sheet.getRange(`A${blkEffectStartRow}:B${blkEffectStartRow}`),
+    COLOR_PALETTE.subHeader
+  );
+
+  // Treatment effect contrasted color formatting
+  setContrastColors(
+    sheet.getRange(`A${trtEffectStartRow}:B${trtEffectStartRow}`),
+    COLOR_PALETTE.subHeader
+  );
+
+  // Interaction effect contrasted color formatting
+  setContrastColors(
+    sheet.getRange(`A${intEffectStartRow}:B${intEffectStartRow}`),
+    COLOR_PALETTE.subHeader
+  );
+
+  // Add  notes
+  addResultInterpretationNotes(sheet, `B${blkEffectStartRow}`, `B${trtEffectStartRow}`, `B${intEffectStartRow}`);
+
+  // Effect size key header contrasted color
+  setContrastColors(
+    sheet.getRange(`A${effSizeKeyStartRow}:C${effSizeKeyStartRow}`),
+    COLOR_PALETTE.header
+  );
+
+  // Style first column italic
+  sheet.getRange(effSizeKeyStartRow + 1, 1, effectSizeKey.length)
+    .setFontStyle("italic");
+
+  return ciInterpretationRow + ciInterpretation.length;
+}
+
+function addResultInterpretationNotes(sheet, blkEffectLabelA1, trtEffectLabelA1, intEffectLabelA1) {
+  sheet.getRange(blkEffectLabelA1)
+    .setNote("A significant block effect suggests that the blocks are not homogeneous. It shows the experimental design has successfully controlled for some source of variation.");
+  sheet.getRange(trtEffectLabelA1)
+    .setNote("A significant F-statistic indicates that differences between the treatment means are statistically significant.");
+  sheet.getRange(intEffectLabelA1)
+    .setNote("A significant interaction means the treatment differences are not the same in every block. The overall treatment means then hide block-specific responses.");
+}
+
+// ====================== ANOVA SETTINGS ======================
+// Settings kept on the ANOVA sheet between runs: labels in 
+// row 1 and dropdown values in row 2, from column G onwards. 
+// Options may depend on the data through a function of 
+// the design context ({ treatments }).
+const ANOVA_SETTINGS = [
+  {
+    key: 'meanSeparation',
+    label: 'Mean Separation',
+    defaultValue: 'LSD',
+    options: ['LSD', 'Bonferroni LSD', 'Tukey HSD', 'Duncan (DMRT)', 'SNK'],
+    note: 'Procedure used for the letter groupings of the treatment means table.'
+  },
+  {
+    key: 'control',
+    label: 'Control',
+    defaultValue: 'None',
+    options: ({ treatments }) => ['None', ...treatments.map(String)],
+    note: "Control (check) treatment for Dunnett's comparisons."
+  },
+  {
+    key: 'dunnettAlternative',
+    label: 'Dunnett Alternative',
+    defaultValue: 'Two-sided',
+    options: ['Two-sided', 'Greater than control', 'Less than control'],
+    note: "Alternative hypothesis and confidence bounds of Dunnett's comparisons."
+  },
+  {
+    key: 'blockModel',
+    label: 'Block Effects',
+    defaultValue: 'Fixed',
+    options: ['Fixed', 'Random'],
+    note: 'Fixed blocks test every effect against MS Error. Random blocks (mixed model) test ' +
+      'blocks and treatments against MS Interaction.'
+  },
+  {
+    key: 'selectionProportion',
+    label: 'Selection Proportion',
+    defaultValue: '5%',
+    options: ['1%', '5%', '10%', '20%', '30%'],
+    note: 'Proportion of genotypes selected, setting the selection intensity k of the genetic advance.'
+  },
+  {
+    key: 'permutations',
+    label: 'Permutations',
+    defaultValue: 'None',
+    options: ['None', '999', '4999', '9999'],
+    note: 'Number of within-block permutations for the permutation P-values of the F tests. ' +
+      'Large runs continue in the background in chunks.'
+  },
+  {
+    key: 'permutationSeed',
+    label: 'Permutation Seed',
+    defaultValue: 12345,
+    note: 'Seed of the random number generator, so permutation P-values can be reproduced.'
+  },
+  {
+    key: 'factorSeparator',
+    label: 'Factor Separator',
+    defaultValue: 'None',
+    options: ['None', '-', '_', ':', '/', '.', 'x'],
+    note: 'Character joining the two factor levels of factorial treatment names ' +
+      '(e.g., "-" for N1-V2). None analyses the treatments as a single factor.'
+  }
+];
+
+// First column of the settings block (G)
+const ANOVA_SETTINGS_COLUMN = 7;
+
+/**
+ * Returns the dropdown options of a setting.
+ * 
+ * @param {Object} setting An ANOVA_SETTINGS entry.
+ * @param {Object} context Design context, { treatments }.
+ * @returns {Array<String>|null} Options, or null for free input.
+ */
+function getSettingOptions(setting, context) {
+  if (!setting.options) return null;
+  return typeof setting.options === 'function' ? setting.options(context) : setting.options;
+}
+
+/**
+ * Reads the analysis settings from an existing ANOVA 
+ * sheet, falling back to the defaults for settings 
+ * that are missing or invalid.
+ * 
+ * @param {Sheet} sheet The ANOVA sheet, or null if not created yet.
+ * @param {Object} context Design context, { treatments }.
+ * @returns {Object} Setting values by key.
+ */
+function readANOVASettings(sheet, context) {
+  const settings = {};
+  ANOVA_SETTINGS.forEach((setting, idx) => {
+    settings[setting.key] = setting.defaultValue;
+    if (!sheet) return;
+
+    const column = ANOVA_SETTINGS_COLUMN + idx;
+    if (sheet.getRange(1, column).getValue() !== setting.label) return;
+    const value = sheet.getRange(2, column).getValue();
+    const options = getSettingOptions(setting, context);
+    if (value === "") return;
+    if (!options) settings[setting.key] = value;
+    else if (options.includes(String(value))) settings[setting.key] = String(value);
+  });
+  return settings;
+}
+
+/**
+ * Reads the significance level typed into the α cell of 
+ * an existing results sheet, so a re-run keeps it.
+ * 
+ * @param {Sheet} sheet The results sheet, or null if not created yet.
+ * @param {Number} row Row of the α cell.
+ * @param {Number} column Column of the α cell.
+ * @returns {Number} α in (0, 1), 0.05 by default.
+ */
+function readAlphaCell(sheet, row, column) {
+  if (!sheet) return 0.05;
+  const value = sheet.getRange(row, column).getValue();
+  return typeof value === 'number' && value > 0 && value < 1 ? value : 0.05;
+}
+
+/**
+ * Writes the α cell of a multi-environment results sheet 
+ * in A2:B2, where readAlphaCell(sheet, 2, 2) finds it.
+ * 
+ * @param {Sheet} sheet The results sheet.
+ * @param {Number} alpha Significance level.
+ * @param {String} menuItem Menu item that re-runs the analysis.
+ * @returns {void}
+ */
+function writeSheetAlphaCell(sheet, alpha, menuItem) {
+  sheet.getRange(2, 1).setValue("α:").setHorizontalAlignment("right");
+  const alphaCell = sheet.getRange(2, 2).setValue(alpha).setNumberFormat("0.00")
+    .setNote(`Significance level of every test and interpretation on this sheet. Change it and re-run '${menuItem}'.`);
+  setContrastColors(alphaCell, COLOR_PALETTE.configCellBg);
+}
+
+/**
+ * Writes the analysis settings as configurable 
+ * cells with dropdowns next to the sheet title.
+ * 
+ * @param {Sheet} sheet The ANOVA sheet.
+ * @param {Object} settings Setting values by key.
+ * @param {Object} context Design context, { treatments }.
+ * @returns {void}
+ */
+function writeANOVASettings(sheet, settings, context) {
+  ANOVA_SETTINGS.forEach((setting, idx) => {
+    const column = ANOVA_SETTINGS_COLUMN + idx;
+    sheet.getRange(1, column).setValue(setting.label)
+      .setFontWeight("bold")
+      .setFontStyle("italic")
+      .setHorizontalAlignment("center");
+
+    const valueCell = sheet.getRange(2, column);
+    valueCell.setValue(settings[setting.key])
+      .setHorizontalAlignment("center")
+      .setNote(`${setting.note} Change it and re-run 'Run ANOVA'.`);
+    const options = getSettingOptions(setting, context);
+    if (options) {
+      valueCell.setDataValidation(SpreadsheetApp.newDataValidation()
+        .requireValueInList(options, true)
+        .setAllowInvalid(false)
+        .build());
+    }
+    setContrastColors(valueCell, COLOR_PALETTE.configCellBg);
+  });
+}
+
+// ====================== POST-HOC COMPARISONS ======================
+/**
+ * Writes Tukey's HSD pairwise comparisons of the treatment 
+ * means (Tukey-Kramer for unequal replication) when the 
+ * treatment effect is significant.
+ * 
+ * @param {Sheet} sheet The ANOVA sheet.
+ * @param {Number} startRow Row number where the section starts.
+ * @param {Object} rawData Observations raw data.
+ * @param {Object} treatments Array of treatments data.
+ * @param {Number} msError Error mean square of the treatment test.
+ * @param {Number} dfError Error degrees of freedom.
+ * @param {Number} alpha Significance level.
+ * @param {Number} treatmentPValue P-value of the treatment F test.
+ * @returns {Number} Row number following the section.
+ */
+function generateTukeyHSD(sheet, startRow, rawData, treatments, msError, dfError, alpha, treatmentPValue) {
+  const titleRange = sheet.getRange(startRow, 1, 1, 8);
+  sheet.getRange(startRow, 1).setValue("Tukey HSD: Pairwise Comparisons of Treatment Means")
+    .setFontWeight("bold");
+  setContrastColors(titleRange, COLOR_PALETTE.header);
+
+  if (!(treatmentPValue < alpha)) {
+    const noteRange = sheet.getRange(startRow + 1, 1, 1, 8);
+    noteRange.merge()
+      .setValue(`Treatment effect not significant at α = ${alpha}; post-hoc comparisons were not performed.`)
+      .setFontStyle("italic");
+    setContrastColors(noteRange, COLOR_PALETTE.warning);
+    return startRow + 2;
+  }
+
+  const summaries = summarizeTreatments(rawData, treatments);
+  const comparisons = tukeyHSD(summaries, msError, dfError, alpha);
+  const pct = Math.round((1 - alpha) * 100);
+
+  const tableData = [
+    ["Comparison", "Difference", "SE", "q", "Adj. P-value", `Lower ${pct}% CI`, `Upper ${pct}% CI`, "Significance"],
+    ...comparisons.map(c => [
+      `${c.first} - ${c.second}`, c.difference, c.se, c.q, c.pValue, c.lower, c.upper,
+      c.pValue < alpha ? "Significant" : "ns"
+    ])
+  ];
+
+  const tableRange = sheet.getRange(startRow + 1, 1, tableData.length, tableData[0].length);
+  tableRange.setValues(tableData)
+    .setBorder(true, true, true, true, null, null, COLOR_PALETTE.thickBorder, SpreadsheetApp.BorderStyle.SOLID_MEDIUM);
+  sheet.getRange(startRow + 1, 1, 1, tableData[0].length)
+    .setFontStyle("italic")
+    .setBorder(false, false, true, false, null, null, COLOR_PALETTE.thickBorder, SpreadsheetApp.BorderStyle.SOLID);
+  sheet.getRange(startRow + 1, 2, tableData.length, tableData[0].length - 1).setHorizontalAlignment("center");
+  sheet.getRange(startRow + 2, 2, comparisons.length, 3).setNumberFormat("0.000");
+  sheet.getRange(startRow + 2, 5, comparisons.length, 1).setNumberFormat("0.0000");
+  sheet.getRange(startRow + 2, 6, comparisons.length, 2).setNumberFormat("0.000");
+
+  comparisons.forEach((c, idx) => {
+    setContrastColors(
+      sheet.getRange(startRow + 2 + idx, 8),
+      c.pValue < alpha ? COLOR_PALETTE.significant : COLOR_PALETTE.ns
+    );
+  });
+
+  sheet.getRange(startRow, 1)
+    .setNote(`Differences are first minus second treatment mean. SE is the standard error of the difference, ` +
+      `q = |difference| / √(MS Error / 2 × (1/nᵢ + 1/nⱼ)) with ${dfError} error df, and P-values ` +
+      "are adjusted with the studentized range distribution (Tukey-Kramer for unequal replication).");
+
+  return startRow + 1 + tableData.length;
+}
+
+/**
+ * Writes Dunnett's comparisons of every treatment against 
+ * the control selected in the settings, with adjusted 
+ * P-values and simultaneous confidence bounds.
+ * 
+ * @param {Sheet} sheet The ANOVA sheet.
+ * @param {Number} startRow Row number where the section starts.
+ * @param {Array<Object>} summaries { treatment, mean, n } per treatment.
+ * @param {String} control Control treatment, or 'None'.
+ * @param {String} alternative 'Two-sided', 'Greater than control' or 'Less than control'.
+ * @param {Number} msError Error mean square.
+ * @param {Number} dfError Error degrees of freedom.
+ * @param {Number} alpha Significance level.
+ * @returns {Number} Row number following the section.
+ */
+function generateDunnettTest(sheet, startRow, summaries, control, alternative, msError, dfError, alpha) {
+  const titleRange = sheet.getRange(startRow, 1, 1, 8);
+  sheet.getRange(startRow, 1).setValue("Dunnett's Test: Comparisons with Control")
+    .setFontWeight("bold");
+  setContrastColors(titleRange, COLOR_PALETTE.header);
+
+  const controlColumn = ANOVA_SETTINGS_COLUMN + ANOVA_SETTINGS.findIndex(s => s.key === 'control');
+  if (control === 'None' || summaries.length < 2) {
+    const noteRange = sheet.getRange(startRow + 1, 1, 1, 8);
+    noteRange.merge()
+      .setValue(`Select a control treatment in the '${ANOVA_SETTINGS.find(s => s.key === 'control').label}' ` +
+        `cell (row 2, column ${controlColumn}) and re-run 'Run ANOVA'.`)
+      .setFontStyle("italic");
+    setContrastColors(noteRange, COLOR_PALETTE.neutral);
+    return startRow + 2;
+  }
+
+  const result = dunnettTest(summaries, control, alternative, msError, dfError, alpha);
+  const pct = Math.round((1 - alpha) * 100);
+
+  const tableData = [
+    ["Comparison", "Difference", "SE", "t", "Adj. P-value", `Lower ${pct}% CI`, `Upper ${pct}% CI`, "Significance"],
+    ...result.comparisons.map(c => [
+      `${c.treatment} - ${control}`, c.difference, c.se, c.t, c.pValue,
+      isFinite(c.lower) ? c.lower : "-∞", isFinite(c.upper) ? c.upper : "∞",
+      c.pValue < alpha ? "Significant" : "ns"
+    ])
+  ];
+
+  const tableRange = sheet.getRange(startRow + 1, 1, tableData.length, tableData[0].length);
+  tableRange.setValues(tableData)
+    .setBorder(true, true, true, true, null, null, COLOR_PALETTE.thickBorder, SpreadsheetApp.BorderStyle.SOLID_MEDIUM);
+  sheet.getRange(startRow + 1, 1, 1, tableData[0].length)
+    .setFontStyle("italic")
+    .setBorder(false, false, true, false, null, null, COLOR_PALETTE.thickBorder, SpreadsheetApp.BorderStyle.SOLID);
+  sheet.getRange(startRow + 1, 2, tableData.length, tableData[0].length - 1).setHorizontalAlignment("center");
+  sheet.getRange(startRow + 2, 2, result.comparisons.length, 3).setNumberFormat("0.000");
+  sheet.getRange(startRow + 2, 5, result.comparisons.length, 1).setNumberFormat("0.0000");
+  sheet.getRange(startRow + 2, 6, result.comparisons.length, 2).setNumberFormat("0.000");
+
+  result.comparisons.forEach((c, idx) => {
+    setContrastColors(
+      sheet.getRange(startRow + 2 + idx, 8),
+      c.pValue < alpha ? COLOR_PALETTE.significant : COLOR_PALETTE.ns
+    );
+  });
+
+  const footerRow = startRow + 1 + tableData.length;
+  sheet.getRange(footerRow, 1).setValue(`Critical value (${alternative}, α = ${alpha})`)
+    .setFontStyle("italic");
+  sheet.getRange(footerRow, 2).setValue(result.critical)
+    .setNumberFormat("0.000")
+    .setHorizontalAlignment("center");
+
+  sheet.getRange(startRow, 1)
+    .setNote(`Differences are treatment minus control (${control}) mean, t = difference / SE with ` +
+      `${dfError} error df. P-values and ${pct}% simultaneous confidence bounds are adjusted for ` +
+      `${result.comparisons.length} comparisons with the control using Dunnett's multivariate t distribution.`);
+
+  return footerRow + 1;
+}
+
+/**
+ * Dunnett's many-to-one comparisons of treatment means against 
+ * a control, allowing unequal replication.
+ * 
+ * @param {Array<Object>} summaries { treatment, mean, n } per treatment.
+ * @param {String} control Control treatment.
+ * @param {String} alternative 'Two-sided', 'Greater than control' or 'Less than control'.
+ * @param {Number} msError Error mean square.
+ * @param {Number} dfError Error degrees of freedom.
+ * @param {Number} alpha Significance level.
+ * @returns {Object} { critical, comparisons } where comparisons are 
+ *                   { treatment, difference, se, t, pValue, lower, upper }.
+ */
+function dunnettTest(summaries, control, alternative, msError, dfError, alpha) {
+  const reference = summaries.find(s => String(s.treatment) === String(control));
+  if (!reference) throw new Error(`Control treatment '${control}' not found in the data.`);
+  const others = summaries.filter(s => s !== reference);
+
+  const twoSided = alternative === 'Two-sided';
+  const sign = alternative === 'Less than control' ? -1 : 1;
+  const lambdas = others.map(s => Math.sqrt(s.n / (s.n + reference.n)));
+  const critical = dunnettInv(1 - alpha, lambdas, dfError, twoSided);
+
+  const comparisons = others.map(s => {
+    const difference = s.mean - reference.mean;
+    const se = Math.sqrt(msError * (1 / s.n + 1 / reference.n));
+    const t = difference / se;
+    const statistic = twoSided ? Math.abs(t) : sign * t;
+    const margin = critical * se;
+    return {
+      treatment: s.treatment,
+      difference,
+      se,
+      t,
+      pValue: Math.min(Math.max(1 - dunnettCdf(statistic, lambdas, dfError, twoSided), 0), 1),
+      lower: twoSided || sign > 0 ? difference - margin : -Infinity,
+      upper: twoSided || sign < 0 ? difference + margin : Infinity
     };
+  });
 
-    const totalTableData = [
-        ["Count", ...totalStats.count],
-        ["Sum", ...totalStats.sum],
-        ["Average", ...totalStats.avg],
-        ["Variance", ...totalStats.var]
-    ];
+  return { critical, comparisons };
+}
 
-    anovaSheet.getRange(currentRow, 1, 4, totalTableData[0].length)
-        .setValues(totalTableData)
-        .setBorder(true, false, false, false, false, false, COLOR_PALETTE.thickBorder, SpreadsheetApp.BorderStyle.SOLID_MEDIUM);
+/**
+ * Writes the treatment means sorted from highest to lowest, 
+ * with their standard errors and compact letter groupings 
+ * from the selected mean separation procedure. Means 
+ * sharing a letter are not significantly different.
+ * 
+ * @param {Sheet} sheet The ANOVA sheet.
+ * @param {Number} startRow Row number where the table starts.
+ * @param {Number} startColumn Column number where the table starts.
+ * @param {Array<Object>} summaries { treatment, mean, n } per treatment.
+ * @param {String} method Mean separation procedure (an ANOVA_SETTINGS option).
+ * @param {Number} msError Error mean square of the treatment test.
+ * @param {Number} dfError Error degrees of freedom.
+ * @param {Number} alpha Significance level.
+ * @param {Number} treatmentPValue P-value of the treatment F test.
+ * @returns {Number} Row number following the table.
+ */
+function generateMeansTable(sheet, startRow, startColumn, summaries, method, msError, dfError, alpha, treatmentPValue) {
+  const sorted = [...summaries].sort((a, b) => b.mean - a.mean);
+  const separation = separateMeans(sorted, method, msError, dfError, alpha);
 
-    anovaSheet.getRange(currentRow + 1, 2, 3, totalTableData[0].length)
-        .setNumberFormat("0.00");
+  // Fisher's LSD is protected by a significant F test
+  const protectedOut = method === 'LSD' && !(treatmentPValue < alpha);
+  const letters = protectedOut 
+    ? sorted.map(() => "a") 
+    : compactLetterDisplay(sorted.length, separation.isDifferent);
 
-    // Formatting first column
-    anovaSheet.getRange("A:A")
-        .setHorizontalAlignment("left")
-        .setWrap(false);
+  sheet.getRange(startRow, startColumn).setValue(`Treatment Means ± SE (${method})`)
+    .setFontWeight("bold")
+    .setFontStyle("italic");
+
+  const tableData = [
+    ["Treatment", "Mean", "SE", "Group"],
+    ...sorted.map((s, idx) => [s.treatment, s.mean, Math.sqrt(msError / s.n), letters[idx]])
+  ];
+  const tableRange = sheet.getRange(startRow + 1, startColumn, tableData.length, 4);
+  tableRange.setValues(tableData)
+    .setHorizontalAlignment("center")
+    .setBorder(true, false, true, false, false, false, COLOR_PALETTE.thickBorder, SpreadsheetApp.BorderStyle.SOLID_MEDIUM);
+  sheet.getRange(startRow + 1, startColumn, 1, 4)
+    .setFontStyle("italic")
+    .setFontWeight("bold");
+  setContrastColors(sheet.getRange(startRow + 1, startColumn, 1, 4), COLOR_PALETTE.subHeader);
+  sheet.getRange(startRow + 2, startColumn + 1, sorted.length, 2).setNumberFormat("0.00");
+
+  // Critical difference below the table
+  const footerRow = startRow + 1 + tableData.length;
+  sheet.getRange(footerRow, startColumn)
+    .setValue(`${separation.criticalLabel} (α = ${alpha})`)
+    .setFontStyle("italic");
+  sheet.getRange(footerRow, startColumn + 1)
+    .setValue(separation.criticalValue)
+    .setNumberFormat("0.00")
+    .setHorizontalAlignment("center");
+
+  // Stepwise critical ranges to the right of the means table
+  if (separation.ranges) {
+    const rangeColumn = startColumn + 5;
+    sheet.getRange(startRow, rangeColumn).setValue("Critical Ranges")
+      .setFontWeight("bold")
+      .setFontStyle("italic");
+    const rangeData = [
+      ["p", "q", "R(p)"],
+      ...separation.ranges.map(r => [r.p, r.q, r.range])
+    ];
+    sheet.getRange(startRow + 1, rangeColumn, rangeData.length, 3)
+      .setValues(rangeData)
+      .setHorizontalAlignment("center")
+      .setBorder(true, false, true, false, false, false, COLOR_PALETTE.thickBorder, SpreadsheetApp.BorderStyle.SOLID_MEDIUM);
+    sheet.getRange(startRow + 1, rangeColumn, 1, 3)
+      .setFontStyle("italic")
+      .setFontWeight("bold");
+    setContrastColors(sheet.getRange(startRow + 1, rangeColumn, 1, 3), COLOR_PALETTE.subHeader);
+    sheet.getRange(startRow + 2, rangeColumn + 1, separation.ranges.length, 2).setNumberFormat("0.000");
+    sheet.getRange(startRow, rangeColumn)
+      .setNote("p is the number of ordered means spanned by a comparison. " +
+        "R(p) = q × √(MS Error / n) with the harmonic mean n.");
+  }
 
-    // Align to center except last Total header
-    anovaSheet.getRange(1, 2, currentRow + 3, headerRow.length - 1)
-        .setHorizontalAlignment("center");
+  sheet.getRange(startRow, startColumn)
+    .setNote((protectedOut 
+      ? `Treatment F test not significant at α = ${alpha}, so Fisher's protected LSD assigns one group. ` 
+      : "") +
+      `Means followed by the same letter are not significantly different (${method}, α = ${alpha}, ` +
+      `${dfError} error df). SE = √(MS Error / n). Letters by the insert-absorb algorithm (Piepho, 2004).`);
 
-    // Align Total header to right
-    anovaSheet.getRange(1, headerRow.length, currentRow)
-        .setHorizontalAlignment("right");
+  return footerRow + 1;
+}
 
-    // Generate ANOVA table after spacing
-    currentRow += 8;
-    generateANOVATable(anovaSheet, currentRow, rawData, blocks, treatments, b, t, r);
+/**
+ * Decides which pairs of sorted treatment means 
+ * differ under a mean separation procedure.
+ * 
+ * @param {Array<Object>} sorted { treatment, mean, n } sorted by mean.
+ * @param {String} method 'LSD', 'Bonferroni LSD', 'Tukey HSD', 
+ *                        'Duncan (DMRT)' or 'SNK'.
+ * @param {Number} msError Error mean square.
+ * @param {Number} dfError Error degrees of freedom.
+ * @param {Number} alpha Significance level.
+ * @returns {Object} { isDifferent(i, j), criticalLabel, criticalValue } 
+ *                   where the critical difference uses the 
+ *                   harmonic mean replication, plus the critical 
+ *                   ranges of stepwise procedures.
+ */
+function separateMeans(sorted, method, msError, dfError, alpha) {
+  const k = sorted.length;
+  const harmonicN = k / sorted.reduce((a, s) => a + 1 / s.n, 0);
+  const seOf = (i, j) => Math.sqrt(msError * (1 / sorted[i].n + 1 / sorted[j].n));
+  const pairs = k * (k - 1) / 2;
+
+  switch (method) {
+    case 'Tukey HSD': {
+      const qCrit = studentizedRangeInv(1 - alpha, k, dfError);
+      return {
+        isDifferent: (i, j) => Math.abs(sorted[i].mean - sorted[j].mean) > qCrit / Math.SQRT2 * seOf(i, j),
+        criticalLabel: "HSD",
+        criticalValue: qCrit * Math.sqrt(msError / harmonicN)
+      };
+    }
+    case 'Bonferroni LSD':
+    case 'LSD': {
+      const pairAlpha = method === 'LSD' ? alpha : alpha / pairs;
+      const tCrit = tDistInv(1 - pairAlpha / 2, dfError);
+      return {
+        isDifferent: (i, j) => Math.abs(sorted[i].mean - sorted[j].mean) > tCrit * seOf(i, j),
+        criticalLabel: method,
+        criticalValue: tCrit * Math.sqrt(2 * msError / harmonicN)
+      };
+    }
+    case 'Duncan (DMRT)':
+    case 'SNK':
+      return separateMeansStepwise(sorted, method, msError, dfError, alpha, harmonicN);
+    default:
+      throw new Error(`Unknown mean separation procedure: ${method}`);
+  }
+}
 
-    // Color formatting P-value cells
-    formatANOVATable(anovaSheet, currentRow);
+/**
+ * Multiple range tests on sorted means. Two means spanning p 
+ * ordered means differ when their difference exceeds the 
+ * critical range R(p) = q(p, df) × √(MSE / n), where q uses 
+ * the level α for Student-Newman-Keuls and the protection 
+ * level 1 − (1 − α)^(p−1) for Duncan. Means lying within a 
+ * range already found non-significant are not separated.
+ * 
+ * @param {Array<Object>} sorted { treatment, mean, n } sorted by mean.
+ * @param {String} method 'Duncan (DMRT)' or 'SNK'.
+ * @param {Number} msError Error mean square.
+ * @param {Number} dfError Error degrees of freedom.
+ * @param {Number} alpha Significance level.
+ * @param {Number} harmonicN Harmonic mean replication of the means.
+ * @returns {Object} { isDifferent(i, j), criticalLabel, criticalValue, ranges }
+ *                   with ranges as { p, q, range } for p = 2..k.
+ */
+function separateMeansStepwise(sorted, method, msError, dfError, alpha, harmonicN) {
+  const k = sorted.length;
+  const qOf = p => method === 'SNK' 
+    ? studentizedRangeInv(1 - alpha, p, dfError) 
+    : studentizedRangeInv(Math.pow(1 - alpha, p - 1), p, dfError);
+  const qValues = {};
+  for (let p = 2; p <= k; p++) qValues[p] = qOf(p);
+
+  // Test the widest ranges first so narrower ones inherit non-significance
+  const different = Array.from({ length: k }, () => new Array(k).fill(false));
+  for (let span = k; span >= 2; span--) {
+    for (let i = 0; i + span - 1 < k; i++) {
+      const j = i + span - 1;
+      let covered = false;
+      for (let a = 0; a <= i && !covered; a++) {
+        for (let b = j; b < k && !covered; b++) {
+          if ((a !== i || b !== j) && !different[a][b]) covered = true;
+        }
+      }
+      const se = Math.sqrt(msError * (1 / sorted[i].n + 1 / sorted[j].n) / 2);
+      different[i][j] = different[j][i] = 
+        !covered && Math.abs(sorted[i].mean - sorted[j].mean) > qValues[span] * se;
+    }
+  }
 
-    // Generate Statistical Interpretation
-    generateStatisticalInterpretation(anovaSheet, currentRow);
+  const ranges = [];
+  for (let p = 2; p <= k; p++) {
+    ranges.push({ p, q: qValues[p], range: qValues[p] * Math.sqrt(msError / harmonicN) });
+  }
 
-    // Log the successful ANOVA generation
-    Browser.msgBox("Success!", "ANOVA generation completed successfully.", Browser.Buttons.OK);
-    Logger.log("ANOVA generation completed successfully.");
+  return {
+    isDifferent: (i, j) => different[i][j],
+    criticalLabel: `R(${k})`,
+    criticalValue: ranges.length ? ranges[ranges.length - 1].range : NaN,
+    ranges
+  };
 }
 
-// ====================== HELPER FUNCTION FOR ANOVA TABLE ======================
 /**
- * Generates the Two-Factor ANOVA table.
+ * Compact letter display by the insert-absorb algorithm 
+ * (Piepho, 2004). Items are expected in descending order 
+ * of their means, so "a" marks the highest group.
  * 
- * @customFunction
+ * @param {Number} count Number of items.
+ * @param {Function} isDifferent (i, j) => true if items i and j differ.
+ * @returns {Array<String>} Letters of every item.
+ */
+function compactLetterDisplay(count, isDifferent) {
+  const isSubset = (a, b) => [...a].every(x => b.has(x));
+  let columns = [new Set(Array.from({ length: count }, (_, i) => i))];
+
+  for (let i = 0; i < count; i++) {
+    for (let j = i + 1; j < count; j++) {
+      if (!isDifferent(i, j)) continue;
+
+      // Insert: split every column holding both items
+      const next = [];
+      columns.forEach(column => {
+        if (column.has(i) && column.has(j)) {
+          const withoutI = new Set(column), withoutJ = new Set(column);
+          withoutI.delete(i);
+          withoutJ.delete(j);
+          next.push(withoutI, withoutJ);
+        } else {
+          next.push(column);
+        }
+      });
+
+      // Absorb: drop columns contained in another column
+      columns = next.filter((column, idx) => !next.some((other, k) => 
+        k !== idx && isSubset(column, other) && (column.size < other.size || k < idx)));
+    }
+  }
+
+  columns.sort((a, b) => Math.min(...a) - Math.min(...b));
+  const letterOf = idx => idx < 26 
+    ? String.fromCharCode(97 + idx) 
+    : String.fromCharCode(65 + (idx - 26) % 26);
+  return Array.from({ length: count }, (_, item) => 
+    columns.map((column, idx) => column.has(item) ? letterOf(idx) : "").join(""));
+}
+
+/**
+ * Returns the mean and number of observations 
+ * of every treatment.
  * 
- * @param {Sheet} sheet The Google Sheets Sheet object where the ANOVA table is generated.
- * @param {Number} startRow Row number where the ANOVA table starts.
  * @param {Object} rawData Observations raw data.
- * @param {Object} blocks Array of blocks data.
  * @param {Object} treatments Array of treatments data.
- * @param {Number} b Number of blocks.
- * @param {Number} t Number of treatments.
- * @param {Number} r Number of treatment replications per block.
+ * @returns {Array<Object>} { treatment, mean, n } per treatment.
  */
-function generateANOVATable(sheet, startRow, rawData, blocks, treatments, b, t, r) {
-  const { ssBlocks, ssTreatments, ssInteraction, ssError, ssTotal } = 
-    calculateSSFromRaw(rawData, blocks, treatments, b, t, r);
-  
-  // Degrees of freedom
-  const dfBlocks = b - 1;
-  const dfTreatments = t - 1;
-  const dfInteraction = (b - 1) * (t - 1);
-  const dfError = b * t * (r - 1);
-  const dfTotal = b * t * r - 1;
+function summarizeTreatments(rawData, treatments) {
+  return treatments.map(treatment => {
+    const values = rawData.filter(row => row[1] === treatment).map(row => row[2]);
+    return { treatment, mean: values.reduce((a, v) => a + v, 0) / values.length, n: values.length };
+  });
+}
 
-  // Mean squares
-  const msBlocks = ssBlocks / dfBlocks;
-  const msTreatments = ssTreatments / dfTreatments;
-  const msInteraction = ssInteraction / dfInteraction;
-  const msError = ssError / dfError;
+/**
+ * Tukey's HSD (Tukey-Kramer) comparisons of all 
+ * pairs of treatment means.
+ * 
+ * @param {Array<Object>} summaries { treatment, mean, n } per treatment.
+ * @param {Number} msError Error mean square.
+ * @param {Number} dfError Error degrees of freedom.
+ * @param {Number} alpha Family-wise significance level.
+ * @returns {Array<Object>} { first, second, difference, se, q, 
+ *                          pValue, lower, upper } per pair.
+ */
+function tukeyHSD(summaries, msError, dfError, alpha) {
+  const k = summaries.length;
+  const qCrit = studentizedRangeInv(1 - alpha, k, dfError);
+  const comparisons = [];
+
+  summaries.forEach((a, i) => {
+    summaries.slice(i + 1).forEach(b => {
+      const difference = a.mean - b.mean;
+      const se = Math.sqrt(msError * (1 / a.n + 1 / b.n));
+      const q = Math.abs(difference) / (se / Math.SQRT2);
+      const margin = qCrit / Math.SQRT2 * se;
+      comparisons.push({
+        first: a.treatment,
+        second: b.treatment,
+        difference, se, q,
+        pValue: 1 - studentizedRangeCdf(q, k, dfError),
+        lower: difference - margin,
+        upper: difference + margin
+      });
+    });
+  });
 
-  // F-values
-  const fBlocks = msBlocks / msError;
-  const fTreatments = msTreatments / msError;
-  const fInteraction = msInteraction / msError;
+  return comparisons;
+}
 
-  // Effect sizes
-  const etaSqBlocks = ssBlocks / ssTotal;
-  const etaSqTreatments = ssTreatments / ssTotal;
-  const etaSqInteraction = ssInteraction / ssTotal;
-  
-  const omegaSqBlocks = (ssBlocks - dfBlocks * msError) / (ssTotal + msError);
-  const omegaSqTreatments = (ssTreatments - dfTreatments * msError) / (ssTotal + msError);
-  const omegaSqInteraction = (ssInteraction - dfInteraction * msError) / (ssTotal + msError);
+// ====================== SIMPLE EFFECTS ======================
+/**
+ * Writes the simple effects of a significant block × treatment 
+ * interaction: treatment effects tested within each block and 
+ * block effects tested within each treatment, against the 
+ * pooled MS Error.
+ * 
+ * @param {Sheet} sheet The ANOVA sheet.
+ * @param {Number} startRow Row number where the section starts.
+ * @param {Array<Array>} rawData [Block, Treatment, Result] rows.
+ * @param {Number} msError Pooled error mean square.
+ * @param {Number} dfError Error degrees of freedom.
+ * @param {Number} alpha Significance level.
+ * @param {Number} interactionPValue P-value of the interaction F test.
+ * @returns {Number} Row number following the section.
+ */
+function generateSimpleEffects(sheet, startRow, rawData, msError, dfError, alpha, interactionPValue) {
+  const titleRange = sheet.getRange(startRow, 1, 1, 7);
+  sheet.getRange(startRow, 1).setValue("Simple Effects: Block × Treatment Interaction")
+    .setFontWeight("bold");
+  setContrastColors(titleRange, COLOR_PALETTE.header);
+
+  if (!(interactionPValue < alpha)) {
+    const noteRange = sheet.getRange(startRow + 1, 1, 1, 7);
+    noteRange.merge()
+      .setValue(`Interaction not significant at α = ${alpha}; block and treatment main effects can be interpreted on their own.`)
+      .setFontStyle("italic");
+    setContrastColors(noteRange, COLOR_PALETTE.ns);
+    return startRow + 2;
+  }
 
-  // Build ANOVA table with CI columns
-  const anovaData = [
-    ['Source', 'SS', 'df', 'MS', 'F', 'η²', 'η² 95% CI', 'ω²', 'ω² 95% CI', 'P-value', 'F crit'],
-    ['Blocks', ssBlocks, dfBlocks, msBlocks, fBlocks, etaSqBlocks, '', omegaSqBlocks, '', '', ''],
-    ['Treatments', ssTreatments, dfTreatments, msTreatments, fTreatments, etaSqTreatments, '', omegaSqTreatments, '', '', ''],
-    ['Interaction', ssInteraction, dfInteraction, msInteraction, fInteraction, etaSqInteraction, '', omegaSqInteraction, '', '', ''],
-    ['Error', ssError, dfError, msError, '', '', '', '', '', '', ''],
-    ['Total', ssTotal, dfTotal, '', '', '', '', '', '', '', '']
+  const warningRange = sheet.getRange(startRow + 1, 1, 1, 7);
+  warningRange.merge()
+    .setValue(`Significant interaction (P = ${interactionPValue.toFixed(4)}): treatment differences depend on the block, ` +
+      "so the main effects should not be interpreted alone. Compare treatments within each block instead.")
+    .setFontStyle("italic")
+    .setWrap(true);
+  setContrastColors(warningRange, COLOR_PALETTE.warning);
+
+  let currentRow = startRow + 3;
+  const sections = [
+    { title: "Treatments within each Block", levelLabel: "Block", withinColumn: 0, testedColumn: 1 },
+    { title: "Blocks within each Treatment", levelLabel: "Treatment", withinColumn: 1, testedColumn: 0 }
   ];
-  
-  // Add ANOVA title
-  sheet.getRange(startRow, 1).setValue("ANOVA: Two-Factor With Replication")
+
+  const summaryLines = [];
+  sections.forEach(section => {
+    const effects = simpleEffects(rawData, section.withinColumn, section.testedColumn, msError, dfError);
+
+    sheet.getRange(currentRow, 1).setValue(section.title)
+      .setFontWeight("bold")
+      .setFontStyle("italic");
+    setContrastColors(sheet.getRange(currentRow, 1, 1, 7), COLOR_PALETTE.subHeader);
+
+    const tableData = [
+      [section.levelLabel, "SS", "df", "MS", "F", "P-value", "Significance"],
+      ...effects.map(e => [e.level, e.ss, e.df, e.ms, e.f, e.pValue, e.pValue < alpha ? "Significant" : "ns"])
+    ];
+    const tableRange = sheet.getRange(currentRow + 1, 1, tableData.length, tableData[0].length);
+    tableRange.setValues(tableData)
+      .setBorder(true, true, true, true, null, null, COLOR_PALETTE.thickBorder, SpreadsheetApp.BorderStyle.SOLID_MEDIUM);
+    sheet.getRange(currentRow + 1, 1, 1, tableData[0].length)
+      .setFontStyle("italic")
+      .setBorder(false, false, true, false, null, null, COLOR_PALETTE.thickBorder, SpreadsheetApp.BorderStyle.SOLID);
+    sheet.getRange(currentRow + 1, 2, tableData.length, tableData[0].length - 1).setHorizontalAlignment("center");
+    sheet.getRange(currentRow + 2, 2, effects.length, 1).setNumberFormat("0.000");
+    sheet.getRange(currentRow + 2, 4, effects.length, 2).setNumberFormat("0.000");
+    sheet.getRange(currentRow + 2, 6, effects.length, 1).setNumberFormat("0.0000");
+
+    effects.forEach((e, idx) => {
+      setContrastColors(
+        sheet.getRange(currentRow + 2 + idx, 7),
+        e.pValue < alpha ? COLOR_PALETTE.significant : COLOR_PALETTE.ns
+      );
+    });
+
+    const significant = effects.filter(e => e.pValue < alpha).map(e => e.level);
+    summaryLines.push(`${section.title}: ` + (significant.length > 0 
+      ? `significant in ${significant.length} of ${effects.length} (${significant.join(", ")}).` 
+      : "not significant in any level."));
+
+    currentRow += tableData.length + 2;
+  });
+
+  // Interpretation of the simple effects
+  sheet.getRange(currentRow, 1).setValue("Simple Effects Interpretation")
     .setFontWeight("bold")
-    .setHorizontalAlignment('left');
+    .setFontStyle("italic");
+  setContrastColors(sheet.getRange(currentRow, 1, 1, 7), COLOR_PALETTE.subHeader);
+  summaryLines.push("Report treatment comparisons separately for each block (or for the blocks where " +
+    "treatments differ) rather than the overall treatment means.");
+  summaryLines.forEach((line, idx) => {
+    sheet.getRange(currentRow + 1 + idx, 1, 1, 7).merge()
+      .setValue(line)
+      .setWrap(true);
+  });
 
-  // Set configurable α
-  const alphaCell = sheet.getRange(startRow, 9);
-  sheet.getRange(startRow, 8).setValue("α:")
-    .setHorizontalAlignment("right");
-  alphaCell
-    .setValue(0.05)
-    .setNumberFormat("0.00");
+  sheet.getRange(startRow, 1)
+    .setNote(`Each simple effect is a one-way ANOVA within one level of the other factor, tested against ` +
+      `the pooled MS Error (${msError.toFixed(4)}, ${dfError} df). P-values are not adjusted for the ` +
+      "number of simple effects tested.");
 
-  // Color format alpha value cell
-  setContrastColors(alphaCell, COLOR_PALETTE.configCellBg);
-  startRow++;
+  return currentRow + 1 + summaryLines.length;
+}
 
-  // Write to sheet
-  const tableRange = sheet.getRange(startRow, 1, anovaData.length, anovaData[0].length);
-  const anovaLabelRange = sheet.getRange(startRow, 1, 1, anovaData[0].length);
-  tableRange.setValues(anovaData);
+/**
+ * Simple effects of one factor within every level of the 
+ * other, SS = Σ nᵢⱼ(ȳᵢⱼ − ȳᵢ.)² within each level, 
+ * tested against the pooled error mean square.
+ * 
+ * @param {Array<Array>} rawData [Block, Treatment, Result] rows.
+ * @param {Number} withinColumn Column of the fixed factor (0 = Block, 1 = Treatment).
+ * @param {Number} testedColumn Column of the tested factor.
+ * @param {Number} msError Pooled error mean square.
+ * @param {Number} dfError Error degrees of freedom.
+ * @returns {Array<Object>} { level, ss, df, ms, f, pValue } per level.
+ */
+function simpleEffects(rawData, withinColumn, testedColumn, msError, dfError) {
+  const levels = [...new Set(rawData.map(row => row[withinColumn]))];
+  return levels.map(level => {
+    const rows = rawData.filter(row => row[withinColumn] === level);
+    const levelMean = rows.reduce((a, row) => a + row[2], 0) / rows.length;
+    const cells = [...new Set(rows.map(row => row[testedColumn]))].map(tested => 
+      rows.filter(row => row[testedColumn] === tested).map(row => row[2]));
+
+    const ss = cells.reduce((acc, values) => {
+      const cellMean = values.reduce((a, v) => a + v, 0) / values.length;
+      return acc + values.length * Math.pow(cellMean - levelMean, 2);
+    }, 0);
+    const df = cells.length - 1;
+    const ms = df > 0 ? ss / df : NaN;
+    const f = ms / msError;
+    return { level, ss, df, ms, f, pValue: df > 0 ? fDistRightTail(f, df, dfError) : NaN };
+  });
+}
 
-  // Formatting Borders
-  anovaLabelRange
+// ====================== FACTORIAL TREATMENTS ======================
+/**
+ * Writes the partition of the treatment SS of an A × B 
+ * factorial into the main effects and their interaction, 
+ * with the marginal and cell means and an interpretation.
+ * 
+ * @param {Sheet} sheet The ANOVA sheet.
+ * @param {Number} startRow Row number where the section starts.
+ * @param {Array<Array>} rawData [Block, Treatment, Result] rows.
+ * @param {Array<String>} treatments Treatment names.
+ * @param {String} separator Character joining the factor levels.
+ * @param {Object} anova Output of generateANOVATable().
+ * @param {Number} alpha Significance level.
+ * @returns {Number} Row number following the section.
+ */
+function generateFactorialAnalysis(sheet, startRow, rawData, treatments, separator, anova, alpha) {
+  const titleRange = sheet.getRange(startRow, 1, 1, 8);
+  sheet.getRange(startRow, 1).setValue("Factorial Treatments: A × B Partition")
+    .setFontWeight("bold");
+  setContrastColors(titleRange, COLOR_PALETTE.header);
+
+  const split = splitFactorialTreatments(treatments, separator);
+  if (split.error) {
+    const noteRange = sheet.getRange(startRow + 1, 1, 1, 8);
+    noteRange.merge()
+      .setValue(split.error)
+      .setFontStyle("italic")
+      .setWrap(true);
+    setContrastColors(noteRange, COLOR_PALETTE.warning);
+    return startRow + 2;
+  }
+
+  const partition = factorialPartition(rawData, split, anova.msTreatmentError, anova.dfTreatmentError);
+
+  // Partition table
+  const tableData = [
+    ["Source", "SS", "df", "MS", "F", "P-value", "F crit", "Significance"],
+    ...partition.rows.map(row => [
+      row.source, row.ss, row.df, row.ms, row.f, row.pValue,
+      fDistInvRightTail(alpha, row.df, anova.dfTreatmentError),
+      row.pValue < alpha ? "Significant" : "ns"
+    ]),
+    ["Treatments", anova.ssTreatments, anova.dfTreatments, "", "", "", "", ""]
+  ];
+  const tableRange = sheet.getRange(startRow + 1, 1, tableData.length, tableData[0].length);
+  tableRange.setValues(tableData)
+    .setBorder(true, true, true, true, null, null, COLOR_PALETTE.thickBorder, SpreadsheetApp.BorderStyle.SOLID_MEDIUM);
+  sheet.getRange(startRow + 1, 1, 1, tableData[0].length)
     .setFontStyle("italic")
     .setBorder(false, false, true, false, null, null, COLOR_PALETTE.thickBorder, SpreadsheetApp.BorderStyle.SOLID);
-  tableRange.setBorder(true, true, true, true, null, null, COLOR_PALETTE.thickBorder, SpreadsheetApp.BorderStyle.SOLID_MEDIUM);
-  
-  // Number formatting
-  sheet.getRange(startRow, 2, anovaData.length - 1, 1).setNumberFormat("0.000"); // SS
-  sheet.getRange(startRow, 4, anovaData.length - 1, 2).setNumberFormat("0.000"); // MS & F
-  // η² & η² 95% CI, ω² & ω² 95% CI as percentages
-  sheet.getRange(startRow, 6, anovaData.length - 1, 4).setNumberFormat("0.00%");
-  sheet.getRange(startRow, 10, anovaData.length - 1, 2).setNumberFormat("0.0000"); // P-value & F crit
+  sheet.getRange(startRow + 1, 2, tableData.length, tableData[0].length - 1).setHorizontalAlignment("center");
+  sheet.getRange(startRow + 2, 2, tableData.length - 1, 1).setNumberFormat("0.000");
+  sheet.getRange(startRow + 2, 4, tableData.length - 1, 2).setNumberFormat("0.000");
+  sheet.getRange(startRow + 2, 6, tableData.length - 1, 2).setNumberFormat("0.0000");
+  partition.rows.forEach((row, idx) => {
+    setContrastColors(
+      sheet.getRange(startRow + 2 + idx, 8),
+      row.pValue < alpha ? COLOR_PALETTE.significant : COLOR_PALETTE.ns
+    );
+  });
+  sheet.getRange(startRow + 1 + tableData.length - 1, 1, 1, tableData[0].length).setFontStyle("italic");
+
+  sheet.getRange(startRow, 1)
+    .setNote(`Treatment names split at "${separator}" into factor A (${split.levelsA.join(", ")}) and ` +
+      `factor B (${split.levelsB.join(", ")}). F tests use MS ${anova.treatmentErrorSource} ` +
+      `(${anova.dfTreatmentError} df).` + (partition.isBalanced ? "" 
+        : ` Replication is unequal, so A, B and A × B are Type ${partition.ssType} least-squares SS ` +
+          "and do not add up to the treatment SS."));
+
+  // Means tables
+  let currentRow = startRow + tableData.length + 2;
+  [["Factor A Means", partition.meansA], ["Factor B Means", partition.meansB]].forEach(([title, means]) => {
+    sheet.getRange(currentRow, 1).setValue(title)
+      .setFontWeight("bold")
+      .setFontStyle("italic");
+    setContrastColors(sheet.getRange(currentRow, 1, 1, 4), COLOR_PALETTE.subHeader);
+    const meansData = [
+      ["Level", "Mean", "n", "SE"],
+      ...means.map(m => [m.level, m.mean, m.n, Math.sqrt(anova.msTreatmentError / m.n)])
+    ];
+    sheet.getRange(currentRow + 1, 1, meansData.length, 4)
+      .setValues(meansData)
+      .setBorder(true, false, true, false, false, false, COLOR_PALETTE.thickBorder, SpreadsheetApp.BorderStyle.SOLID_MEDIUM);
+    sheet.getRange(currentRow + 1, 1, 1, 4).setFontStyle("italic");
+    sheet.getRange(currentRow + 1, 2, meansData.length, 3).setHorizontalAlignment("center");
+    sheet.getRange(currentRow + 2, 2, means.length, 1).setNumberFormat("0.00");
+    sheet.getRange(currentRow + 2, 4, means.length, 1).setNumberFormat("0.00");
+    currentRow += meansData.length + 2;
+  });
 
-  // Center horizontally starting column 2
-  sheet.getRange(startRow, 2, anovaData.length, anovaData[0].length).setHorizontalAlignment('center');
+  // A × B cell means
+  sheet.getRange(currentRow, 1).setValue("A × B Cell Means")
+    .setFontWeight("bold")
+    .setFontStyle("italic");
+  setContrastColors(sheet.getRange(currentRow, 1, 1, split.levelsB.length + 1), COLOR_PALETTE.subHeader);
+  const cellData = [
+    ["A \\ B", ...split.levelsB],
+    ...split.levelsA.map((a, i) => [a, ...partition.cellMeans[i]])
+  ];
+  sheet.getRange(currentRow + 1, 1, cellData.length, cellData[0].length)
+    .setValues(cellData)
+    .setBorder(true, false, true, false, false, false, COLOR_PALETTE.thickBorder, SpreadsheetApp.BorderStyle.SOLID_MEDIUM);
+  sheet.getRange(currentRow + 1, 1, 1, cellData[0].length).setFontStyle("italic");
+  sheet.getRange(currentRow + 1, 2, cellData.length, cellData[0].length - 1)
+    .setHorizontalAlignment("center");
+  sheet.getRange(currentRow + 2, 2, split.levelsA.length, split.levelsB.length).setNumberFormat("0.00");
+  currentRow += cellData.length + 2;
+
+  // Interpretation
+  const [rowA, rowB, rowAB] = partition.rows;
+  const lines = [];
+  if (rowAB.pValue < alpha) {
+    lines.push(`The A × B interaction is significant (P = ${rowAB.pValue.toFixed(4)}): the effect of one factor ` +
+      "depends on the level of the other, so compare A levels within each B level using the cell means " +
+      "rather than the marginal means.");
+  } else {
+    lines.push(`The A × B interaction is not significant (P = ${rowAB.pValue.toFixed(4)}): the factors act ` +
+      "independently and their marginal means can be interpreted directly.");
+  }
+  [[rowA, "A", partition.meansA], [rowB, "B", partition.meansB]].forEach(([row, name, means]) => {
+    const best = means.reduce((a, m) => m.mean > a.mean ? m : a);
+    lines.push(row.pValue < alpha
+      ? `Factor ${name} is significant (P = ${row.pValue.toFixed(4)}); the highest mean is at level ${best.level} (${best.mean.toFixed(2)}).`
+      : `Factor ${name} is not significant (P = ${row.pValue.toFixed(4)}).`);
+  });
 
-  // Add formulas for P-value and F crit
-  [1, 2, 3].forEach((rowOffset, idx) => { // Blocks, Treatments, Interaction rows
-    const row = startRow + rowOffset;
-    const F = sheet.getRange(row, 5).getValue();
-    
-    if (isNaN(F)) {
-      throw new Error(`Invalid F-value at row ${row}`);
-    }
+  sheet.getRange(currentRow, 1).setValue("Factorial Interpretation")
+    .setFontWeight("bold")
+    .setFontStyle("italic");
+  setContrastColors(sheet.getRange(currentRow, 1, 1, 8), COLOR_PALETTE.subHeader);
+  lines.forEach((line, idx) => {
+    sheet.getRange(currentRow + 1 + idx, 1, 1, 8).merge()
+      .setValue(line)
+      .setWrap(true);
+  });
 
-    const df1 = sheet.getRange(row, 3).getValue();
-    const df2 = sheet.getRange(startRow + 4, 3).getValue(); // Error df
+  return currentRow + 1 + lines.length;
+}
 
-    try {
-      // Calculate CIs
-      const ci = calculateEffectSizeCI(sheet, F, df1, df2);
+/**
+ * Splits factorial treatment names into their two factor 
+ * levels, checking that every A × B combination is present.
+ * 
+ * @param {Array<String>} treatments Treatment names.
+ * @param {String} separator Character joining the factor levels.
+ * @returns {Object} { levelsA, levelsB, factorsOf } with factorsOf 
+ *                   mapping a treatment to [a, b], or { error }.
+ */
+function splitFactorialTreatments(treatments, separator) {
+  const parts = treatments.map(t => String(t).split(separator).map(p => p.trim()));
+  const invalid = treatments.filter((_, idx) => parts[idx].length !== 2 || parts[idx].some(p => p === ""));
+  if (invalid.length > 0) {
+    return { error: `Treatment names must hold exactly two levels joined by "${separator}" ` +
+      `(e.g., N1${separator}V2). Not split: ${invalid.join(", ")}.` };
+  }
 
-      // η² CI
-      sheet.getRange(row, 7)
-        .setValue(`[${ci.etaCI[0].toFixed(3)}, ${ci.etaCI[1].toFixed(3)}]`)
-        .setNote(`95% CI for η²: ${(ci.etaCI[0]*100).toFixed(1)}% to ${(ci.etaCI[1]*100).toFixed(1)}%`);
-      
-      // ω² CI
-      sheet.getRange(row, 9)
-        .setValue(`[${ci.omegaCI[0].toFixed(3)}, ${ci.omegaCI[1].toFixed(3)}]`)
-        .setNote(`95% CI for ω²: ${(ci.omegaCI[0]*100).toFixed(1)}% to ${(ci.omegaCI[1]*100).toFixed(1)}%`);
+  const levelsA = [...new Set(parts.map(p => p[0]))];
+  const levelsB = [...new Set(parts.map(p => p[1]))];
+  if (levelsA.length < 2 || levelsB.length < 2) {
+    return { error: "Both factors need at least two levels for a factorial analysis." };
+  }
+  const combinations = new Set(parts.map(p => p.join("\u0000")));
+  if (combinations.size !== treatments.length || combinations.size !== levelsA.length * levelsB.length) {
+    return { error: `A complete factorial needs every combination once: ${levelsA.length} × ${levelsB.length} = ` +
+      `${levelsA.length * levelsB.length} treatments, found ${treatments.length} distinct combinations.` };
+  }
 
-      sheet.getRange(row, 10).setFormula(`=F.DIST.RT(E${row}, C${row}, C${startRow + 4})`); // P-value
-      sheet.getRange(row, 11).setFormula(`=F.INV.RT(${alphaCell.getValue()}, C${row}, C${startRow + 4})`); // F crit
-    } catch (e) {
-      console.error(`CI calculation failed: ${e.message}`);
-      sheet.getRange(row, 7).setValue("CI Error");
-      sheet.getRange(row, 9).setValue("CI Error");
-    }
+  const factorsOf = new Map(treatments.map((t, idx) => [t, parts[idx]]));
+  return { levelsA, levelsB, factorsOf };
+}
+
+/**
+ * Partitions the treatment SS of an A × B factorial into 
+ * SS A = Σ nₐ(ȳₐ − ȳ)², SS B likewise, and SS A×B as the 
+ * remainder of the treatment SS between the A × B cells. 
+ * Unequal replication is handed over to the least-squares 
+ * fit in factorialLeastSquaresSS().
+ * 
+ * @param {Array<Array>} rawData [Block, Treatment, Result] rows.
+ * @param {Object} split Output of splitFactorialTreatments().
+ * @param {Number} msError Error mean square of the treatment test.
+ * @param {Number} dfError Error degrees of freedom of the treatment test.
+ * @returns {Object} { rows, meansA, meansB, cellMeans, isBalanced, ssType } where 
+ *                   rows are { source, ss, df, ms, f, pValue } for A, B, A × B.
+ */
+function factorialPartition(rawData, split, msError, dfError) {
+  const values = rawData.map(row => row[2]);
+  const grandMean = values.reduce((a, v) => a + v, 0) / values.length;
+  const levelOf = (row, factor) => split.factorsOf.get(row[1])[factor];
+
+  const marginal = (levels, factor) => levels.map(level => {
+    const group = rawData.filter(row => levelOf(row, factor) === level).map(row => row[2]);
+    return { level, mean: group.reduce((a, v) => a + v, 0) / group.length, n: group.length };
+  });
+  const meansA = marginal(split.levelsA, 0);
+  const meansB = marginal(split.levelsB, 1);
+
+  const cells = split.levelsA.map(a => split.levelsB.map(b => 
+    rawData.filter(row => levelOf(row, 0) === a && levelOf(row, 1) === b).map(row => row[2])));
+  const cellMeans = cells.map(row => row.map(group => group.reduce((a, v) => a + v, 0) / group.length));
+  const blocks = [...new Set(rawData.map(row => row[0]))];
+  const isBalanced = checkDesignBalance(rawData, blocks, [...split.factorsOf.keys()]).isBalanced;
+
+  let ssA, ssB, ssAB, dfA, dfB, dfAB, ssType = null;
+  if (isBalanced) {
+    const ssOf = means => means.reduce((acc, m) => acc + m.n * Math.pow(m.mean - grandMean, 2), 0);
+    ssA = ssOf(meansA);
+    ssB = ssOf(meansB);
+    const ssCells = cells.flat().reduce((acc, group, idx) => 
+      acc + group.length * Math.pow(cellMeans.flat()[idx] - grandMean, 2), 0);
+    ssAB = Math.max(ssCells - ssA - ssB, 0);
+    dfA = split.levelsA.length - 1;
+    dfB = split.levelsB.length - 1;
+    dfAB = dfA * dfB;
+  } else {
+    ({ ssA, ssB, ssAB, dfA, dfB, dfAB, ssType } = factorialLeastSquaresSS(rawData, blocks, split));
+  }
+
+  const row = (source, ss, df) => {
+    const ms = ss / df;
+    const f = ms / msError;
+    return { source, ss, df, ms, f, pValue: fDistRightTail(f, df, dfError) };
+  };
+
+  return {
+    rows: [row("Factor A", ssA, dfA), row("Factor B", ssB, dfB), row("A × B", ssAB, dfAB)],
+    meansA,
+    meansB,
+    cellMeans,
+    isBalanced,
+    ssType
+  };
+}
+
+/**
+ * Least-squares SS of factors A, B and A × B for unequal 
+ * replication, from drop-one fits of the model Block + A + B + 
+ * A × B + Block × Treatment with sum-to-zero coding, as in 
+ * calculateLeastSquaresSS(): Type III, or Type II when some 
+ * block × treatment cells are empty.
+ * 
+ * @param {Array<Array>} rawData [Block, Treatment, Result] rows.
+ * @param {Array} blocks Array of blocks.
+ * @param {Object} split Output of splitFactorialTreatments().
+ * @returns {Object} { ssA, ssB, ssAB, dfA, dfB, dfAB, ssType }
+ */
+function factorialLeastSquaresSS(rawData, blocks, split) {
+  const y = rawData.map(row => row[2]);
+  const terms = rawData.map(row => {
+    const [levelA, levelB] = split.factorsOf.get(row[1]);
+    const blockCols = effectCodeColumns(blocks, row[0]);
+    const aCols = effectCodeColumns(split.levelsA, levelA);
+    const bCols = effectCodeColumns(split.levelsB, levelB);
+    const abCols = aCols.flatMap(ac => bCols.map(bc => ac * bc));
+    const interactionCols = blockCols.flatMap(bc => [...aCols, ...bCols, ...abCols].map(tc => bc * tc));
+    return { blockCols, aCols, bCols, abCols, interactionCols };
+  });
+
+  const fit = (useA, useB, useAB, useInteraction) => fitLinearModel(
+    terms.map(term => [
+      1,
+      ...term.blockCols,
+      ...(useA ? term.aCols : []),
+      ...(useB ? term.bCols : []),
+      ...(useAB ? term.abCols : []),
+      ...(useInteraction ? term.interactionCols : [])
+    ]),
+    y
+  );
+
+  const full = fit(true, true, true, true);
+  const hasEmptyCells = full.rank < blocks.length * split.factorsOf.size;
+
+  // Type III drops each term from the full model; Type II adjusts 
+  // the main effects for each other only
+  const mainReference = hasEmptyCells ? fit(true, true, false, false) : full;
+  const noA = hasEmptyCells ? fit(false, true, false, false) : fit(false, true, true, true);
+  const noB = hasEmptyCells ? fit(true, false, false, false) : fit(true, false, true, true);
+  const abReference = hasEmptyCells ? fit(true, true, true, false) : full;
+  const noAB = hasEmptyCells ? fit(true, true, false, false) : fit(true, true, false, true);
+
+  return {
+    ssA: noA.sse - mainReference.sse,
+    ssB: noB.sse - mainReference.sse,
+    ssAB: noAB.sse - abReference.sse,
+    dfA: mainReference.rank - noA.rank,
+    dfB: mainReference.rank - noB.rank,
+    dfAB: abReference.rank - noAB.rank,
+    ssType: hasEmptyCells ? "II" : "III"
+  };
+}
+
+// ====================== VARIANCE COMPONENTS ======================
+/**
+ * Writes the variance components of genotypes (treatments), 
+ * genotype × block interaction and error by the ANOVA 
+ * method, with broad-sense heritability, coefficients of 
+ * variation and the expected genetic advance.
+ * 
+ * @param {Sheet} sheet The ANOVA sheet.
+ * @param {Number} startRow Row number where the section starts.
+ * @param {Object} anova Output of generateANOVATable().
+ * @param {Number} b Number of blocks.
+ * @param {Number} t Number of treatments.
+ * @param {Number} grandMean Grand mean of the response.
+ * @param {Number} selectionProportion Proportion of genotypes selected.
+ * @returns {Number} Row number following the section.
+ */
+function generateVarianceComponents(sheet, startRow, anova, b, t, grandMean, selectionProportion) {
+  const titleRange = sheet.getRange(startRow, 1, 1, 4);
+  sheet.getRange(startRow, 1).setValue("Variance Components & Heritability")
+    .setFontWeight("bold");
+  setContrastColors(titleRange, COLOR_PALETTE.header);
+
+  const components = varianceComponents(anova, b, t);
+  const genetics = geneticParameters(components, b, anova.cellReplication, grandMean, selectionProportion);
 
+  // Components table
+  const componentData = [
+    ["Component", "Estimate", "% of Total", "Formula"],
+    ...components.list.map(c => [c.label, c.estimate, c.share, c.formula])
+  ];
+  sheet.getRange(startRow + 1, 1, componentData.length, 4)
+    .setValues(componentData)
+    .setBorder(true, true, true, true, null, null, COLOR_PALETTE.thickBorder, SpreadsheetApp.BorderStyle.SOLID_MEDIUM);
+  sheet.getRange(startRow + 1, 1, 1, 4)
+    .setFontStyle("italic")
+    .setBorder(false, false, true, false, null, null, COLOR_PALETTE.thickBorder, SpreadsheetApp.BorderStyle.SOLID);
+  sheet.getRange(startRow + 1, 2, componentData.length, 3).setHorizontalAlignment("center");
+  sheet.getRange(startRow + 2, 2, components.list.length, 1).setNumberFormat("0.0000");
+  sheet.getRange(startRow + 2, 3, components.list.length, 1).setNumberFormat("0.00%");
+
+  components.list.forEach((c, idx) => {
+    if (!c.negative) return;
+    const cell = sheet.getRange(startRow + 2 + idx, 2);
+    setContrastColors(cell, COLOR_PALETTE.warning);
+    cell.setNote("Negative ANOVA estimate, set to zero in the genetic parameters below. " +
+      "It usually reflects sampling error around a true value near zero.");
+  });
+
+  // Genetic parameters table
+  const parameterRow = startRow + componentData.length + 2;
+  const parameterData = [
+    ["Parameter", "Value", "Description"],
+    ["σ²p (entry mean)", genetics.phenotypicVariance, "σ²g + σ²gb/b + σ²e/(rb)"],
+    ["H² (broad sense)", genetics.heritability, "σ²g / σ²p, entry-mean basis"],
+    ["H² (plot basis)", genetics.plotHeritability, "σ²g / (σ²g + σ²gb + σ²e)"],
+    ["GCV (%)", genetics.gcv, "100 √σ²g / mean"],
+    ["PCV (%)", genetics.pcv, "100 √σ²p / mean"],
+    [`GA (k = ${genetics.intensity.toFixed(3)})`, genetics.geneticAdvance, "k √σ²p H²"],
+    ["GA (% of mean)", genetics.geneticAdvancePercent, "100 GA / mean"]
+  ];
+  sheet.getRange(parameterRow, 1, parameterData.length, 3)
+    .setValues(parameterData)
+    .setBorder(true, true, true, true, null, null, COLOR_PALETTE.thickBorder, SpreadsheetApp.BorderStyle.SOLID_MEDIUM);
+  sheet.getRange(parameterRow, 1, 1, 3)
+    .setFontStyle("italic")
+    .setBorder(false, false, true, false, null, null, COLOR_PALETTE.thickBorder, SpreadsheetApp.BorderStyle.SOLID);
+  setContrastColors(sheet.getRange(parameterRow, 1, 1, 3), COLOR_PALETTE.subHeader);
+  sheet.getRange(parameterRow + 1, 2, parameterData.length - 1, 1)
+    .setNumberFormat("0.00")
+    .setHorizontalAlignment("center");
+  sheet.getRange(parameterRow + 2, 2, 2, 1).setNumberFormat("0.00%");
+
+  sheet.getRange(startRow, 1)
+    .setNote(`Treatments are taken as genotypes. Components from the expected mean squares of a random ` +
+      `genotype × block model with r = ${Number(anova.cellReplication.toFixed(2))} plots per cell and b = ${b} blocks. ` +
+      `Genetic advance at ${Math.round(selectionProportion * 100)}% selected (k = ${genetics.intensity.toFixed(3)}).`);
+
+  return parameterRow + parameterData.length;
+}
+
+/**
+ * Variance components by the ANOVA (method of moments) 
+ * estimators: σ²e = MSE, σ²gb = (MSgb − MSE)/r, 
+ * σ²g = (MSg − MSgb)/(rb) and σ²b = (MSb − MSgb)/(rt).
+ * 
+ * @param {Object} anova Output of generateANOVATable().
+ * @param {Number} b Number of blocks.
+ * @param {Number} t Number of treatments.
+ * @returns {Object} { genotype, interaction, error, list } where 
+ *                   list holds { label, estimate, share, formula, negative }.
+ */
+function varianceComponents(anova, b, t) {
+  const r = anova.cellReplication;
+  const error = anova.msError;
+  const interaction = (anova.msInteraction - anova.msError) / r;
+  const genotype = (anova.msTreatments - anova.msInteraction) / (r * b);
+  const block = (anova.msBlocks - anova.msInteraction) / (r * t);
+
+  const entries = [
+    { label: "σ²g (genotype)", estimate: genotype, formula: "(MS Treatments − MS Interaction) / rb" },
+    { label: "σ²gb (genotype × block)", estimate: interaction, formula: "(MS Interaction − MS Error) / r" },
+    { label: "σ²b (block)", estimate: block, formula: "(MS Blocks − MS Interaction) / rt" },
+    { label: "σ²e (error)", estimate: error, formula: "MS Error" }
+  ];
+  const total = entries.reduce((a, e) => a + Math.max(e.estimate, 0), 0);
+  entries.forEach(e => {
+    e.negative = e.estimate < 0;
+    e.share = total > 0 ? Math.max(e.estimate, 0) / total : NaN;
   });
 
-  // Auto resizing column 2-11 at this point
-  sheet.autoResizeColumns(2, 11);
+  return { genotype, interaction, error, list: entries };
+}
+
+/**
+ * Broad-sense heritability, genotypic and phenotypic 
+ * coefficients of variation and the expected genetic 
+ * advance, with negative components truncated to zero.
+ * 
+ * @param {Object} components Output of varianceComponents().
+ * @param {Number} b Number of blocks.
+ * @param {Number} r Replications per cell.
+ * @param {Number} grandMean Grand mean of the response.
+ * @param {Number} selectionProportion Proportion of genotypes selected.
+ * @returns {Object} { phenotypicVariance, heritability, plotHeritability, 
+ *                   gcv, pcv, intensity, geneticAdvance, geneticAdvancePercent }
+ */
+function geneticParameters(components, b, r, grandMean, selectionProportion) {
+  const genotype = Math.max(components.genotype, 0);
+  const interaction = Math.max(components.interaction, 0);
+  const error = Math.max(components.error, 0);
+
+  const phenotypicVariance = genotype + interaction / b + error / (r * b);
+  const heritability = phenotypicVariance > 0 ? genotype / phenotypicVariance : NaN;
+  const plotTotal = genotype + interaction + error;
+
+  // Selection intensity of a truncated standard normal, k = φ(z) / p
+  const z = normalInv(1 - selectionProportion);
+  const intensity = Math.exp(-z * z / 2) / Math.sqrt(2 * Math.PI) / selectionProportion;
+  const geneticAdvance = intensity * Math.sqrt(phenotypicVariance) * heritability;
+
+  return {
+    phenotypicVariance,
+    heritability,
+    plotHeritability: plotTotal > 0 ? genotype / plotTotal : NaN,
+    gcv: 100 * Math.sqrt(genotype) / grandMean,
+    pcv: 100 * Math.sqrt(phenotypicVariance) / grandMean,
+    intensity,
+    geneticAdvance,
+    geneticAdvancePercent: 100 * geneticAdvance / grandMean
+  };
+}
+
+// ====================== TREATMENT CONTRASTS ======================
+// Layout of the `${rawDataSheetName} - Contrasts` sheet
+const CONTRAST_TREATMENT_ROW = 2;
+const CONTRAST_LEVEL_ROW = 3;
+const CONTRAST_FIRST_ROW = 5;
+const POLYNOMIAL_NAMES = ['Linear', 'Quadratic', 'Cubic', 'Quartic'];
+
+// Relative tolerance of the sum-to-zero and orthogonality checks, 
+// loose enough for coefficients typed or stored as decimals
+const CONTRAST_TOLERANCE = 1e-6;
+
+/**
+ * Creates the contrast definition sheet of the current 
+ * data, or opens it when it already exists. Every row 
+ * from row 5 holds a contrast name and one coefficient 
+ * per treatment.
+ * 
+ * @customFunction
+ * @returns {void}
+ */
+function defineContrasts() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const rawDataSheetName = getRawDataSheetNameFromCurrent(ss.getActiveSheet());
+  const nhSheet = ss.getSheetByName(rawDataSheetName + " - NH Checks");
+  if (!nhSheet) {
+    Browser.msgBox("Error", "Run 'ANOVA Assumptions Check' first", Browser.Buttons.OK);
+    return;
+  }
+
+  const contrastSheetName = rawDataSheetName + " - Contrasts";
+  let contrastSheet = ss.getSheetByName(contrastSheetName);
+  if (!contrastSheet) {
+    const rawData = readLongData(nhSheet);
+    const treatments = [...new Set(rawData.map(row => row[1]))];
+    contrastSheet = createContrastSheet(ss, contrastSheetName, treatments);
+  }
+  ss.setActiveSheet(contrastSheet);
 }
 
 /**
- * Retruns Sum of Squares calculations for 
- * a Two-Factor ANOVA table generation.
+ * Creates the contrast definition sheet with the treatment 
+ * names, their quantitative levels and an empty table 
+ * for the coefficients.
  * 
- * @param {Object} rawData Observations raw data.
- * @param {Object} blocks Array of blocks data.
- * @param {Object} treatments Array of treatments data.
- * @param {Number} b Number of blocks.
- * @param {Number} t Number of treatments.
- * @param {Number} r Number of treatment replications per block.
- * @returns {Object}  Sum of Squares.
+ * @param {Spreadsheet} ss The active spreadsheet.
+ * @param {String} sheetName Name of the new sheet.
+ * @param {Array<String>} treatments Treatment names.
+ * @returns {Sheet} The contrast sheet.
  */
-function calculateSSFromRaw(rawData, blocks, treatments, b, t, r) {
-  let ssBlocks = 0, ssTreatments = 0, ssInteraction = 0, ssError = 0, ssTotal = 0;
-  
-  // 1. Calculate overall mean
-  const overallMean = rawData.reduce((sum, row) => sum + row[2], 0) / rawData.length;
+function createContrastSheet(ss, sheetName, treatments) {
+  const sheet = ss.insertSheet(sheetName);
+  const width = treatments.length + 1;
 
-  // 2. Calculate block and treatment means
-  const blockMeans = new Map();
-  blocks.forEach(block => {
-    const blockData = rawData.filter(row => row[0] === block);
-    blockMeans.set(block, blockData.reduce((sum, row) => sum + row[2], 0) / blockData.length);
-  });
+  sheet.getRange(1, 1).setValue("Treatment Contrasts")
+    .setFontWeight("bold")
+    .setNote("Enter one contrast per row from row " + CONTRAST_FIRST_ROW + ": a name in column A and " +
+      "one coefficient per treatment (coefficients must sum to zero). Leave a coefficient blank for 0. " +
+      "Re-run 'Run ANOVA' to add the contrasts beneath the Treatments row of the ANOVA table.");
+  setContrastColors(sheet.getRange(1, 1, 1, width), COLOR_PALETTE.header);
 
-  const treatmentMeans = new Map();
-  treatments.forEach(treatment => {
-    const treatmentData = rawData.filter(row => row[1] === treatment);
-    treatmentMeans.set(treatment, treatmentData.reduce((sum, row) => sum + row[2], 0) / treatmentData.length);
-  });
+  sheet.getRange(CONTRAST_TREATMENT_ROW, 1, 1, width)
+    .setValues([["Treatment", ...treatments]])
+    .setFontWeight("bold")
+    .setFontStyle("italic");
+  setContrastColors(sheet.getRange(CONTRAST_TREATMENT_ROW, 1, 1, width), COLOR_PALETTE.subHeader);
 
-  // 3. Calculate group means and SS components
-  const groupMeans = new Map();
-  blocks.forEach(block => {
-    treatments.forEach(treatment => {
-      const groupData = rawData.filter(row => 
-        row[0] === block && row[1] === treatment
-      ).map(row => row[2]);
-      
-      const mean = groupData.reduce((a, b) => a + b, 0) / groupData.length;
-      groupMeans.set(`${block}|${treatment}`, mean);
-      
-      // SS Error
-      ssError += groupData.reduce((sum, val) => sum + Math.pow(val - mean, 2), 0);
-    });
-  });
+  sheet.getRange(CONTRAST_LEVEL_ROW, 1, 1, width)
+    .setValues([["Level", ...defaultTreatmentLevels(treatments)]]);
+  sheet.getRange(CONTRAST_LEVEL_ROW, 1)
+    .setFontWeight("bold")
+    .setNote("Quantitative level of every treatment (e.g., fertilizer rate), " +
+      "used by 'Generate Polynomial Contrasts'. Levels may be unequally spaced.");
+  setContrastColors(sheet.getRange(CONTRAST_LEVEL_ROW, 2, 1, treatments.length), COLOR_PALETTE.configCellBg);
 
-  // SS Blocks
-  blocks.forEach(block => {
-    ssBlocks += t * r * Math.pow(blockMeans.get(block) - overallMean, 2);
-  });
+  sheet.getRange(CONTRAST_FIRST_ROW - 1, 1, 1, 2)
+    .setValues([["Contrast", "Coefficients"]])
+    .setFontStyle("italic")
+    .setBorder(false, false, true, false, null, null, COLOR_PALETTE.thickBorder, SpreadsheetApp.BorderStyle.SOLID_MEDIUM);
 
-  // SS Treatments
-  treatments.forEach(treatment => {
-    ssTreatments += b * r * Math.pow(treatmentMeans.get(treatment) - overallMean, 2);
-  });
+  sheet.getRange(2, 2, CONTRAST_FIRST_ROW + 20, treatments.length).setHorizontalAlignment("center");
+  sheet.autoResizeColumn(1);
+  return sheet;
+}
 
-  // SS Interaction
-  blocks.forEach(block => {
-    treatments.forEach(treatment => {
-      const interaction = groupMeans.get(`${block}|${treatment}`) 
-        - blockMeans.get(block) 
-        - treatmentMeans.get(treatment) 
-        + overallMean;
-      ssInteraction += r * Math.pow(interaction, 2);
-    });
+/**
+ * Returns the numeric levels found in the treatment names 
+ * (e.g., "0 kg/ha", "N-50"), or 1, 2, ..., t when some 
+ * names carry no number. A minus sign counts only at the 
+ * start of the name or after a space, so "N-50" is 50.
+ * 
+ * @param {Array<String>} treatments Treatment names.
+ * @returns {Array<Number>} Treatment levels.
+ */
+function defaultTreatmentLevels(treatments) {
+  const levels = treatments.map(t => {
+    const name = String(t);
+    const match = name.match(/\d*\.?\d+/);
+    if (!match) return NaN;
+    const signIndex = match.index - 1;
+    const negative = name[signIndex] === "-" && (signIndex === 0 || /\s/.test(name[signIndex - 1]));
+    return (negative ? -1 : 1) * parseFloat(match[0]);
   });
-
-  // SS Total
-  ssTotal = rawData.reduce((sum, row) => sum + Math.pow(row[2] - overallMean, 2), 0);
-
-  return { ssBlocks, ssTreatments, ssInteraction, ssError, ssTotal };
+  return levels.every(isFinite) && new Set(levels).size === levels.length 
+    ? levels 
+    : treatments.map((_, idx) => idx + 1);
 }
 
 /**
- * Formats ANOVA table.
+ * Writes orthogonal polynomial contrasts of the treatment 
+ * levels to the contrast sheet, replacing earlier 
+ * polynomial rows and keeping user-defined contrasts.
  * 
- * @param {Sheet} sheet The Google Sheets Sheet object containing the ANOVA table.
- * @param {Number} startRow Row number where the ANOVA table starts.
+ * @customFunction
+ * @returns {void}
  */
-function formatANOVATable(sheet, startRow) {
-  // get alpha value
-  const alphaVal = sheet.getRange(startRow, 9).getValue();
+function generatePolynomialContrasts() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const rawDataSheetName = getRawDataSheetNameFromCurrent(ss.getActiveSheet())
+    .replace(/ - Contrasts$/, "");
+  const contrastSheet = ss.getSheetByName(rawDataSheetName + " - Contrasts");
+  if (!contrastSheet) {
+    Browser.msgBox("Error", "Run 'Define Contrasts' first", Browser.Buttons.OK);
+    return;
+  }
 
-  // set next bigger alpha value
-  const alphaNextVal = alphaVal == 0.01 ? 0.05
-    : alphaVal == 0.05 ? 0.1
-    : alphaVal*2;
+  const lastColumn = contrastSheet.getLastColumn();
+  const levels = contrastSheet.getRange(CONTRAST_LEVEL_ROW, 2, 1, lastColumn - 1).getValues()[0];
+  if (!levels.every(l => l !== "" && isFinite(l)) || new Set(levels).size !== levels.length) {
+    Browser.msgBox("Error", "Treatment levels must be distinct numbers", Browser.Buttons.OK);
+    return;
+  }
 
-  // color formatting
-  const headerRange = sheet.getRange(`A${startRow}:E${startRow}`);
-  setContrastColors(headerRange, COLOR_PALETTE.header);
-  startRow++;
+  const degree = Math.min(levels.length - 1, POLYNOMIAL_NAMES.length);
+  const polynomials = orthogonalPolynomials(levels.map(Number), degree);
+
+  // Keep user-defined rows, drop earlier polynomial rows
+  const lastRow = Math.max(contrastSheet.getLastRow(), CONTRAST_FIRST_ROW - 1);
+  const existing = lastRow >= CONTRAST_FIRST_ROW 
+    ? contrastSheet.getRange(CONTRAST_FIRST_ROW, 1, lastRow - CONTRAST_FIRST_ROW + 1, lastColumn).getValues()
+    : [];
+  const kept = existing.filter(row => row[0] !== "" && !POLYNOMIAL_NAMES.includes(row[0]));
+  const rows = [
+    ...polynomials.map((coefficients, idx) => [POLYNOMIAL_NAMES[idx], ...coefficients]),
+    ...kept
+  ];
 
-  [1, 2, 3].forEach((rowOffset, idx) => { // Blocks, Treatments, Interaction rows
-    const row = startRow + rowOffset;
-    const pValueCell = sheet.getRange(row, 10);
-    const pValue = pValueCell.getValue();
-    const bgColor = pValue < alphaVal ? COLOR_PALETTE.significant 
-      : (pValue >= alphaVal && pValue < alphaNextVal) ? COLOR_PALETTE.warning
-      : COLOR_PALETTE.ns;
+  if (existing.length > 0) {
+    contrastSheet.getRange(CONTRAST_FIRST_ROW, 1, existing.length, lastColumn).clearContent();
+  }
+  contrastSheet.getRange(CONTRAST_FIRST_ROW, 1, rows.length, lastColumn).setValues(rows);
+  setContrastColors(contrastSheet.getRange(CONTRAST_FIRST_ROW, 2, polynomials.length, lastColumn - 1), 
+    COLOR_PALETTE.configCellBg);
+  ss.setActiveSheet(contrastSheet);
+}
 
-    // Set the contrasted colors
-    setContrastColors(pValueCell, bgColor);
+/**
+ * Orthogonal polynomial contrast coefficients for equally 
+ * or unequally spaced levels, by Gram-Schmidt on the powers 
+ * of the centered levels. Coefficients are rescaled to 
+ * small integers where possible (e.g., -3, -1, 1, 3), and 
+ * kept at full precision otherwise so they still sum to zero.
+ * 
+ * @param {Array<Number>} levels Treatment levels.
+ * @param {Number} degree Highest polynomial degree.
+ * @returns {Array<Array<Number>>} Coefficients per degree.
+ */
+function orthogonalPolynomials(levels, degree) {
+  const k = levels.length;
+  const center = levels.reduce((a, v) => a + v, 0) / k;
+  const spread = Math.max(...levels.map(v => Math.abs(v - center))) || 1;
+  const x = levels.map(v => (v - center) / spread);
+  const dot = (a, b) => a.reduce((acc, v, i) => acc + v * b[i], 0);
+
+  const basis = [new Array(k).fill(1)];
+  for (let d = 1; d <= degree; d++) {
+    let vector = x.map(v => Math.pow(v, d));
+    basis.forEach(q => {
+      const projection = dot(vector, q) / dot(q, q);
+      vector = vector.map((v, i) => v - projection * q[i]);
+    });
+    basis.push(vector);
+  }
+
+  return basis.slice(1).map(vector => {
+    const smallest = Math.min(...vector.filter(v => Math.abs(v) > 1e-9).map(Math.abs));
+    const scaled = vector.map(v => Math.abs(v) > 1e-9 ? v / smallest : 0);
+    for (let multiplier = 1; multiplier <= 12; multiplier++) {
+      if (scaled.every(v => Math.abs(v * multiplier - Math.round(v * multiplier)) < 1e-6)) {
+        return scaled.map(v => Math.round(v * multiplier));
+      }
+    }
+    return scaled;
   });
 }
 
-// =========================== ANOVA RESULT INTERPRETATION ========================
 /**
- * Generates the statistical interpretation after ANOVA.
+ * Reads the contrasts of the contrast sheet, matching 
+ * coefficients to treatments by column header.
  * 
- * @param {Sheet} sheet           The Google Sheets Sheet object 
- *                                containing the ANOVA table 
- *                                where the statistical interpretation 
- *                                will be created.
- * @param {Number} anovaStartRow  Row number where the statistical 
- *                                interpretation table starts.
+ * @param {Sheet} sheet The contrast sheet.
+ * @param {Array<String>} treatments Treatment names of the data.
+ * @returns {Array<Object>} { name, coefficients } per contrast, 
+ *                          coefficients in the order of treatments.
  */
-function generateStatisticalInterpretation(sheet, anovaStartRow) {
-  const pvalStartRow = anovaStartRow + 2;
-  const statSigStartRow = anovaStartRow + 9;
-  const interpretationStartRow = anovaStartRow + 14;
+function readContrasts(sheet, treatments) {
+  const lastRow = sheet.getLastRow(), lastColumn = sheet.getLastColumn();
+  if (lastRow < CONTRAST_FIRST_ROW || lastColumn < 2) return [];
+
+  const headers = sheet.getRange(CONTRAST_TREATMENT_ROW, 2, 1, lastColumn - 1).getValues()[0].map(String);
+  const columns = treatments.map(t => headers.indexOf(String(t)));
+  if (columns.some(c => c < 0)) {
+    throw new Error(`The contrast sheet '${sheet.getName()}' does not list every treatment. ` +
+      "Delete it and run 'Define Contrasts' again.");
+  }
 
-  // Testing Statistical Significance
-  testStatisticalSignificances(sheet, pvalStartRow, statSigStartRow);
+  return sheet.getRange(CONTRAST_FIRST_ROW, 1, lastRow - CONTRAST_FIRST_ROW + 1, lastColumn).getValues()
+    .filter(row => row[0] !== "")
+    .map(row => ({
+      name: String(row[0]),
+      coefficients: columns.map(c => Number(row[c + 1]) || 0)
+    }));
+}
 
-  // Interpreting the Results
-  generateResultInterpretation(sheet, statSigStartRow, interpretationStartRow);
+/**
+ * Single-df sums of squares of treatment contrasts, 
+ * SS = (Σ cᵢȳᵢ)² / Σ(cᵢ² / nᵢ), with checks that every 
+ * contrast sums to zero and which pairs are orthogonal 
+ * (Σ cᵢdᵢ / nᵢ = 0).
+ * 
+ * @param {Array<Object>} contrasts { name, coefficients } per contrast.
+ * @param {Array<Object>} summaries { treatment, mean, n } per treatment.
+ * @param {Number} msError Error mean square.
+ * @returns {Array<Object>} { name, estimate, ss, f, isValid, nonOrthogonal } 
+ *                          per contrast, with nonOrthogonal listing the 
+ *                          names of non-orthogonal contrasts.
+ */
+function analyzeContrasts(contrasts, summaries, msError) {
+  const weighted = (c, d) => c.reduce((acc, v, i) => acc + v * d[i] / summaries[i].n, 0);
+  const scale = c => c.reduce((acc, v) => acc + Math.abs(v), 0) || 1;
+
+  return contrasts.map(contrast => {
+    const c = contrast.coefficients;
+    const isValid = c.some(v => v !== 0) && 
+      Math.abs(c.reduce((a, v) => a + v, 0)) < CONTRAST_TOLERANCE * scale(c);
+    const estimate = c.reduce((acc, v, i) => acc + v * summaries[i].mean, 0);
+    const ss = isValid ? estimate * estimate / weighted(c, c) : NaN;
+    const nonOrthogonal = contrasts
+      .filter(other => other !== contrast && 
+        Math.abs(weighted(c, other.coefficients)) > CONTRAST_TOLERANCE * scale(c) * scale(other.coefficients))
+      .map(other => other.name);
+
+    return { name: contrast.name, estimate, ss, f: ss / msError, isValid, nonOrthogonal };
+  });
 }
 
-function testStatisticalSignificances(sheet, pvalStartRow, startRow) {
-  // Add title and labels
-  const statSigLabels = [
-    ['Statistical Significance Tests', '', ''],
-    ['Block', 'Treatment', 'Error']
-  ];
+/**
+ * Inserts one row per contrast beneath the Treatments row 
+ * of the ANOVA table, with SS, df, MS, F, P-value and F crit.
+ * 
+ * @param {Sheet} sheet The ANOVA sheet.
+ * @param {Number} anovaStartRow Row of the ANOVA table title.
+ * @param {Array<Object>} results Output of analyzeContrasts().
+ * @param {Number} alpha Significance level.
+ * @param {String} errorSource ANOVA row testing the treatments, 
+ *                             'Error' or 'Interaction'.
+ * @returns {void}
+ */
+function writeContrastRows(sheet, anovaStartRow, results, alpha, errorSource = 'Error') {
+  const treatmentsRow = anovaStartRow + 3;
+  const errorRow = anovaStartRow + (errorSource === 'Interaction' ? 4 : 5) + results.length;
+
+  // Shift only the ANOVA and permutation P-value columns, keeping side tables in place
+  sheet.getRange(treatmentsRow + 1, 1, results.length, PERMUTATION_COLUMN).insertCells(SpreadsheetApp.Dimension.ROWS);
+
+  results.forEach((result, idx) => {
+    const row = treatmentsRow + 1 + idx;
+    sheet.getRange(row, 2, 1, 10).setHorizontalAlignment("center");
+    sheet.getRange(row, 2).setNumberFormat("0.000");
+    sheet.getRange(row, 4, 1, 2).setNumberFormat("0.000");
+    sheet.getRange(row, 10, 1, 2).setNumberFormat("0.0000");
+    const sourceCell = sheet.getRange(row, 1).setValue(`  ${result.name}`).setFontStyle("italic");
+
+    if (!result.isValid) {
+      sheet.getRange(row, 2).setValue("Coefficients must sum to zero");
+      setContrastColors(sheet.getRange(row, 2), COLOR_PALETTE.warning);
+      return;
+    }
 
-  // get alpha value cell
-  const anovaStart = sheet.createTextFinder("ANOVA: Two-Factor With Replication").findNext().getRow();
-  const alphaCell = sheet.getRange(anovaStart, 9);
-  const alphaVal = alphaCell.getValue();
-  const alphaNextVal = alphaVal == 0.01 ? 0.05
-    : alphaVal == 0.05 ? 0.1
-    : alphaVal*2;
+    sheet.getRange(row, 2, 1, 4).setValues([[result.ss, 1, result.ss, result.f]]);
+    sheet.getRange(row, 10).setFormula(`=F.DIST.RT(E${row}, C${row}, C${errorRow})`);
+    sheet.getRange(row, 11).setFormula(`=F.INV.RT(${alpha}, C${row}, C${errorRow})`);
+    const pValue = fDistRightTail(result.f, 1, sheet.getRange(errorRow, 3).getValue());
+    setContrastColors(sheet.getRange(row, 10), pValue < alpha ? COLOR_PALETTE.significant : COLOR_PALETTE.ns);
 
-  // Write labels
-  sheet.getRange(startRow, 1, statSigLabels.length, 3).setValues(statSigLabels);
+    sourceCell.setNote(`Contrast estimate Σ cᵢȳᵢ = ${result.estimate.toFixed(4)}. ` + 
+      (result.nonOrthogonal.length > 0 
+        ? `Not orthogonal to: ${result.nonOrthogonal.join(", ")}, so the contrast SS overlap.` 
+        : "Orthogonal to the other contrasts."));
+  });
 
-  // Add formulas to test statistical significances
-  const statSigLabelsRow = startRow + 1;
-  const statSigTestRow = startRow + 2;
-  const trtPvalRow = pvalStartRow + 1;
-  const errPvalRow = pvalStartRow + 2;
+  const allOrthogonal = results.every(r => r.isValid && r.nonOrthogonal.length === 0);
+  sheet.getRange(treatmentsRow, 1)
+    .setNote(allOrthogonal 
+      ? "The contrasts below are mutually orthogonal; with t − 1 of them their SS add up to the treatment SS."
+      : "Some contrasts below are invalid or not mutually orthogonal; their SS do not partition the treatment SS.");
+}
 
-  // get P-value cells
-  const b_pcell = sheet.getRange(`J${pvalStartRow}`);
-  const t_pcell = sheet.getRange(`J${trtPvalRow}`);
-  const err_pcell = sheet.getRange(`J${errPvalRow}`);
+// ====================== PERMUTATION TESTS ======================
+// Prefix of the document properties holding the state of the 
+// running permutation tests, one per ANOVA sheet
+const PERMUTATION_JOB_KEY = 'permutationJob:';
 
-  // Add to testStatisticalSignificances()
-  if (b_pcell.isBlank() || t_pcell.isBlank()) {
-    throw new Error("ANOVA results missing - run analysis first");
-  }
+// Time budgets of the chunk run with the ANOVA and of resumed chunks,
+// kept well under the 6-minute Apps Script execution limit
+const PERMUTATION_FIRST_CHUNK_MS = 30 * 1000;
+const PERMUTATION_CHUNK_MS = 2 * 60 * 1000;
 
-  // Statistical significances for:
-  // Block
-  sheet.getRange(`A${statSigTestRow}`).setFormula(
-    `=IF(${b_pcell.getA1Notation()}<${alphaVal},"***",IF(AND(${b_pcell.getA1Notation()}>=${alphaVal}, ${b_pcell.getA1Notation()}<${alphaNextVal}),"**","ns"))`
-  );
+// Longest wait for the document lock held by a running chunk
+const PERMUTATION_LOCK_WAIT_MS = PERMUTATION_CHUNK_MS + 30 * 1000;
 
-  // Treatment
-  sheet.getRange(`B${statSigTestRow}`).setFormula(
-    `=IF(${t_pcell.getA1Notation()}<${alphaVal},"***",IF(AND(${t_pcell.getA1Notation()}>=${alphaVal}, ${t_pcell.getA1Notation()}<${alphaNextVal}),"**","ns"))`
-  );
+// Column of the permutation P-values, right of F crit
+const PERMUTATION_COLUMN = 12;
 
-  // Error (Within)
-  sheet.getRange(`C${statSigTestRow}`).setFormula(
-    `=IF(${err_pcell.getA1Notation()}<${alphaVal},"***",IF(AND(${err_pcell.getA1Notation()}>=${alphaVal}, ${err_pcell.getA1Notation()}<${alphaNextVal}),"**","ns"))`
-  );
+/**
+ * Sets up the permutation test of the ANOVA F statistics 
+ * chosen in the settings, replacing any earlier run on the 
+ * same ANOVA sheet, and runs its first chunk.
+ * 
+ * @param {Spreadsheet} ss The active spreadsheet.
+ * @param {Sheet} sheet The ANOVA sheet.
+ * @param {Sheet} nhSheet The NH Checks sheet of the raw data.
+ * @param {Number} anovaStartRow Row of the ANOVA table title.
+ * @param {Number} contrastCount Contrast rows inserted under Treatments.
+ * @param {Object} settings Setting values by key.
+ * @param {String} blockModel 'Fixed' or 'Random'.
+ * @returns {void}
+ */
+function startPermutationTest(ss, sheet, nhSheet, anovaStartRow, contrastCount, settings, blockModel) {
+  clearPermutationJob(sheet.getName());
+  if (settings.permutations === 'None') return;
+
+  const seed = Math.floor(Number(settings.permutationSeed));
+  const job = {
+    sheetName: sheet.getName(),
+    nhSheetName: nhSheet.getName(),
+    headerRow: anovaStartRow + 1,
+    rows: { blocks: anovaStartRow + 2, treatments: anovaStartRow + 3, interaction: anovaStartRow + 4 + contrastCount },
+    totalRow: anovaStartRow + 6 + contrastCount,
+    blockModel,
+    seed: isFinite(seed) ? seed : 12345,
+    permutations: Number(settings.permutations),
+    done: 0,
+    exceed: { treatments: 0, interaction: 0 }
+  };
+  job.rngState = job.seed >>> 0;
 
-  // Formatting and some note
-  sheet.getRange(`A${startRow}:C${startRow}`)
-    .setFontWeight("bold")
-    .setWrap(false);
+  const design = readPermutationDesign(nhSheet);
+  job.observed = permutationFStatistics(design, design.rawData, blockModel);
 
-  // contrasted colors
-  setContrastColors(
-    sheet.getRange(`A${startRow}:C${startRow}`),
-    COLOR_PALETTE.header
-  );
+  const header = sheet.getRange(job.headerRow, PERMUTATION_COLUMN)
+    .setValue("Perm. P")
+    .setFontStyle("italic")
+    .setHorizontalAlignment("center")
+    .setNote(`${job.permutations} permutations (seed ${job.seed}): treatments permute the results within blocks, ` +
+      "the interaction permutes the residuals of the additive Block + Treatment model. " +
+      "P = (exceedances + 1) / (permutations + 1).");
+  sheet.getRange(job.headerRow, PERMUTATION_COLUMN, job.totalRow - job.headerRow + 1, 1)
+    .setBorder(true, true, true, true, null, null, COLOR_PALETTE.thickBorder, SpreadsheetApp.BorderStyle.SOLID_MEDIUM);
+  header.setBorder(false, false, true, false, null, null, COLOR_PALETTE.thickBorder, SpreadsheetApp.BorderStyle.SOLID);
+  sheet.getRange(job.rows.blocks, PERMUTATION_COLUMN)
+    .setValue("–")
+    .setHorizontalAlignment("center")
+    .setNote("Permuting within blocks leaves the block totals unchanged, so blocks are not tested.");
+
+  runPermutationChunk(ss, job, design, PERMUTATION_FIRST_CHUNK_MS);
+}
 
-  sheet.getRange(`C${startRow}`)
-    .setNote(`Cutoff: ${alphaVal}\nCalculation: =${b_pcell.getFormula()}`);
-  sheet.getRange(`A${statSigLabelsRow}:C${statSigTestRow}`)
-    .setFontStyle("italic");
+/**
+ * Runs the callback holding the document lock that the 
+ * permutation chunks hold while reading, running and saving 
+ * their job, so a chunk never writes over a rebuilt ANOVA sheet.
+ * 
+ * @param {Function} callback Work to run under the lock.
+ * @returns {*} The callback's return value.
+ */
+function withPermutationLock(callback) {
+  const lock = LockService.getDocumentLock();
+  if (!lock.tryLock(PERMUTATION_LOCK_WAIT_MS)) {
+    throw new Error("A permutation test is still running. Try again in a few minutes.");
+  }
+  try {
+    return callback();
+  } finally {
+    lock.releaseLock();
+  }
 }
 
 /**
- * Generates the result interpretation section
- * after the ANOVA results.
+ * Time-driven trigger handler resuming the permutation 
+ * test where the previous execution stopped.
  * 
  * @customFunction
- * @param {Sheet} sheet The Google Sheets Sheet object
- *                      containing the ANOVA table 
- *                     where the result interpretation will be created.
- * @param {Number} statSigStartRow Row number where the statistical significance test starts.
- * @param {Number} startRow Row number where the result interpretation starts.
+ * @returns {void}
  */
-function generateResultInterpretation(sheet, statSigStartRow, startRow) {
-  // Add 'Result Interpretation' title
-  sheet.getRange(startRow, 1).setValue("Result Interpretation");
-  
-  const blkEffectStartRow = startRow + 1;
-  const blkEffectRow = startRow + 2;
-  const trtEffectStartRow = startRow + 4;
-  const trtEffectRow = startRow + 5;
-  const effSizeKeyStartRow = startRow + 8;
+function continuePermutationTest() {
+  const lock = LockService.getDocumentLock();
+  if (!lock.tryLock(PERMUTATION_LOCK_WAIT_MS)) {
+    schedulePermutationTrigger();
+    return;
+  }
+  try {
+    resumePermutationTest();
+  } finally {
+    lock.releaseLock();
+  }
+}
 
-  // Row of stat. sig. test row and cells
-  const statSigTestRow = statSigStartRow + 2;
-  const bStatSigCell = sheet.getRange(`A${statSigTestRow}`);
-  const tStatSigCell = sheet.getRange(`B${statSigTestRow}`);
-  const errStatSigCell = sheet.getRange(`C${statSigTestRow}`);
-  
-  // Add 'Block Effect' label
-  sheet.getRange(blkEffectStartRow, 1).setValue("Block Effect");
+/**
+ * Loads the first stored permutation job and runs its next 
+ * chunk, unless the sheets are gone or the data have changed, 
+ * then schedules the next execution while jobs remain.
+ * 
+ * @returns {void}
+ */
+function resumePermutationTest() {
+  deletePermutationTriggers();
+  const keys = getPermutationJobKeys();
+  if (keys.length === 0) return;
 
-  // Add 'Treatment Effect' label
-  sheet.getRange(trtEffectStartRow, 1).setValue("Treatment Effect");
+  runStoredPermutationJob(JSON.parse(PropertiesService.getDocumentProperties().getProperty(keys[0])));
+  if (getPermutationJobKeys().length > 0) schedulePermutationTrigger();
+}
 
-  // Get η² values from ANOVA table
-  const anovaStart = sheet.createTextFinder("ANOVA: Two-Factor With Replication").findNext().getRow();
-  const blocksEta = sheet.getRange(anovaStart + 2, 6); // η² for Blocks
-  const treatmentsEta = sheet.getRange(anovaStart + 3, 6); // η² for Treatments
-  const interactionEta = sheet.getRange(anovaStart + 4, 6); // η² for Interaction
+/**
+ * Runs the next chunk of a stored permutation job.
+ * 
+ * @param {Object} job Permutation job state.
+ * @returns {void}
+ */
+function runStoredPermutationJob(job) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const sheet = ss.getSheetByName(job.sheetName);
+  const nhSheet = ss.getSheetByName(job.nhSheetName);
+  if (!sheet || !nhSheet) {
+    clearPermutationJob(job.sheetName);
+    return;
+  }
+
+  // Stop if the data changed since the ANOVA was run
+  const design = readPermutationDesign(nhSheet);
+  const observed = permutationFStatistics(design, design.rawData, job.blockModel);
+  const unchanged = ['treatments', 'interaction'].every(key => 
+    Math.abs(observed[key] - job.observed[key]) <= 1e-9 * Math.max(1, Math.abs(job.observed[key])));
+  if (!unchanged) {
+    ['treatments', 'interaction'].forEach(key => 
+      sheet.getRange(job.rows[key], PERMUTATION_COLUMN).setValue("Data changed: re-run ANOVA"));
+    clearPermutationJob(job.sheetName);
+    return;
+  }
+
+  runPermutationChunk(ss, job, design, PERMUTATION_CHUNK_MS);
+}
 
-  // Get CI ranges
-  const blocksEtaCI = sheet.getRange(anovaStart + 2, 7).getValue();
-  const treatmentsEtaCI = sheet.getRange(anovaStart + 3, 7).getValue();
+/**
+ * Runs permutations until the job is complete or the time 
+ * budget is spent, writes the progress or the P-values, and 
+ * saves the job with a trigger for the next chunk if needed.
+ * 
+ * @param {Spreadsheet} ss The active spreadsheet.
+ * @param {Object} job Permutation job state.
+ * @param {Object} design Output of readPermutationDesign().
+ * @param {Number} budgetMs Time budget of the chunk in milliseconds.
+ * @returns {void}
+ */
+function runPermutationChunk(ss, job, design, budgetMs) {
+  permutationTest(design, job, Date.now() + budgetMs);
 
-  // Block Effect formula
-  const blockFormula = 
-    `=IF(${bStatSigCell.getA1Notation()}="***",` +
-    `"Statistically significant differences (η²=" & TEXT(${blocksEta.getA1Notation()},"0.00%") &` +
-    `IF(${blocksEta.getA1Notation()}>=0.14,", large effect)",` +
-    `IF(${blocksEta.getA1Notation()}>=0.06,", medium effect)",", small effect)")) &` +
-    `" Suggests " & IF(${blocksEta.getA1Notation()}>=0.06, "important ", "negligible ") &` +
-    `"blocking factor control.",` +
-    `"No significant block differences")`;
+  const sheet = ss.getSheetByName(job.sheetName);
+  writePermutationPValues(sheet, job);
 
-  // Enhanced interpretation with error handling
-  try {
-    sheet.getRange(`A${blkEffectRow}`).setFormula(blockFormula);
-  } catch (e) {
-    console.error(`Block effect formula error: ${e.message}`);
-    sheet.getRange(`A${blkEffectRow}`).setValue("Interpretation Error");
+  if (job.done < job.permutations) {
+    PropertiesService.getDocumentProperties().setProperty(PERMUTATION_JOB_KEY + job.sheetName, JSON.stringify(job));
+    schedulePermutationTrigger();
+    Logger.log(`Permutation test on '${job.sheetName}' paused at ${job.done}/${job.permutations}; resuming in a new execution.`);
+  } else {
+    clearPermutationJob(job.sheetName);
+    Logger.log(`Permutation test on '${job.sheetName}' completed: ${job.permutations} permutations.`);
   }
+}
 
-  // Treatment Effect formula  
-  const treatmentFormula =
-    `=IF(${tStatSigCell.getA1Notation()}="***",` +
-    `"Statistically significant differences (η²=" & TEXT(${treatmentsEta.getA1Notation()},"0.00%") &` +
-    `IF(${treatmentsEta.getA1Notation()}>=0.14,", large effect)",` +
-    `IF(${treatmentsEta.getA1Notation()}>=0.06,", medium effect)",", small effect)")) &` +
-    `" Practical significance: " & IF(${treatmentsEta.getA1Notation()}>=0.06, "meaningful ", "marginal ") &` +
-    `"differences.",` +
-    `"No significant treatment differences")`;
+/**
+ * Writes the permutation P-values of treatments and 
+ * interaction, or the progress of an unfinished run.
+ * 
+ * @param {Sheet} sheet The ANOVA sheet.
+ * @param {Object} job Permutation job state.
+ * @returns {void}
+ */
+function writePermutationPValues(sheet, job) {
+  const alpha = sheet.getRange(job.headerRow - 1, 9).getValue();
+  ['treatments', 'interaction'].forEach(key => {
+    const cell = sheet.getRange(job.rows[key], PERMUTATION_COLUMN).setHorizontalAlignment("center");
+    if (job.done < job.permutations) {
+      cell.setValue(`Running ${job.done}/${job.permutations}`);
+      return;
+    }
+    const pValue = (job.exceed[key] + 1) / (job.permutations + 1);
+    cell.setValue(pValue).setNumberFormat("0.0000");
+    setContrastColors(cell, pValue < alpha ? COLOR_PALETTE.significant : COLOR_PALETTE.ns);
+  });
+}
 
-  try {
-    sheet.getRange(`A${trtEffectRow}`).setFormula(treatmentFormula);
-  } catch (e) {
-    console.error(`Treatment effect formula error: ${e.message}`);
-    sheet.getRange(`A${trtEffectRow}`).setValue("Interpretation Error");
-  }
-  
-  // Add effect size key
-  sheet.getRange(effSizeKeyStartRow, 1).setValue("Effect Size Interpretation Key:")
-    .setFontWeight("bold");
-  const effectSizeKey = [
-    ["η² ≥ 14%", "Large effect", "Practically important differences"],
-    ["6% ≤ η² < 14%", "Medium effect", "Meaningful but moderate differences"],
-    ["1% ≤ η² < 6%", "Small effect", "Marginal practical significance"],
-    ["η² < 1%", "Negligible effect", "Likely unimportant differences"]
-  ];
-  sheet.getRange(effSizeKeyStartRow + 1, 1, effectSizeKey.length, effectSizeKey[0].length)
-    .setValues(effectSizeKey)
-    .setBorder(true, true, true, true, null, null, COLOR_PALETTE.neutral, SpreadsheetApp.BorderStyle.SOLID_MEDIUM);
+/**
+ * Removes the stored permutation job of an ANOVA sheet, and 
+ * the pending triggers once no other job is left.
+ * 
+ * @param {String} sheetName Name of the ANOVA sheet.
+ * @returns {void}
+ */
+function clearPermutationJob(sheetName) {
+  PropertiesService.getDocumentProperties().deleteProperty(PERMUTATION_JOB_KEY + sheetName);
+  if (getPermutationJobKeys().length === 0) deletePermutationTriggers();
+}
 
-  // Add CI interpretation guide
-  const ciInterpretation = [
-    ["CI Range", "Interpretation"],
-    ["Excludes 0", "Statistically significant effect"],
-    ["Includes 0", "Effect not statistically significant"],
-    ["Entirely >6%", "Practically important effect"],
-    ["Partially <6%", "Uncertain practical significance"]
-  ];
-  
-  sheet.getRange(startRow + 15, 1, ciInterpretation.length, ciInterpretation[0].length)
-    .setValues(ciInterpretation)
-    .setBorder(true, true, true, true, null, null, COLOR_PALETTE.neutral, SpreadsheetApp.BorderStyle.SOLID_MEDIUM);
+/**
+ * Returns the document property keys of the stored 
+ * permutation jobs, in sheet name order.
+ * 
+ * @returns {Array<String>} Property keys.
+ */
+function getPermutationJobKeys() {
+  return PropertiesService.getDocumentProperties().getKeys()
+    .filter(key => key.startsWith(PERMUTATION_JOB_KEY))
+    .sort();
+}
 
-  // Formatting header and effect labels
-  sheet.getRange(`A${startRow}:C${startRow}`)
-    .setFontWeight("bold")
-    .setHorizontalAlignment('left')
-    .setWrap(false);
+/**
+ * Replaces the pending triggers of continuePermutationTest() 
+ * with a single one firing in a second.
+ * 
+ * @returns {void}
+ */
+function schedulePermutationTrigger() {
+  deletePermutationTriggers();
+  ScriptApp.newTrigger('continuePermutationTest').timeBased().after(1000).create();
+}
 
-  sheet.getRange(`A${blkEffectStartRow}:B${blkEffectStartRow}`)
-    .setFontStyle("italic")
-    .setHorizontalAlignment('left');
+/**
+ * Deletes the time-driven triggers of continuePermutationTest().
+ * 
+ * @returns {void}
+ */
+function deletePermutationTriggers() {
+  ScriptApp.getProjectTriggers()
+    .filter(trigger => trigger.getHandlerFunction() === 'continuePermutationTest')
+    .forEach(trigger => ScriptApp.deleteTrigger(trigger));
+}
 
-  sheet.getRange(`A${trtEffectStartRow}:B${trtEffectStartRow}`)
-    .setFontStyle("italic")
-    .setHorizontalAlignment('left');
+/**
+ * Reads the long data of the NH Checks sheet the 
+ * same way buildANOVASheet() does.
+ * 
+ * @param {Sheet} nhSheet The NH Checks sheet.
+ * @returns {Object} { rawData, blocks, treatments, b, t, r, blockIndices }
+ */
+function readPermutationDesign(nhSheet) {
+  return permutationDesign(readLongData(nhSheet));
+}
 
-  // Header contrasted color formatting
-  setContrastColors(
-    sheet.getRange(`A${startRow}:C${startRow}`),
-    COLOR_PALETTE.header
-  );
+/**
+ * Design parameters of the long data, the row indices 
+ * of every block for permuting within blocks, and the 
+ * fitted values and residuals of the additive 
+ * Block + Treatment model for permuting the interaction.
+ * 
+ * @param {Array<Array>} rawData [Block, Treatment, Result] rows.
+ * @returns {Object} { rawData, blocks, treatments, b, t, r, blockIndices, 
+ *                   additiveFitted, additiveResiduals }
+ */
+function permutationDesign(rawData) {
+  const blocks = [...new Set(rawData.map(row => row[0]))];
+  const treatments = [...new Set(rawData.map(row => row[1]))];
+  const blockIndices = blocks.map(block => 
+    rawData.map((row, idx) => row[0] === block ? idx : -1).filter(idx => idx >= 0));
 
-  // Block effect contrasted color formatting
-  setContrastColors(
-    sheet.getRange(`A${blkEffectStartRow}:B${blkEffectStartRow}`),
-    COLOR_PALETTE.subHeader
-  );
+  const X = rawData.map(row => [1, ...effectCodeColumns(blocks, row[0]), ...effectCodeColumns(treatments, row[1])]);
+  const { coefficients } = fitLinearModel(X, rawData.map(row => row[2]));
+  const additiveFitted = X.map(row => row.reduce((a, x, k) => a + x * (coefficients[k] || 0), 0));
 
-  // Treatment effect contrasted color formatting
-  setContrastColors(
-    sheet.getRange(`A${trtEffectStartRow}:B${trtEffectStartRow}`),
-    COLOR_PALETTE.subHeader
-  );
+  return {
+    rawData, blocks, treatments, blockIndices, additiveFitted,
+    additiveResiduals: rawData.map((row, idx) => row[2] - additiveFitted[idx]),
+    b: blocks.length, t: treatments.length, r: checkDesignBalance(rawData, blocks, treatments).r
+  };
+}
 
-  // Add  notes
-  addResultInterpretationNotes(sheet, `B${blkEffectStartRow}`, `B${trtEffectStartRow}`);
+/**
+ * F statistics of treatments and interaction from 
+ * calculateSSFromRaw(), with the denominators of the block model.
+ * 
+ * @param {Object} design Output of permutationDesign().
+ * @param {Array<Array>} rawData [Block, Treatment, Result] rows.
+ * @param {String} blockModel 'Fixed' or 'Random'.
+ * @returns {Object} { treatments, interaction } F values.
+ */
+function permutationFStatistics(design, rawData, blockModel) {
+  const { ssTreatments, ssInteraction, ssError, df } = 
+    calculateSSFromRaw(rawData, design.blocks, design.treatments, design.b, design.t, design.r);
+  const msInteraction = ssInteraction / df.interaction;
+  const msError = ssError / df.error;
+  return {
+    treatments: (ssTreatments / df.treatments) / (blockModel === 'Random' ? msInteraction : msError),
+    interaction: msInteraction / msError
+  };
+}
 
-  // Effect size key header contrasted color
-  setContrastColors(
-    sheet.getRange(`A${effSizeKeyStartRow}:C${effSizeKeyStartRow}`),
-    COLOR_PALETTE.header
-  );
+/**
+ * Runs the permutations of a job until it is complete or the 
+ * deadline passes, counting permuted F values at least as large 
+ * as the observed ones. Treatments are tested by permuting the 
+ * results within blocks; the interaction by permuting the 
+ * residuals of the additive Block + Treatment model, which 
+ * keeps the main effects under its null. The generator state 
+ * is kept in the job, so chunks continue the same sequence.
+ * 
+ * @param {Object} design Output of permutationDesign().
+ * @param {Object} job Permutation job state, updated in place.
+ * @param {Number} deadline Time (ms since epoch) to stop at.
+ * @returns {Object} The job.
+ */
+function permutationTest(design, job, deadline) {
+  const random = seededRandom(job.rngState);
+  const original = design.rawData.map(row => row[2]);
+  const permuted = design.rawData.map(row => [...row]);
+  const tolerance = 1 + 1e-12;
+  const shuffle = (values, indices) => {
+    for (let i = indices.length - 1; i > 0; i--) {
+      const j = Math.floor(random() * (i + 1));
+      [values[indices[i]], values[indices[j]]] = [values[indices[j]], values[indices[i]]];
+    }
+  };
+  const allIndices = original.map((_, idx) => idx);
+
+  while (job.done < job.permutations && Date.now() < deadline) {
+    // Fisher-Yates shuffle of the results within each block, always from the 
+    // original order so the outcome does not depend on where a chunk stopped
+    const results = [...original];
+    design.blockIndices.forEach(indices => shuffle(results, indices));
+    results.forEach((value, idx) => permuted[idx][2] = value);
+    const fTreatments = permutationFStatistics(design, permuted, job.blockModel).treatments;
+
+    // Additive fit plus shuffled residuals
+    const residuals = [...design.additiveResiduals];
+    shuffle(residuals, allIndices);
+    residuals.forEach((value, idx) => permuted[idx][2] = design.additiveFitted[idx] + value);
+    const fInteraction = permutationFStatistics(design, permuted, job.blockModel).interaction;
+
+    if (fTreatments * tolerance >= job.observed.treatments) job.exceed.treatments++;
+    if (fInteraction * tolerance >= job.observed.interaction) job.exceed.interaction++;
+    job.done++;
+  }
 
-  // Style first column italic
-  sheet.getRange(effSizeKeyStartRow + 1, 1, effectSizeKey.length)
-    .setFontStyle("italic");
+  job.rngState = random.state();
+  return job;
 }
 
-function addResultInterpretationNotes(sheet, blkEffectLabelA1, trtEffectLabelA1) {
-  sheet.getRange(blkEffectLabelA1)
-    .setNote("A significant block effect suggests that the blocks are not homogeneous. It shows the experimental design has successfully controlled for some source of variation.");
-  sheet.getRange(trtEffectLabelA1)
-    .setNote("A significant F-statistic indicates that differences between the treatment means are statistically significant.");
+/**
+ * Seedable uniform random number generator (mulberry32) 
+ * whose state can be saved and restored.
+ * 
+ * @param {Number} state 32-bit generator state (the seed).
+ * @returns {Function} Generator of numbers in [0, 1), 
+ *                     with state() returning the current state.
+ */
+function seededRandom(state) {
+  state = state >>> 0;
+  const next = () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let z = state;
+    z = Math.imul(z ^ (z >>> 15), z | 1);
+    z ^= z + Math.imul(z ^ (z >>> 7), z | 61);
+    return ((z ^ (z >>> 14)) >>> 0) / 4294967296;
+  };
+  next.state = () => state;
+  return next;
 }
 
 // ====================== EFFECT SIZE CI CALCULATIONS ======================
@@ -1256,6 +7256,461 @@ function calculateEffectSizeCI(sheet, F, df1, df2) {
   };
 }
 
+// ====================== DISTRIBUTION FUNCTIONS ======================
+/**
+ * Standard normal cumulative distribution function, 
+ * Hart's algorithm as given by West (2005), accurate 
+ * to double precision.
+ * 
+ * @param {Number} z Standard normal deviate.
+ * @returns {Number} P(Z ≤ z).
+ */
+function normalCdf(z) {
+  const x = Math.abs(z);
+  let tail = 0;
+  if (x <= 37) {
+    const e = Math.exp(-x * x / 2);
+    if (x < 7.07106781186547) {
+      const num = [220.206867912376, 221.213596169931, 112.079291497871, 33.912866078383, 
+        6.37396220353165, 0.700383064443688, 3.52624965998911e-02];
+      const den = [440.413735824752, 793.826512519948, 637.333633378831, 296.564248779674, 
+        86.7807322029461, 16.064177579207, 1.75566716318264, 8.83883476483184e-02];
+      const p = num.reduceRight((acc, c) => acc * x + c, 0);
+      const q = den.reduceRight((acc, c) => acc * x + c, 0);
+      tail = e * p / q;
+    } else {
+      let fraction = x + 0.65;
+      [4, 3, 2, 1].forEach(k => fraction = x + k / fraction);
+      tail = e / fraction / 2.506628274631;
+    }
+  }
+  return z > 0 ? 1 - tail : tail;
+}
+
+/**
+ * Natural logarithm of the gamma function, Lanczos 
+ * approximation as in Numerical Recipes (gammln).
+ * 
+ * @param {Number} x Positive argument.
+ * @returns {Number} ln Γ(x).
+ */
+function logGamma(x) {
+  const coefficients = [76.18009172947146, -86.50532032941677, 24.01409824083091,
+    -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5];
+  let y = x;
+  let tmp = x + 5.5;
+  tmp -= (x + 0.5) * Math.log(tmp);
+  let series = 1.000000000190015;
+  coefficients.forEach(c => series += c / ++y);
+  return -tmp + Math.log(2.5066282746310005 * series / x);
+}
+
+/**
+ * Regularized incomplete beta function I_x(a, b), 
+ * evaluated with Lentz's continued fraction.
+ * 
+ * @param {Number} x Upper limit in [0, 1].
+ * @param {Number} a First shape parameter.
+ * @param {Number} b Second shape parameter.
+ * @returns {Number} I_x(a, b).
+ */
+function incompleteBeta(x, a, b) {
+  if (x <= 0) return 0;
+  if (x >= 1) return 1;
+  if (x > (a + 1) / (a + b + 2)) return 1 - incompleteBeta(1 - x, b, a);
+
+  const front = Math.exp(logGamma(a + b) - logGamma(a) - logGamma(b) + 
+    a * Math.log(x) + b * Math.log(1 - x)) / a;
+
+  const tiny = 1e-300;
+  let c = 1, d = 1 - (a + b) * x / (a + 1);
+  if (Math.abs(d) < tiny) d = tiny;
+  d = 1 / d;
+  let result = d;
+  for (let m = 1; m <= 500; m++) {
+    // Even step
+    let numerator = m * (b - m) * x / ((a + 2 * m - 1) * (a + 2 * m));
+    d = 1 + numerator * d;
+    if (Math.abs(d) < tiny) d = tiny;
+    c = 1 + numerator / c;
+    if (Math.abs(c) < tiny) c = tiny;
+    d = 1 / d;
+    result *= d * c;
+
+    // Odd step
+    numerator = -(a + m) * (a + b + m) * x / ((a + 2 * m) * (a + 2 * m + 1));
+    d = 1 + numerator * d;
+    if (Math.abs(d) < tiny) d = tiny;
+    c = 1 + numerator / c;
+    if (Math.abs(c) < tiny) c = tiny;
+    d = 1 / d;
+    const delta = d * c;
+    result *= delta;
+    if (Math.abs(delta - 1) < 1e-14) break;
+  }
+  return front * result;
+}
+
+/**
+ * Right-tail probability of the F distribution, 
+ * the script counterpart of F.DIST.RT.
+ * 
+ * @param {Number} f F statistic.
+ * @param {Number} df1 Numerator degrees of freedom.
+ * @param {Number} df2 Denominator degrees of freedom.
+ * @returns {Number} P(F > f).
+ */
+function fDistRightTail(f, df1, df2) {
+  if (isNaN(f)) return NaN;
+  if (f <= 0) return 1;
+  if (!isFinite(f)) return 0;
+  return incompleteBeta(df2 / (df2 + df1 * f), df2 / 2, df1 / 2);
+}
+
+/**
+ * Right-tail quantile of the F distribution, the script 
+ * counterpart of F.INV.RT, by bisection on fDistRightTail().
+ * 
+ * @param {Number} p Right-tail probability.
+ * @param {Number} df1 Numerator degrees of freedom.
+ * @param {Number} df2 Denominator degrees of freedom.
+ * @returns {Number} f such that P(F > f) = p.
+ */
+function fDistInvRightTail(p, df1, df2) {
+  let low = 0, high = 1;
+  while (fDistRightTail(high, df1, df2) > p && high < 1e8) high *= 2;
+  for (let i = 0; i < 100; i++) {
+    const mid = (low + high) / 2;
+    if (fDistRightTail(mid, df1, df2) > p) low = mid;
+    else high = mid;
+    if (high - low < 1e-10 * Math.max(1, mid)) break;
+  }
+  return (low + high) / 2;
+}
+
+/**
+ * Regularized upper incomplete gamma function Q(a, x), 
+ * using the series for x < a + 1 and Lentz's continued 
+ * fraction otherwise.
+ * 
+ * @param {Number} a Shape parameter.
+ * @param {Number} x Lower limit of integration.
+ * @returns {Number} Q(a, x) = 1 − P(a, x).
+ */
+function incompleteGammaQ(a, x) {
+  if (x <= 0) return 1;
+  const logFront = -x + a * Math.log(x) - logGamma(a);
+
+  if (x < a + 1) {
+    let term = 1 / a, sum = term;
+    for (let n = 1; n <= 1000; n++) {
+      term *= x / (a + n);
+      sum += term;
+      if (Math.abs(term) < Math.abs(sum) * 1e-15) break;
+    }
+    return 1 - sum * Math.exp(logFront);
+  }
+
+  const tiny = 1e-300;
+  let b = x + 1 - a, c = 1 / tiny, d = 1 / b, h = d;
+  for (let i = 1; i <= 1000; i++) {
+    const an = -i * (i - a);
+    b += 2;
+    d = an * d + b;
+    if (Math.abs(d) < tiny) d = tiny;
+    c = b + an / c;
+    if (Math.abs(c) < tiny) c = tiny;
+    d = 1 / d;
+    const delta = d * c;
+    h *= delta;
+    if (Math.abs(delta - 1) < 1e-15) break;
+  }
+  return Math.exp(logFront) * h;
+}
+
+/**
+ * Right-tail probability of the chi-square distribution, 
+ * the script counterpart of CHISQ.DIST.RT.
+ * 
+ * @param {Number} x Chi-square statistic.
+ * @param {Number} df Degrees of freedom.
+ * @returns {Number} P(χ² > x).
+ */
+function chiSquareRightTail(x, df) {
+  if (isNaN(x)) return NaN;
+  return incompleteGammaQ(df / 2, x / 2);
+}
+
+/**
+ * Cumulative distribution function of Student's t.
+ * 
+ * @param {Number} t t statistic.
+ * @param {Number} df Degrees of freedom.
+ * @returns {Number} P(T ≤ t).
+ */
+function tDistCdf(t, df) {
+  const tail = incompleteBeta(df / (df + t * t), df / 2, 0.5) / 2;
+  return t > 0 ? 1 - tail : tail;
+}
+
+/**
+ * Quantile function of Student's t, by bisection 
+ * on tDistCdf(); the script counterpart of T.INV.
+ * 
+ * @param {Number} p Probability in (0, 1).
+ * @param {Number} df Degrees of freedom.
+ * @returns {Number} t such that P(T ≤ t) = p.
+ */
+function tDistInv(p, df) {
+  let low = -1, high = 1;
+  while (tDistCdf(low, df) > p) low *= 2;
+  while (tDistCdf(high, df) < p) high *= 2;
+  for (let i = 0; i < 100; i++) {
+    const mid = (low + high) / 2;
+    if (tDistCdf(mid, df) < p) low = mid;
+    else high = mid;
+    if (high - low < 1e-12) break;
+  }
+  return (low + high) / 2;
+}
+
+/**
+ * Probability integral of the range of k standard normal 
+ * variables (the infinite-df studentized range), used by 
+ * studentizedRangeCdf(). Port of Copenhaver & Holland's 
+ * (1988) algorithm as in R's ptukey.c.
+ * 
+ * @param {Number} w Range value.
+ * @param {Number} k Number of means.
+ * @returns {Number} P(range ≤ w).
+ */
+function normalRangeCdf(w, k) {
+  const xleg = [0.981560634246719250690549090149, 0.904117256370474856678465866119,
+    0.769902674194304687036893833213, 0.587317954286617447296702418941,
+    0.367831498998180193752691536644, 0.125233408511468915472441369464];
+  const aleg = [0.047175336386511827194615961485, 0.106939325995318430960254718194,
+    0.160078328543346226334652529543, 0.203167426723065921749064455810,
+    0.233492536538354808760849898925, 0.249147045813402785000562436043];
+  const half = w * 0.5;
+  if (half >= 8) return 1;
+
+  // (2Φ(w/2) - 1)^k, first term of Hartley's form
+  let prW = 2 * normalCdf(half) - 1;
+  prW = prW >= Math.exp(-50 / k) ? Math.pow(prW, k) : 0;
+
+  // Legendre quadrature of the second term over (w/2, 8)
+  const intervals = w > 3 ? 2 : 3;
+  const step = (8 - half) / intervals;
+  let lower = half, upper = half + step, integral = 0;
+  for (let interval = 0; interval < intervals; interval++) {
+    const mid = 0.5 * (upper + lower), radius = 0.5 * (upper - lower);
+    let sum = 0;
+    for (let jj = 1; jj <= 12; jj++) {
+      const j = jj > 6 ? 12 - jj : jj - 1;
+      const x = jj > 6 ? xleg[j] : -xleg[j];
+      const ac = mid + radius * x;
+      const exponent = ac * ac;
+      if (exponent > 60) break;
+      const inner = normalCdf(ac) - normalCdf(ac - w);
+      if (inner >= Math.exp(-30 / (k - 1))) {
+        sum += aleg[j] * Math.exp(-0.5 * exponent) * Math.pow(inner, k - 1);
+      }
+    }
+    integral += sum * 2 * radius * k / Math.sqrt(2 * Math.PI);
+    lower = upper;
+    upper += step;
+  }
+
+  prW += integral;
+  if (prW <= Math.exp(-30)) return 0;
+  return Math.min(prW, 1);
+}
+
+/**
+ * Cumulative distribution function of the studentized 
+ * range (ptukey), integrating normalRangeCdf() over the 
+ * distribution of the error standard deviation.
+ * 
+ * @param {Number} q Studentized range statistic.
+ * @param {Number} k Number of means.
+ * @param {Number} df Error degrees of freedom.
+ * @returns {Number} P(Q ≤ q).
+ */
+function studentizedRangeCdf(q, k, df) {
+  if (q <= 0) return 0;
+  if (!isFinite(q)) return 1;
+  if (df > 25000) return normalRangeCdf(q, k);
+
+  const xlegq = [0.989400934991649932596154173450, 0.944575023073232576077988415535,
+    0.865631202387831743880467897712, 0.755404408355003033895101194847,
+    0.617876244402643748446671764049, 0.458016777657227386342419442984,
+    0.281603550779258913230460501460, 0.950125098376374401853193354250e-1];
+  const alegq = [0.271524594117540948517805724560e-1, 0.622535239386478928628438369944e-1,
+    0.951585116824927848099251076022e-1, 0.124628971255533872052476282192,
+    0.149595988816576732081501730547, 0.169156519395002538189312079030,
+    0.182603415044923588866763667969, 0.189450610455068496285396723208];
+
+  const f2 = df * 0.5;
+  const f21 = f2 - 1;
+  const ff4 = df * 0.25;
+  const unitLength = df <= 100 ? 1 : df <= 800 ? 0.5 : df <= 5000 ? 0.25 : 0.125;
+  const f2lf = f2 * Math.log(df) - df * Math.LN2 - logGamma(f2) + Math.log(unitLength);
+
+  let total = 0;
+  for (let i = 1; i <= 50; i++) {
+    let intervalSum = 0;
+    const twa1 = (2 * i - 1) * unitLength;
+    for (let jj = 1; jj <= 16; jj++) {
+      const upperHalf = jj > 8;
+      const j = upperHalf ? jj - 9 : jj - 1;
+      const offset = xlegq[j] * unitLength;
+      const t1 = upperHalf
+        ? f2lf + f21 * Math.log(twa1 + offset) - (offset + twa1) * ff4
+        : f2lf + f21 * Math.log(twa1 - offset) + (offset - twa1) * ff4;
+      if (t1 >= -30) {
+        const scaled = q * Math.sqrt((upperHalf ? twa1 + offset : twa1 - offset) * 0.5);
+        intervalSum += normalRangeCdf(scaled, k) * alegq[j] * Math.exp(t1);
+      }
+    }
+    if (i * unitLength >= 1 && intervalSum <= 1e-14) break;
+    total += intervalSum;
+  }
+  return Math.min(total, 1);
+}
+
+/**
+ * Quantile function of the studentized range (qtukey), 
+ * by bisection on studentizedRangeCdf().
+ * 
+ * @param {Number} p Probability in (0, 1).
+ * @param {Number} k Number of means.
+ * @param {Number} df Error degrees of freedom.
+ * @returns {Number} q such that P(Q ≤ q) = p.
+ */
+function studentizedRangeInv(p, k, df) {
+  let low = 0, high = 8;
+  while (studentizedRangeCdf(high, k, df) < p && high < 1e4) high *= 2;
+  for (let i = 0; i < 60; i++) {
+    const mid = (low + high) / 2;
+    if (studentizedRangeCdf(mid, k, df) < p) low = mid;
+    else high = mid;
+    if (high - low < 1e-8) break;
+  }
+  return (low + high) / 2;
+}
+
+/**
+ * Joint probability of Dunnett's many-to-one statistics, 
+ * P(Tᵢ ≤ c for all i) one-sided or P(|Tᵢ| ≤ c for all i) 
+ * two-sided. The statistics share the control mean, so 
+ * their correlations are λᵢλⱼ with λᵢ = √(nᵢ / (nᵢ + n₀)); 
+ * the multivariate t integral then reduces to a double 
+ * integral over the common normal term and the error 
+ * standard deviation, evaluated by Simpson's rule.
+ * 
+ * @param {Number} c Critical value.
+ * @param {Array<Number>} lambdas λᵢ of every comparison.
+ * @param {Number} df Error degrees of freedom.
+ * @param {Boolean} twoSided Whether the bounds are two-sided.
+ * @returns {Number} Joint probability.
+ */
+function dunnettCdf(c, lambdas, df, twoSided) {
+  if (c <= 0 && twoSided) return 0;
+  const simpson = (n, a, b, f) => {
+    const h = (b - a) / n;
+    let total = f(a) + f(b);
+    for (let i = 1; i < n; i++) total += (i % 2 ? 4 : 2) * f(a + i * h);
+    return total * h / 3;
+  };
+  const scales = lambdas.map(l => Math.sqrt(1 - l * l));
+
+  // Integral over the common normal term for a given error SD ratio s
+  const inner = s => simpson(96, -7, 7, z => {
+    let product = Math.exp(-z * z / 2) / Math.sqrt(2 * Math.PI);
+    lambdas.forEach((l, i) => {
+      const upper = normalCdf((c * s - l * z) / scales[i]);
+      product *= twoSided ? upper - normalCdf((-c * s - l * z) / scales[i]) : upper;
+    });
+    return product;
+  });
+  if (!isFinite(df) || df > 25000) return Math.min(inner(1), 1);
+
+  // s = √(χ²/df) has density ∝ s^(df−1) exp(−df s² / 2)
+  const logNorm = (df / 2) * Math.log(df / 2) + Math.log(2) - logGamma(df / 2);
+  const spread = 9 / Math.sqrt(2 * df);
+  const low = Math.max(0, 1 - spread), high = 1 + Math.max(spread, 3);
+  const total = simpson(64, low, high, s => s <= 0 ? 0 : 
+    Math.exp(logNorm + (df - 1) * Math.log(s) - df * s * s / 2) * inner(s));
+  return Math.min(Math.max(total, 0), 1);
+}
+
+/**
+ * Critical value of Dunnett's test, by 
+ * bisection on dunnettCdf().
+ * 
+ * @param {Number} p Joint coverage probability, 1 − α.
+ * @param {Array<Number>} lambdas λᵢ of every comparison.
+ * @param {Number} df Error degrees of freedom.
+ * @param {Boolean} twoSided Whether the bounds are two-sided.
+ * @returns {Number} c such that dunnettCdf(c) = p.
+ */
+function dunnettInv(p, lambdas, df, twoSided) {
+  let low = 0, high = 4;
+  while (dunnettCdf(high, lambdas, df, twoSided) < p && high < 1e3) high *= 2;
+  for (let i = 0; i < 40; i++) {
+    const mid = (low + high) / 2;
+    if (dunnettCdf(mid, lambdas, df, twoSided) < p) low = mid;
+    else high = mid;
+    if (high - low < 1e-6) break;
+  }
+  return (low + high) / 2;
+}
+
+/**
+ * Standard normal quantile function, Wichura's (1988) 
+ * algorithm AS 241 (PPND16).
+ * 
+ * @param {Number} p Probability in (0, 1).
+ * @returns {Number} z such that P(Z ≤ z) = p.
+ */
+function normalInv(p) {
+  if (p <= 0) return -Infinity;
+  if (p >= 1) return Infinity;
+
+  const ratio = (num, den, r) => 
+    num.reduceRight((acc, c) => acc * r + c, 0) / den.reduceRight((acc, c) => acc * r + c, 0);
+
+  const q = p - 0.5;
+  if (Math.abs(q) <= 0.425) {
+    const r = 0.180625 - q * q;
+    return q * ratio(
+      [3.387132872796366608, 133.14166789178437745, 1971.5909503065514427, 13731.693765509461125,
+        45921.953931549871457, 67265.770927008700853, 33430.575583588128105, 2509.0809287301226727],
+      [1, 42.313330701600911252, 687.1870074920579083, 5394.1960214247511077,
+        21213.794301586595867, 39307.89580009271061, 28729.085735721942674, 5226.495278852545925],
+      r);
+  }
+
+  let r = Math.sqrt(-Math.log(q < 0 ? p : 1 - p));
+  let value;
+  if (r <= 5) {
+    value = ratio(
+      [1.42343711074968357734, 4.6303378461565452959, 5.7694972214606914055, 3.64784832476320460504,
+        1.27045825245236838258, 0.24178072517745061177, 0.0227238449892691845833, 7.7454501427834140764e-4],
+      [1, 2.05319162663775882187, 1.6763848301838038494, 0.68976733498510000455,
+        0.14810397642748007459, 0.0151986665636164571966, 5.475938084995344946e-4, 1.05075007164441684324e-9],
+      r - 1.6);
+  } else {
+    value = ratio(
+      [6.6579046435011037772, 5.4637849111641143699, 1.7848265399172913358, 0.29656057182850489123,
+        0.026532189526576123093, 0.0012426609473880784386, 2.71155556874348757815e-5, 2.01033439929228813265e-7],
+      [1, 0.59983220655588793769, 0.13692988092273580531, 0.0148753612908506148525,
+        7.868691311456132591e-4, 1.8463183175100546818e-5, 1.4215117583164458887e-7, 2.04426310338993978564e-15],
+      r - 5);
+  }
+  return q < 0 ? -value : value;
+}
+
 // ====================== COLOR CONTRAST UTILITIES ======================
 /**
  * Helper function to set background and font color